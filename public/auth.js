@@ -0,0 +1,61 @@
+// Запросы к API с токеном из localStorage. Токен доступа живет 24 часа: при ответе 401
+// он обновляется через /api/auth/refresh по refresh_token, и запрос повторяется один раз.
+// Если обновить сессию не удалось, возвращается исходный ответ 401 — страница обрабатывает его как раньше.
+(function () {
+    let refreshPromise = null;
+
+    // Параллельные запросы с истекшим токеном ждут одного обновления: refresh-токен одноразовый
+    function refreshSession() {
+        if (!refreshPromise) {
+            refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refresh_token');
+                if (!refreshToken) return false;
+
+                try {
+                    const response = await fetch('/api/auth/refresh', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refresh_token: refreshToken })
+                    });
+
+                    if (!response.ok) {
+                        if (response.status === 401) {
+                            localStorage.removeItem('token');
+                            localStorage.removeItem('refresh_token');
+                        }
+                        return false;
+                    }
+
+                    const data = await response.json();
+                    localStorage.setItem('token', data.token);
+                    localStorage.setItem('refresh_token', data.refresh_token);
+                    return true;
+                } catch (error) {
+                    console.error('Ошибка обновления сессии:', error);
+                    return false;
+                }
+            })().finally(() => {
+                refreshPromise = null;
+            });
+        }
+        return refreshPromise;
+    }
+
+    function withCurrentToken(options) {
+        const headers = new Headers(options.headers || {});
+        headers.set('Authorization', `Bearer ${localStorage.getItem('token')}`);
+        return { ...options, headers };
+    }
+
+    async function authFetch(url, options = {}) {
+        const response = await fetch(url, withCurrentToken(options));
+
+        if (response.status !== 401 || !(await refreshSession())) {
+            return response;
+        }
+
+        return fetch(url, withCurrentToken(options));
+    }
+
+    window.authFetch = authFetch;
+})();
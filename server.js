@@ -1,7 +1,8 @@
 const express = require('express');
-const { Client } = require('pg');
+const { Pool } = require('pg');
 const path = require('path');
 const cors = require('cors');
+const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
 
 const app = express();
@@ -12,7 +13,15 @@ app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:5500', 'https://pharma-plus.vercel.app'],
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+// rawBody нужен для проверки подписи платежных вебхуков, остальным запросам копия тела не нужна
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -27,30 +36,62 @@ if (process.env.GOOGLE_CLIENT_ID) {
   console.log('⚠️ Google OAuth не настроен');
 }
 
+// Session tokens. В production секрет обязателен: у каждого экземпляра сервера был бы свой
+// случайный секрет, и токены одного экземпляра не принимались бы другими
+if (!process.env.SESSION_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('SESSION_SECRET обязателен при NODE_ENV=production');
+}
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 24 * 60 * 60; // секунды
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60; // секунды
+if (!process.env.SESSION_SECRET) {
+  console.log('⚠️ SESSION_SECRET не задан, сессии сбросятся после перезапуска');
+}
+
 // Database connection
 let db = null;
 let isDatabaseConnected = false;
+let databaseInitPromise = null;
 
-// Initialize database connection
-async function initializeDatabase() {
+// Initialize database connection. Параллельные первые запросы ждут одно и то же подключение,
+// после ошибки следующий запрос пробует подключиться заново
+function initializeDatabase() {
   if (isDatabaseConnected && db) {
-    return db;
+    return Promise.resolve(db);
+  }
+
+  if (!databaseInitPromise) {
+    databaseInitPromise = connectDatabase().finally(() => {
+      databaseInitPromise = null;
+    });
   }
+  return databaseInitPromise;
+}
+
+async function connectDatabase() {
+  let pool = null;
 
   try {
     console.log('🔄 Подключение к Neon.tech PostgreSQL...');
     
-    const client = new Client({
+    // Пул соединений: транзакции получают собственное соединение через withTransaction
+    // DATABASE_SSL=false позволяет подключиться к локальной БД без SSL
+    pool = new Pool({
       connectionString: process.env.DATABASE_URL,
-      ssl: {
+      ssl: process.env.DATABASE_SSL === 'false' ? false : {
         rejectUnauthorized: false
       },
+      max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
       connectionTimeoutMillis: 10000,
       idleTimeoutMillis: 30000,
     });
 
-    await client.connect();
-    db = client;
+    pool.on('error', (err) => {
+      console.error('❌ Ошибка соединения в пуле БД:', err);
+    });
+
+    await ensureSchema(pool);
+    db = pool;
     isDatabaseConnected = true;
     
     console.log('✅ Успешное подключение к Neon.tech');
@@ -60,17 +101,499 @@ async function initializeDatabase() {
     console.error('❌ Ошибка подключения к Neon.tech:', err);
     isDatabaseConnected = false;
     db = null;
+    if (pool) {
+      pool.end().catch(() => {});
+    }
+    throw err;
+  }
+}
+
+// Database schema (таблицы, которых нет в исходной схеме Neon)
+const schemaMigrations = [
+  `CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)',
+  // scrypt-хеши длиннее старых числовых
+  'ALTER TABLE users ALTER COLUMN password TYPE TEXT',
+  `CREATE TABLE IF NOT EXISTS delivery_order_status_history (
+    id SERIAL PRIMARY KEY,
+    delivery_order_id INTEGER NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON delivery_order_status_history(delivery_order_id)',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP',
+  // Уже работающие курьеры считаются одобренными, новые заявки создаются как pending
+  "ALTER TABLE couriers ADD COLUMN IF NOT EXISTS application_status VARCHAR(20) NOT NULL DEFAULT 'approved'",
+  "ALTER TABLE couriers ALTER COLUMN application_status SET DEFAULT 'pending'",
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS document_type VARCHAR(50)',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS document_number VARCHAR(100)',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS document_photo TEXT',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS driver_license_number VARCHAR(100)',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS rejection_reason TEXT',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS applied_at TIMESTAMP',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP',
+  // Роли пользователей: customer, courier, admin
+  "ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'customer'",
+  // Поля карточки товара из админ-формы
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS old_price DECIMAL(10, 2)',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS country VARCHAR(50)',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS stock_quantity INTEGER',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS composition TEXT',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS indications TEXT',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS usage TEXT',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS contraindications TEXT',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS dosage VARCHAR(100)',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS expiry_date VARCHAR(50)',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS storage_conditions VARCHAR(200)',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP',
+  'ALTER TABLE categories ADD COLUMN IF NOT EXISTS description TEXT',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_latitude DECIMAL(10, 8)',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_longitude DECIMAL(11, 8)',
+  `CREATE TABLE IF NOT EXISTS delivery_order_offers (
+    id SERIAL PRIMARY KEY,
+    delivery_order_id INTEGER NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+    courier_id INTEGER NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'offered',
+    distance_km DECIMAL(10, 3),
+    offered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_order_offers_order_id ON delivery_order_offers(delivery_order_id)',
+  "CREATE INDEX IF NOT EXISTS idx_order_offers_active ON delivery_order_offers(courier_id) WHERE status = 'offered'",
+  `CREATE TABLE IF NOT EXISTS courier_location_points (
+    id SERIAL PRIMARY KEY,
+    delivery_order_id INTEGER NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+    courier_id INTEGER NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    accuracy DECIMAL(8, 2),
+    speed DECIMAL(8, 2),
+    heading DECIMAL(6, 2),
+    recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_courier_location_points_order ON courier_location_points(delivery_order_id, recorded_at)',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS current_latitude DECIMAL(10, 8)',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS current_longitude DECIMAL(11, 8)',
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMP',
+  'ALTER TABLE courier_chat_messages ADD COLUMN IF NOT EXISTS sender_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL',
+  `UPDATE courier_chat_messages m
+   SET sender_user_id = c.user_id
+   FROM courier_chats ch
+   JOIN couriers c ON c.id = ch.courier_id
+   WHERE m.chat_id = ch.id AND m.sender_type = 'courier' AND m.sender_user_id IS NULL`,
+  'CREATE INDEX IF NOT EXISTS idx_courier_chat_messages_chat_id ON courier_chat_messages(chat_id, id)',
+  `CREATE TABLE IF NOT EXISTS courier_chat_reads (
+    chat_id INTEGER NOT NULL REFERENCES courier_chats(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_read_message_id INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (chat_id, user_id)
+  )`,
+  `CREATE OR REPLACE FUNCTION notify_courier_chat_message() RETURNS trigger AS $$
+   BEGIN
+     PERFORM pg_notify('realtime_events', json_build_object('type', 'chat_message', 'id', NEW.id, 'chat_id', NEW.chat_id)::text);
+     RETURN NEW;
+   END;
+   $$ LANGUAGE plpgsql`,
+  'DROP TRIGGER IF EXISTS courier_chat_messages_notify ON courier_chat_messages',
+  `CREATE TRIGGER courier_chat_messages_notify AFTER INSERT ON courier_chat_messages
+   FOR EACH ROW EXECUTE FUNCTION notify_courier_chat_message()`,
+  `CREATE OR REPLACE FUNCTION notify_courier_message() RETURNS trigger AS $$
+   BEGIN
+     PERFORM pg_notify('realtime_events', json_build_object('type', 'courier_message', 'id', NEW.id, 'courier_id', NEW.courier_id)::text);
+     RETURN NEW;
+   END;
+   $$ LANGUAGE plpgsql`,
+  'DROP TRIGGER IF EXISTS courier_messages_notify ON courier_messages',
+  `CREATE TRIGGER courier_messages_notify AFTER INSERT ON courier_messages
+   FOR EACH ROW EXECUTE FUNCTION notify_courier_message()`,
+  'ALTER TABLE courier_chats ADD COLUMN IF NOT EXISTS delivery_order_id INTEGER REFERENCES delivery_orders(id) ON DELETE CASCADE',
+  'ALTER TABLE courier_chats ALTER COLUMN courier_id DROP NOT NULL',
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_courier_chats_order ON courier_chats(delivery_order_id) WHERE delivery_order_id IS NOT NULL',
+  'ALTER TABLE courier_chats ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE',
+  `CREATE TABLE IF NOT EXISTS telegram_message_links (
+    telegram_chat_id BIGINT NOT NULL,
+    telegram_message_id BIGINT NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    chat_id INTEGER NOT NULL REFERENCES courier_chats(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (telegram_chat_id, telegram_message_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS promo_codes (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL,
+    description VARCHAR(500),
+    discount_type VARCHAR(20) NOT NULL,
+    discount_value DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    max_discount DECIMAL(10, 2),
+    category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    min_order_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    usage_limit INTEGER,
+    usage_limit_per_user INTEGER,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+  )`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_codes_code ON promo_codes(UPPER(code))',
+  `CREATE TABLE IF NOT EXISTS promo_code_redemptions (
+    id SERIAL PRIMARY KEY,
+    promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    delivery_order_id INTEGER NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_promo_code_redemptions_promo ON promo_code_redemptions(promo_code_id, user_id)',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS subtotal_amount DECIMAL(10, 2)',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_fee DECIMAL(10, 2) NOT NULL DEFAULT 0',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50)',
+  // Заказы, созданные до появления оплаты, считаются не требующими предоплаты
+  "ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) NOT NULL DEFAULT 'not_required'",
+  `CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    delivery_order_id INTEGER NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL,
+    provider_payment_id VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    amount DECIMAL(10, 2) NOT NULL,
+    refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    currency VARCHAR(3) NOT NULL DEFAULT 'RUB',
+    confirmation_url TEXT,
+    failure_reason TEXT,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+  )`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_id ON payments(provider, provider_payment_id)',
+  'CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(delivery_order_id)',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS rx_required BOOLEAN NOT NULL DEFAULT false',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS rx_required BOOLEAN NOT NULL DEFAULT false',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS verified_by INTEGER REFERENCES users(id) ON DELETE SET NULL',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS verification_note TEXT',
+  `CREATE TABLE IF NOT EXISTS order_prescriptions (
+    id SERIAL PRIMARY KEY,
+    delivery_order_id INTEGER NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    file_data TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_order_prescriptions_order ON order_prescriptions(delivery_order_id)',
+  'CREATE EXTENSION IF NOT EXISTS pg_trgm',
+  `CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN (${productSearchVector('')})`,
+  'CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (LOWER(name) gin_trgm_ops)',
+  'CREATE INDEX IF NOT EXISTS idx_delivery_order_items_product ON delivery_order_items(product_id)',
+  `CREATE TABLE IF NOT EXISTS product_reviews (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    delivery_order_id INTEGER REFERENCES delivery_orders(id) ON DELETE SET NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    moderation_note TEXT,
+    moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP,
+    UNIQUE (product_id, user_id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_product_reviews_product ON product_reviews(product_id, status, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_product_reviews_status ON product_reviews(status, created_at)',
+  // Средняя оценка и число опубликованных отзывов хранятся в товаре, чтобы по ним можно было сортировать каталог
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_avg DECIMAL(3, 2)',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS reviews_count INTEGER NOT NULL DEFAULT 0',
+  // Действующие вещества (МНН): по совпадающему набору веществ подбираются аналоги
+  `CREATE TABLE IF NOT EXISTS active_ingredients (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    latin_name VARCHAR(150),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_active_ingredients_name ON active_ingredients(LOWER(name))',
+  `CREATE TABLE IF NOT EXISTS product_ingredients (
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    ingredient_id INTEGER NOT NULL REFERENCES active_ingredients(id),
+    dosage_value DECIMAL(10, 3),
+    dosage_unit VARCHAR(10),
+    PRIMARY KEY (product_id, ingredient_id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_product_ingredients_ingredient ON product_ingredients(ingredient_id)',
+  'ALTER TABLE products ADD COLUMN IF NOT EXISTS dosage_form VARCHAR(50)',
+  // Адресная книга: у пользователя несколько адресов, один из них — адрес по умолчанию
+  `DO $$
+   DECLARE constraint_name TEXT;
+   BEGIN
+     FOR constraint_name IN
+       SELECT con.conname
+       FROM pg_constraint con
+       JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+       WHERE con.conrelid = 'user_addresses'::regclass AND con.contype = 'u'
+         AND array_length(con.conkey, 1) = 1 AND a.attname = 'user_id'
+     LOOP
+       EXECUTE format('ALTER TABLE user_addresses DROP CONSTRAINT %I', constraint_name);
+     END LOOP;
+   END $$`,
+  'ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS label VARCHAR(100)',
+  'ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS apartment VARCHAR(20)',
+  'ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS entrance VARCHAR(20)',
+  'ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS floor VARCHAR(20)',
+  'ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS intercom VARCHAR(20)',
+  'ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS comment TEXT',
+  'ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  'ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP',
+  // Единственный адрес, сохраненный через карту, становится «другим» адресом по умолчанию
+  "UPDATE user_addresses SET address_type = 'other' WHERE address_type = 'delivery' OR address_type IS NULL",
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default ON user_addresses(user_id) WHERE is_default',
+  'CREATE INDEX IF NOT EXISTS idx_user_addresses_user ON user_addresses(user_id)',
+  // Зоны доставки: многоугольник [[lat, lng], ...] или радиус от аптеки
+  `CREATE TABLE IF NOT EXISTS delivery_zones (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    zone_type VARCHAR(10) NOT NULL,
+    polygon JSONB,
+    center_latitude DECIMAL(10, 8),
+    center_longitude DECIMAL(11, 8),
+    radius_km DECIMAL(6, 2),
+    delivery_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    free_delivery_from DECIMAL(10, 2),
+    min_order_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    priority INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+  )`,
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_zone_id INTEGER REFERENCES delivery_zones(id) ON DELETE SET NULL',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_address_id INTEGER',
+  // Окно доставки, выбранное покупателем (NULL — доставить как можно скорее)
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_slot_start TIMESTAMPTZ',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS delivery_slot_end TIMESTAMPTZ',
+  'CREATE INDEX IF NOT EXISTS idx_delivery_orders_slot_start ON delivery_orders(delivery_slot_start) WHERE delivery_slot_start IS NOT NULL',
+  // Аптеки (точки самовывоза). opening_hours: { "0": null, "1": { "open": "09:00", "close": "21:00" }, ... },
+  // ключ — день недели как в EXTRACT(DOW), null — выходной
+  `CREATE TABLE IF NOT EXISTS branches (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    address VARCHAR(500) NOT NULL,
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
+    phone VARCHAR(50),
+    opening_hours JSONB NOT NULL DEFAULT '{}',
+    pickup_enabled BOOLEAN NOT NULL DEFAULT true,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+  )`,
+  // Остатки по аптекам. products.stock_quantity остается остатком склада курьерской доставки
+  `CREATE TABLE IF NOT EXISTS branch_stock (
+    branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (branch_id, product_id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_branch_stock_product ON branch_stock(product_id)',
+  // Способ получения: delivery — курьером, pickup — самовывоз из аптеки по коду
+  "ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS fulfillment_type VARCHAR(20) NOT NULL DEFAULT 'delivery'",
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS pickup_branch_id INTEGER REFERENCES branches(id) ON DELETE SET NULL',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS pickup_code VARCHAR(10)',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS ready_at TIMESTAMP',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS picked_up_at TIMESTAMP',
+  'CREATE INDEX IF NOT EXISTS idx_delivery_orders_pickup_branch ON delivery_orders(pickup_branch_id) WHERE pickup_branch_id IS NOT NULL',
+  // Тарифы курьеров: ставка за доставку и оплата километров сверх included_km.
+  // Тариф по умолчанию действует для курьеров без couriers.tariff_id
+  `CREATE TABLE IF NOT EXISTS courier_tariffs (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    base_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    per_km_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    included_km DECIMAL(6, 2) NOT NULL DEFAULT 0,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+  )`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_courier_tariffs_default ON courier_tariffs(is_default) WHERE is_default',
+  `INSERT INTO courier_tariffs (name, base_fee, per_km_fee, included_km, is_default)
+   SELECT 'Базовый', 150, 15, 3, true
+   WHERE NOT EXISTS (SELECT 1 FROM courier_tariffs)`,
+  'ALTER TABLE couriers ADD COLUMN IF NOT EXISTS tariff_id INTEGER REFERENCES courier_tariffs(id) ON DELETE SET NULL',
+  `CREATE TABLE IF NOT EXISTS courier_payout_batches (
+    id SERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    couriers_count INTEGER NOT NULL DEFAULT 0,
+    note TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    paid_by INTEGER,
+    paid_at TIMESTAMP
+  )`,
+  // Журнал начислений курьерам. Записи только добавляются: исправление — новая запись bonus/penalty,
+  // выплата — отрицательная запись payout в пакете выплат. Баланс курьера — сумма его записей.
+  // Внешние ключи без ON DELETE: каскад изменил бы журнал
+  `CREATE TABLE IF NOT EXISTS courier_earnings (
+    id SERIAL PRIMARY KEY,
+    courier_id INTEGER NOT NULL REFERENCES couriers(id),
+    delivery_order_id INTEGER REFERENCES delivery_orders(id),
+    payout_batch_id INTEGER REFERENCES courier_payout_batches(id),
+    tariff_id INTEGER REFERENCES courier_tariffs(id),
+    entry_type VARCHAR(20) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    distance_km DECIMAL(8, 3),
+    description TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_courier_earnings_courier ON courier_earnings(courier_id, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_courier_earnings_batch ON courier_earnings(payout_batch_id) WHERE payout_batch_id IS NOT NULL',
+  // Начисление за доставку создается один раз на заказ
+  "CREATE UNIQUE INDEX IF NOT EXISTS idx_courier_earnings_delivery ON courier_earnings(delivery_order_id, entry_type) WHERE entry_type IN ('base', 'distance')",
+  `CREATE OR REPLACE FUNCTION courier_earnings_append_only() RETURNS trigger AS $$
+   BEGIN
+     RAISE EXCEPTION 'courier_earnings: записи журнала начислений нельзя изменять или удалять';
+   END;
+   $$ LANGUAGE plpgsql`,
+  'DROP TRIGGER IF EXISTS courier_earnings_append_only ON courier_earnings',
+  `CREATE TRIGGER courier_earnings_append_only BEFORE UPDATE OR DELETE ON courier_earnings
+   FOR EACH ROW EXECUTE FUNCTION courier_earnings_append_only()`,
+  // Заработок, накопленный в couriers.total_earnings до появления журнала, переносится одной записью
+  `INSERT INTO courier_earnings (courier_id, entry_type, amount, description)
+   SELECT c.id, 'opening', c.total_earnings, 'Начисления до перехода на журнал'
+   FROM couriers c
+   WHERE c.total_earnings > 0
+     AND NOT EXISTS (SELECT 1 FROM courier_earnings e WHERE e.courier_id = c.id)`,
+  // Сдача наличных курьером в кассу: ожидаемая сумма — подтвержденные курьером наличные по заказам
+  `CREATE TABLE IF NOT EXISTS courier_cash_handovers (
+    id SERIAL PRIMARY KEY,
+    courier_id INTEGER NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+    orders_count INTEGER NOT NULL DEFAULT 0,
+    expected_amount DECIMAL(12, 2) NOT NULL,
+    received_amount DECIMAL(12, 2) NOT NULL,
+    discrepancy DECIMAL(12, 2) NOT NULL,
+    note TEXT,
+    received_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_cash_handovers_courier ON courier_cash_handovers(courier_id, created_at)',
+  // Наличные, полученные курьером при доставке; заказ без cash_handover_id — деньги еще у курьера
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS cash_collected DECIMAL(10, 2)',
+  'ALTER TABLE delivery_orders ADD COLUMN IF NOT EXISTS cash_handover_id INTEGER REFERENCES courier_cash_handovers(id) ON DELETE SET NULL',
+  'CREATE INDEX IF NOT EXISTS idx_delivery_orders_cash_on_hand ON delivery_orders(courier_id) WHERE cash_collected IS NOT NULL AND cash_handover_id IS NULL',
+  // Количество в корзине и в заказе всегда положительное. Старые строки заказов не проверяются (NOT VALID),
+  // некорректные строки корзины удаляются
+  'DELETE FROM cart_items WHERE quantity IS NULL OR quantity < 1',
+  `DO $$
+   BEGIN
+     IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'cart_items_quantity_positive') THEN
+       ALTER TABLE cart_items ADD CONSTRAINT cart_items_quantity_positive CHECK (quantity > 0);
+     END IF;
+     IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'delivery_order_items_quantity_positive') THEN
+       ALTER TABLE delivery_order_items ADD CONSTRAINT delivery_order_items_quantity_positive CHECK (quantity > 0) NOT VALID;
+     END IF;
+   END $$`,
+  // Повторные opening-записи (параллельный запуск миграций до schema_migrations) удаляются один раз,
+  // дальше уникальный индекс не дает создать вторую
+  `DO $$
+   BEGIN
+     IF EXISTS (SELECT 1 FROM courier_earnings WHERE entry_type = 'opening' GROUP BY courier_id HAVING COUNT(*) > 1) THEN
+       ALTER TABLE courier_earnings DISABLE TRIGGER courier_earnings_append_only;
+       DELETE FROM courier_earnings e
+       WHERE e.entry_type = 'opening'
+         AND e.id > (SELECT MIN(o.id) FROM courier_earnings o WHERE o.courier_id = e.courier_id AND o.entry_type = 'opening');
+       ALTER TABLE courier_earnings ENABLE TRIGGER courier_earnings_append_only;
+     END IF;
+   END $$`,
+  "CREATE UNIQUE INDEX IF NOT EXISTS idx_courier_earnings_opening ON courier_earnings(courier_id) WHERE entry_type = 'opening'",
+  // Совпадение по категории в поиске товаров проверяется по category_id
+  'CREATE INDEX IF NOT EXISTS idx_products_category ON products(category_id)'
+];
+
+// Примененные миграции записываются в schema_migrations (версия — номер в schemaMigrations, с 1),
+// поэтому список только дополняется. Экземпляры сервера применяют миграции по очереди
+// под pg_advisory_lock: следующий видит уже примененные версии и ничего не выполняет.
+const SCHEMA_MIGRATIONS_LOCK_NAMESPACE = 1001;
+
+async function ensureSchema(pool) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1, 0)', [SCHEMA_MIGRATIONS_LOCK_NAMESPACE]);
+
+    try {
+      await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+      );
+      const { rows } = await client.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+
+      for (let version = rows[0].version + 1; version <= schemaMigrations.length; version++) {
+        await client.query('BEGIN');
+        try {
+          await client.query(schemaMigrations[version - 1]);
+          await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [version]);
+          await client.query('COMMIT');
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw new Error(`Миграция ${version} не применена: ${err.message}`);
+        }
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1, 0)', [SCHEMA_MIGRATIONS_LOCK_NAMESPACE]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Выполняет callback(client) внутри транзакции на отдельном соединении пула
+async function withTransaction(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
     throw err;
+  } finally {
+    client.release();
   }
 }
 
+// Идентификатор из URL: целое число в диапазоне INTEGER или null, если параметр некорректен
+function parseIdParam(value) {
+  const id = Number(value);
+  return /^\d+$/.test(String(value)) && id >= 1 && id <= 2147483647 ? id : null;
+}
+
 // Database connection middleware
 async function databaseMiddleware(req, res, next) {
   try {
-    if (!isDatabaseConnected) {
-      await initializeDatabase();
-    }
-    req.db = db;
+    req.db = await initializeDatabase();
     next();
   } catch (err) {
     console.error('❌ Ошибка подключения к БД в middleware:', err);
@@ -81,8 +604,24 @@ async function databaseMiddleware(req, res, next) {
   }
 }
 
-// Simple password hash function
-function simpleHash(password) {
+// ==================== PASSWORD HASHING ====================
+
+// Формат хеша: scrypt$v1$N$r$p$<salt base64>$<hash base64>
+const PASSWORD_HASH_VERSION = 'v1';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+function scryptAsync(password, salt, keyLength, options) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, options, (err, derivedKey) => {
+      if (err) reject(err);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+// Устаревший 32-битный хеш без соли, оставлен только для проверки старых паролей
+function legacyHash(password) {
   let hash = 0;
   for (let i = 0; i < password.length; i++) {
     const char = password.charCodeAt(i);
@@ -92,35 +631,211 @@ function simpleHash(password) {
   return hash.toString();
 }
 
-function comparePassword(password, hashedPassword) {
-  return simpleHash(password) === hashedPassword;
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derivedKey = await scryptAsync(String(password), salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ['scrypt', PASSWORD_HASH_VERSION, N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$');
+}
+
+// Возвращает { valid, needsRehash }; needsRehash = true для устаревших хешей
+async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const parts = String(storedHash).split('$');
+
+  if (parts[0] !== 'scrypt') {
+    return { valid: legacyHash(String(password)) === storedHash, needsRehash: true };
+  }
+
+  const [, version, N, r, p, saltBase64, hashBase64] = parts;
+  const expected = Buffer.from(hashBase64 || '', 'base64');
+  if (expected.length === 0) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const derivedKey = await scryptAsync(String(password), Buffer.from(saltBase64, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+
+  return {
+    valid: crypto.timingSafeEqual(derivedKey, expected),
+    needsRehash: version !== PASSWORD_HASH_VERSION ||
+      parseInt(N) !== SCRYPT_PARAMS.N ||
+      parseInt(r) !== SCRYPT_PARAMS.r ||
+      parseInt(p) !== SCRYPT_PARAMS.p
+  };
+}
+
+// ==================== SESSION TOKENS ====================
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function signAccessToken(payload) {
+  const body = base64url(JSON.stringify(payload));
+  const signature = base64url(crypto.createHmac('sha256', SESSION_SECRET).update(body).digest());
+  return `${body}.${signature}`;
+}
+
+function verifyAccessToken(token) {
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) return null;
+
+  const expected = base64url(crypto.createHmac('sha256', SESSION_SECRET).update(body).digest());
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Создает сессию и возвращает пару access/refresh токенов
+async function createSession(dbClient, userId, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const { rows } = await dbClient.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 second')
+     RETURNING id`,
+    [userId, hashRefreshToken(refreshToken), req.headers['user-agent'] || null, req.ip || null, REFRESH_TOKEN_TTL]
+  );
+
+  return {
+    token: signAccessToken({
+      sub: userId,
+      sid: rows[0].id,
+      exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL
+    }),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL
+  };
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Возвращает { userId, sessionId } для действующей сессии или null
+async function resolveSession(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  const payload = verifyAccessToken(token);
+  if (!payload) return null;
+
+  const { rows } = await req.db.query(
+    `SELECT s.id, s.user_id, u.role FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+    [payload.sid, payload.sub]
+  );
+
+  if (rows.length === 0) return null;
+
+  return { userId: rows[0].user_id, sessionId: rows[0].id, role: rows[0].role };
 }
 
-// User validation middleware
+// User validation middleware: пользователь определяется только по токену сессии
 async function validateUser(req, res, next) {
-  const { user_id } = req.body;
-  
-  if (!user_id) {
+  try {
+    const session = await resolveSession(req);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Не авторизован'
+      });
+    }
+
+    req.userId = session.userId;
+    req.sessionId = session.sessionId;
+    req.userRole = session.role;
+    next();
+  } catch (err) {
+    console.error('❌ Ошибка валидации пользователя:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера'
+    });
+  }
+}
+
+// Role middleware (после validateUser): requireRole('admin'), requireRole('admin', 'courier')
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.userRole)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Недостаточно прав'
+      });
+    }
+    next();
+  };
+}
+
+// Проверяет :id в URL до обращения к БД: нечисловой идентификатор — 400, а не ошибка запроса
+function validateIdParam(req, res, next) {
+  if (parseIdParam(req.params.id) === null) {
     return res.status(400).json({
       success: false,
-      error: 'user_id обязателен'
+      error: 'Некорректный идентификатор'
     });
   }
+  next();
+}
 
+// Courier validation middleware (после validateUser): пропускает только одобренных курьеров
+async function validateCourier(req, res, next) {
   try {
-    const { rows } = await req.db.query('SELECT id FROM users WHERE id = $1', [user_id]);
-    
+    const { rows } = await req.db.query('SELECT * FROM couriers WHERE user_id = $1', [req.userId]);
+
     if (rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Пользователь не найден'
+        error: 'Курьер не найден'
       });
     }
 
-    req.userId = user_id;
+    const courier = rows[0];
+
+    if (courier.application_status !== 'approved') {
+      return res.status(403).json({
+        success: false,
+        error: courier.application_status === 'rejected'
+          ? 'Заявка курьера отклонена'
+          : 'Заявка курьера еще не одобрена',
+        application_status: courier.application_status
+      });
+    }
+
+    req.courier = courier;
+    req.courierId = courier.id;
     next();
   } catch (err) {
-    console.error('❌ Ошибка валидации пользователя:', err);
+    console.error('❌ Ошибка проверки курьера:', err);
     res.status(500).json({
       success: false,
       error: 'Ошибка сервера'
@@ -222,9 +937,12 @@ app.post('/api/auth/google', databaseMiddleware, async (req, res) => {
       
       console.log('✅ Существующий пользователь найден:', user.id);
       
+      const session = await createSession(req.db, user.id, req);
+      
       res.json({
         success: true,
         exists: true,
+        ...session,
         user: {
           id: user.id,
           username: user.username,
@@ -270,16 +988,29 @@ app.post('/api/auth/google', databaseMiddleware, async (req, res) => {
 app.post('/api/auth/google/complete', databaseMiddleware, async (req, res) => {
   console.log('📨 POST /api/auth/google/complete');
   
-  const { google_id, email, username, password, first_name, last_name, phone, avatar } = req.body;
+  const { credential, username, password, first_name, last_name, phone, avatar } = req.body;
   
-  if (!google_id || !email) {
+  if (!credential) {
     return res.status(400).json({
       success: false,
-      error: 'Google ID и email обязательны'
+      error: 'Google credential обязателен'
     });
   }
 
   try {
+    // Google ID и email берутся только из проверенного токена, а не из тела запроса
+    const payload = await verifyGoogleToken(credential);
+
+    if (!payload || !payload.sub || !payload.email) {
+      return res.status(401).json({
+        success: false,
+        error: 'Неверный Google токен'
+      });
+    }
+
+    const google_id = payload.sub;
+    const email = payload.email;
+
     // Проверяем, не существует ли уже пользователь с таким username или email
     let existingUsers = [];
     if (username) {
@@ -308,10 +1039,10 @@ app.post('/api/auth/google/complete', databaseMiddleware, async (req, res) => {
     
     let hashedPassword = null;
     if (password && password.length >= 6) {
-      hashedPassword = simpleHash(password);
+      hashedPassword = await hashPassword(password);
     } else {
       // Генерируем случайный пароль для пользователей, которые регистрируются только через Google
-      hashedPassword = simpleHash(Math.random().toString(36) + Date.now().toString());
+      hashedPassword = await hashPassword(crypto.randomBytes(32).toString('hex'));
     }
 
     const { rows } = await req.db.query(
@@ -325,9 +1056,9 @@ app.post('/api/auth/google/complete', databaseMiddleware, async (req, res) => {
         email,
         hashedPassword,
         phone || null,
-        avatar || '',
+        avatar || payload.picture || '',
         google_id,
-        true,
+        payload.email_verified === true,
         1
       ]
     );
@@ -336,9 +1067,12 @@ app.post('/api/auth/google/complete', databaseMiddleware, async (req, res) => {
     
     console.log('✅ Google регистрация успешна:', user.id);
 
+    const session = await createSession(req.db, user.id, req);
+
     res.json({
       success: true,
       message: 'Google регистрация успешна',
+      ...session,
       user: {
         id: user.id,
         username: user.username,
@@ -364,1520 +1098,8246 @@ app.post('/api/auth/google/complete', databaseMiddleware, async (req, res) => {
 
 // ==================== МАРШРУТЫ ДЛЯ КАРТЫ (MAP.HTML) ====================
 
-// Save delivery address
-app.post('/api/delivery/address', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 POST /api/delivery/address');
-  
-  const { address, latitude, longitude } = req.body;
-  
-  if (!address) {
-    return res.status(400).json({
-      success: false,
-      error: 'Адрес обязателен'
-    });
+const ADDRESS_TYPES = ['home', 'work', 'relatives', 'other'];
+
+const ADDRESS_FIELDS = {
+  address: { type: 'string', required: true, max: 500 },
+  latitude: { type: 'number' },
+  longitude: { type: 'number' },
+  address_type: { type: 'string', values: ADDRESS_TYPES },
+  label: { type: 'string', max: 100 },
+  apartment: { type: 'string', max: 20 },
+  entrance: { type: 'string', max: 20 },
+  floor: { type: 'string', max: 20 },
+  intercom: { type: 'string', max: 20 },
+  comment: { type: 'string', max: 500 },
+  is_default: { type: 'boolean' }
+};
+
+function validateAddressInput(body, partial = false) {
+  const { values, errors } = validateFields(ADDRESS_FIELDS, body, partial);
+
+  const hasLatitude = values.latitude !== undefined && values.latitude !== null;
+  const hasLongitude = values.longitude !== undefined && values.longitude !== null;
+  if (hasLatitude !== hasLongitude || (hasLatitude && !isValidCoordinate(values.latitude, values.longitude))) {
+    errors.latitude = 'Укажите корректные координаты адреса';
   }
 
-  try {
-    // Сохраняем адрес доставки для пользователя
-    await req.db.query(
-      `INSERT INTO user_addresses (user_id, address, latitude, longitude, is_default, address_type)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       ON CONFLICT (user_id) 
-       DO UPDATE SET address = $2, latitude = $3, longitude = $4, updated_at = CURRENT_TIMESTAMP`,
-      [req.userId, address, latitude || null, longitude || null, true, 'delivery']
-    );
+  return { values, errors };
+}
 
-    // Также обновляем адрес в таблице пользователей для быстрого доступа
-    await req.db.query(
-      'UPDATE users SET delivery_address = $1, delivery_latitude = $2, delivery_longitude = $3 WHERE id = $4',
-      [address, latitude || null, longitude || null, req.userId]
+// Адрес по умолчанию дублируется в users: его используют оформление заказа и подбор курьеров
+async function syncDefaultAddress(client, userId) {
+  await client.query(
+    `UPDATE users u
+     SET delivery_address = a.address, delivery_latitude = a.latitude, delivery_longitude = a.longitude
+     FROM user_addresses a
+     WHERE u.id = $1 AND a.user_id = u.id AND a.is_default`,
+    [userId]
+  );
+}
+
+// Снимает флаг по умолчанию с остальных адресов и делает адресом по умолчанию addressId
+async function setDefaultAddress(client, userId, addressId) {
+  await client.query(
+    'UPDATE user_addresses SET is_default = false WHERE user_id = $1 AND is_default AND id <> $2',
+    [userId, addressId]
+  );
+  await client.query(
+    'UPDATE user_addresses SET is_default = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2',
+    [addressId, userId]
+  );
+  await syncDefaultAddress(client, userId);
+}
+
+async function insertUserAddress(client, userId, values) {
+  const { rows: existing } = await client.query(
+    'SELECT 1 FROM user_addresses WHERE user_id = $1 AND is_default',
+    [userId]
+  );
+  // Первый адрес всегда становится адресом по умолчанию
+  const makeDefault = values.is_default === true || existing.length === 0;
+
+  const { rows } = await client.query(
+    `INSERT INTO user_addresses (
+      user_id, address, latitude, longitude, address_type, label, apartment, entrance, floor, intercom, comment, is_default
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, false)
+    RETURNING id`,
+    [
+      userId, values.address, values.latitude ?? null, values.longitude ?? null, values.address_type || 'other',
+      values.label || null, values.apartment || null, values.entrance || null, values.floor || null,
+      values.intercom || null, values.comment || null
+    ]
+  );
+
+  if (makeDefault) {
+    await setDefaultAddress(client, userId, rows[0].id);
+  }
+
+  return getUserAddress(client, userId, rows[0].id);
+}
+
+async function getUserAddress(db, userId, addressId) {
+  const { rows } = await db.query(
+    'SELECT * FROM user_addresses WHERE id = $1 AND user_id = $2',
+    [addressId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Addresses - List (адрес по умолчанию первым)
+app.get('/api/addresses', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 GET /api/addresses');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT * FROM user_addresses
+       WHERE user_id = $1
+       ORDER BY is_default DESC, updated_at DESC NULLS LAST, id DESC`,
+      [req.userId]
     );
 
     res.json({
       success: true,
-      message: 'Адрес доставки сохранен',
-      address: address,
-      coordinates: { latitude, longitude }
+      addresses: rows,
+      address_types: ADDRESS_TYPES
     });
   } catch (err) {
-    console.error('❌ Ошибка сохранения адреса:', err);
+    console.error('❌ Ошибка получения адресов:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка сохранения адреса: ' + err.message
+      error: 'Ошибка получения адресов: ' + err.message
     });
   }
 });
 
-// Get user's delivery address
-app.get('/api/delivery/address', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/delivery/address');
-  
-  const { user_id } = req.query;
-  
-  if (!user_id) {
-    return res.status(400).json({
+// Addresses - Create
+app.post('/api/addresses', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/addresses');
+
+  const { values, errors } = validateAddressInput(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const address = await withTransaction(req.db, (client) => insertUserAddress(client, req.userId, values));
+
+    res.status(201).json({
+      success: true,
+      message: 'Адрес сохранен',
+      address
+    });
+  } catch (err) {
+    console.error('❌ Ошибка сохранения адреса:', err);
+    res.status(500).json({
       success: false,
-      error: 'user_id обязателен'
+      error: 'Ошибка сохранения адреса: ' + err.message
     });
   }
+});
+
+// Addresses - Update (передаются только изменяемые поля)
+app.put('/api/addresses/:id', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/addresses/' + req.params.id);
+
+  const { values, errors } = validateAddressInput(req.body, true);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  // Флаг по умолчанию меняется через /default, снять его можно только назначив другой адрес
+  const { is_default: isDefault, ...fields } = values;
+  const columns = Object.keys(fields);
 
   try {
-    const { rows } = await req.db.query(
-      `SELECT ua.* 
-       FROM user_addresses ua
-       WHERE ua.user_id = $1 AND ua.is_default = true AND ua.address_type = 'delivery'
-       ORDER BY ua.updated_at DESC
-       LIMIT 1`,
-      [user_id]
-    );
+    const address = await withTransaction(req.db, async (client) => {
+      const current = await getUserAddress(client, req.userId, req.params.id);
+      if (!current) {
+        return null;
+      }
 
-    if (rows.length === 0) {
-      // Пробуем получить из таблицы пользователей
-      const { rows: userRows } = await req.db.query(
-        'SELECT delivery_address, delivery_latitude, delivery_longitude FROM users WHERE id = $1',
-        [user_id]
-      );
-      
-      if (userRows.length > 0 && userRows[0].delivery_address) {
-        return res.json({
-          success: true,
-          address: {
-            address: userRows[0].delivery_address,
-            latitude: userRows[0].delivery_latitude,
-            longitude: userRows[0].delivery_longitude
-          }
-        });
+      if (columns.length > 0) {
+        const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+        await client.query(
+          `UPDATE user_addresses
+           SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $${columns.length + 1}`,
+          [...columns.map(column => fields[column]), current.id]
+        );
       }
-      
-      return res.json({
-        success: true,
-        address: null
+
+      if (isDefault === true) {
+        await setDefaultAddress(client, req.userId, current.id);
+      } else if (current.is_default) {
+        await syncDefaultAddress(client, req.userId);
+      }
+
+      return getUserAddress(client, req.userId, current.id);
+    });
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        error: 'Адрес не найден'
       });
     }
 
     res.json({
       success: true,
-      address: rows[0]
+      message: 'Адрес обновлен',
+      address
     });
   } catch (err) {
-    console.error('❌ Ошибка получения адреса:', err);
+    console.error('❌ Ошибка обновления адреса:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка получения адреса: ' + err.message
+      error: 'Ошибка обновления адреса: ' + err.message
     });
   }
 });
 
-// ==================== COURIER ROUTES (ВЗЯТО ИЗ ПЕРВОГО ФАЙЛА) ====================
+// Addresses - Make default
+app.post('/api/addresses/:id/default', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/addresses/' + req.params.id + '/default');
 
-// Courier - Get messages
-app.get('/api/courier/messages', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/courier/messages');
-  
   try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'user_id обязателен'
-      });
-    }
+    const address = await withTransaction(req.db, async (client) => {
+      const current = await getUserAddress(client, req.userId, req.params.id);
+      if (!current) {
+        return null;
+      }
 
-    // Получаем курьера по user_id
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id FROM couriers WHERE user_id = $1',
-      [user_id]
-    );
+      await setDefaultAddress(client, req.userId, current.id);
+      return getUserAddress(client, req.userId, current.id);
+    });
 
-    if (courierRows.length === 0) {
+    if (!address) {
       return res.status(404).json({
         success: false,
-        error: 'Курьер не найден'
+        error: 'Адрес не найден'
       });
     }
 
-    const courierId = courierRows[0].id;
-
-    const { rows } = await req.db.query(
-      `SELECT * FROM courier_messages 
-       WHERE courier_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT 50`,
-      [courierId]
-    );
-
     res.json({
       success: true,
-      messages: rows
+      message: 'Адрес выбран по умолчанию',
+      address
     });
   } catch (err) {
-    console.error('❌ Ошибка получения сообщений:', err);
+    console.error('❌ Ошибка выбора адреса по умолчанию:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка получения сообщений: ' + err.message
+      error: 'Ошибка выбора адреса: ' + err.message
     });
   }
 });
 
-// Courier - Mark message as read
-app.post('/api/courier/messages/:messageId/read', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/courier/messages/' + req.params.messageId + '/read');
-  
+// Addresses - Delete (если удален адрес по умолчанию, им становится последний измененный)
+app.delete('/api/addresses/:id', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 DELETE /api/addresses/' + req.params.id);
+
   try {
-    const { user_id } = req.body;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'user_id обязателен'
-      });
-    }
+    const deleted = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        'DELETE FROM user_addresses WHERE id = $1 AND user_id = $2 RETURNING *',
+        [req.params.id, req.userId]
+      );
 
-    // Получаем курьера по user_id
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id FROM couriers WHERE user_id = $1',
-      [user_id]
-    );
+      if (rows.length > 0 && rows[0].is_default) {
+        const { rows: next } = await client.query(
+          `SELECT id FROM user_addresses WHERE user_id = $1
+           ORDER BY updated_at DESC NULLS LAST, id DESC
+           LIMIT 1`,
+          [req.userId]
+        );
+
+        if (next.length > 0) {
+          await setDefaultAddress(client, req.userId, next[0].id);
+        } else {
+          await client.query(
+            'UPDATE users SET delivery_address = NULL, delivery_latitude = NULL, delivery_longitude = NULL WHERE id = $1',
+            [req.userId]
+          );
+        }
+      }
+
+      return rows[0];
+    });
 
-    if (courierRows.length === 0) {
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        error: 'Курьер не найден'
+        error: 'Адрес не найден'
       });
     }
 
-    const courierId = courierRows[0].id;
-
-    await req.db.query(
-      'UPDATE courier_messages SET is_read = true WHERE id = $1 AND courier_id = $2',
-      [req.params.messageId, courierId]
-    );
-
     res.json({
       success: true,
-      message: 'Сообщение помечено как прочитанное'
+      message: 'Адрес удален'
     });
   } catch (err) {
-    console.error('❌ Ошибка отметки сообщения:', err);
+    console.error('❌ Ошибка удаления адреса:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка отметки сообщения: ' + err.message
+      error: 'Ошибка удаления адреса: ' + err.message
     });
   }
 });
 
-// Courier - Get chats
-app.get('/api/courier/chats', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/courier/chats');
+// Save delivery address (карта: обновляет адрес по умолчанию или создает первый адрес)
+app.post('/api/delivery/address', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/delivery/address');
   
-  try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'user_id обязателен'
-      });
-    }
+  const { values, errors } = validateAddressInput({
+    address: req.body.address,
+    latitude: req.body.latitude,
+    longitude: req.body.longitude
+  });
 
-    // Получаем курьера по user_id
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id FROM couriers WHERE user_id = $1',
-      [user_id]
-    );
+  if (errors.address) {
+    return res.status(400).json({
+      success: false,
+      error: 'Адрес обязателен'
+    });
+  }
 
-    if (courierRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Курьер не найден'
-      });
-    }
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
 
-    const courierId = courierRows[0].id;
+  try {
+    const address = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        `UPDATE user_addresses
+         SET address = $2, latitude = $3, longitude = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND is_default
+         RETURNING id`,
+        [req.userId, values.address, values.latitude ?? null, values.longitude ?? null]
+      );
 
-    const { rows } = await req.db.query(
-      `SELECT * FROM courier_chats 
-       WHERE courier_id = $1 AND is_active = true 
-       ORDER BY last_message_at DESC`,
-      [courierId]
-    );
+      if (rows.length === 0) {
+        return insertUserAddress(client, req.userId, values);
+      }
+
+      await syncDefaultAddress(client, req.userId);
+      return getUserAddress(client, req.userId, rows[0].id);
+    });
 
     res.json({
       success: true,
-      chats: rows
+      message: 'Адрес доставки сохранен',
+      address: address.address,
+      address_id: address.id,
+      coordinates: { latitude: values.latitude, longitude: values.longitude }
     });
   } catch (err) {
-    console.error('❌ Ошибка получения чатов:', err);
+    console.error('❌ Ошибка сохранения адреса:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка получения чатов: ' + err.message
+      error: 'Ошибка сохранения адреса: ' + err.message
     });
   }
 });
 
-// Courier - Get chat messages
-app.get('/api/courier/chats/:chatId/messages', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/courier/chats/' + req.params.chatId + '/messages');
-  
+// Get user's delivery address
+app.get('/api/delivery/address', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 GET /api/delivery/address');
+
   try {
     const { rows } = await req.db.query(
-      `SELECT * FROM courier_chat_messages 
-       WHERE chat_id = $1 
-       ORDER BY created_at ASC 
-       LIMIT 100`,
-      [req.params.chatId]
+      `SELECT ua.* 
+       FROM user_addresses ua
+       WHERE ua.user_id = $1 AND ua.is_default = true
+       LIMIT 1`,
+      [req.userId]
     );
 
+    if (rows.length === 0) {
+      // Пробуем получить из таблицы пользователей
+      const { rows: userRows } = await req.db.query(
+        'SELECT delivery_address, delivery_latitude, delivery_longitude FROM users WHERE id = $1',
+        [req.userId]
+      );
+      
+      if (userRows.length > 0 && userRows[0].delivery_address) {
+        return res.json({
+          success: true,
+          address: {
+            address: userRows[0].delivery_address,
+            latitude: userRows[0].delivery_latitude,
+            longitude: userRows[0].delivery_longitude
+          }
+        });
+      }
+      
+      return res.json({
+        success: true,
+        address: null
+      });
+    }
+
     res.json({
       success: true,
-      messages: rows
+      address: rows[0]
     });
   } catch (err) {
-    console.error('❌ Ошибка получения сообщений чата:', err);
+    console.error('❌ Ошибка получения адреса:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка получения сообщений чата: ' + err.message
+      error: 'Ошибка получения адреса: ' + err.message
     });
   }
 });
 
-// Courier - Send message
-app.post('/api/courier/chats/:chatId/messages', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/courier/chats/' + req.params.chatId + '/messages');
-  
-  const { message, user_id } = req.body;
-  
-  if (!message) {
-    return res.status(400).json({
+// ==================== REALTIME (SERVER-SENT EVENTS) ====================
+
+// Новые строки courier_chat_messages и courier_messages публикуются триггерами через
+// pg_notify, поэтому события доходят до клиентов любого экземпляра сервера, даже если
+// сообщение записано не через API. Typing и read receipts рассылаются тем же каналом.
+const REALTIME_CHANNEL = 'realtime_events';
+const SSE_HEARTBEAT_INTERVAL = 25000;
+
+const eventSubscribers = new Map(); // userId -> Set<res>
+let realtimeListener = null;
+
+const CHAT_PAGE_SIZE = 50;
+const CHAT_PAGE_MAX = 100;
+
+// Отметка о прочтении только двигается вперед
+async function markChatRead(dbClient, chatId, userId, messageId) {
+  const { rows } = await dbClient.query(
+    `INSERT INTO courier_chat_reads (chat_id, user_id, last_read_message_id, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (chat_id, user_id) DO UPDATE
+     SET last_read_message_id = GREATEST(courier_chat_reads.last_read_message_id, EXCLUDED.last_read_message_id),
+         updated_at = CURRENT_TIMESTAMP
+     RETURNING last_read_message_id`,
+    [chatId, userId, messageId]
+  );
+  return rows[0].last_read_message_id;
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publishToUsers(userIds, event, data) {
+  for (const userId of new Set(userIds.map(String))) {
+    const connections = eventSubscribers.get(userId);
+    if (!connections) continue;
+    for (const res of connections) {
+      sendEvent(res, event, data);
+    }
+  }
+}
+
+async function notifyRealtime(dbClient, payload) {
+  await dbClient.query('SELECT pg_notify($1, $2)', [REALTIME_CHANNEL, JSON.stringify(payload)]);
+}
+
+// Пользователи, которым доставляются события чата: покупатель, курьер и поддержка
+async function getChatParticipantUserIds(dbClient, chatId) {
+  const { rows } = await dbClient.query(
+    `SELECT customer_user_id AS user_id FROM (${CHAT_MEMBERS_SELECT} WHERE ch.id = $1) members
+     UNION
+     SELECT courier_user_id FROM (${CHAT_MEMBERS_SELECT} WHERE ch.id = $1) members
+     UNION
+     SELECT id FROM users WHERE role = 'admin'`,
+    [chatId]
+  );
+  return rows.map(row => row.user_id).filter(userId => userId != null);
+}
+
+async function handleRealtimeNotification(pool, payload) {
+  if (payload.type === 'chat_message') {
+    const { rows } = await pool.query('SELECT * FROM courier_chat_messages WHERE id = $1', [payload.id]);
+    if (rows.length === 0) return;
+    publishToUsers(await getChatParticipantUserIds(pool, payload.chat_id), 'message', rows[0]);
+  } else if (payload.type === 'courier_message') {
+    const { rows } = await pool.query(
+      `SELECT m.*, c.user_id FROM courier_messages m
+       JOIN couriers c ON c.id = m.courier_id
+       WHERE m.id = $1`,
+      [payload.id]
+    );
+    if (rows.length === 0) return;
+    const { user_id: userId, ...message } = rows[0];
+    publishToUsers([userId], 'courier_message', message);
+  } else if (payload.type === 'typing' || payload.type === 'read') {
+    const { type, ...data } = payload;
+    const participants = await getChatParticipantUserIds(pool, payload.chat_id);
+    // Отправитель не получает собственный индикатор набора текста
+    const recipients = type === 'typing'
+      ? participants.filter(userId => String(userId) !== String(payload.user_id))
+      : participants;
+    publishToUsers(recipients, type, data);
+  }
+}
+
+// Слушатель занимает одно соединение пула; при обрыве переподключается
+async function ensureRealtimeListener(pool) {
+  if (realtimeListener) return;
+
+  realtimeListener = await pool.connect();
+  const listener = realtimeListener;
+
+  listener.on('notification', (msg) => {
+    let payload;
+    try {
+      payload = JSON.parse(msg.payload);
+    } catch (err) {
+      return;
+    }
+    handleRealtimeNotification(pool, payload).catch(err => {
+      console.error('❌ Ошибка обработки realtime-события:', err);
+    });
+  });
+
+  listener.on('error', (err) => {
+    console.error('❌ Realtime-слушатель отключился:', err);
+    listener.release(err);
+    realtimeListener = null;
+    if (eventSubscribers.size > 0) {
+      setTimeout(() => ensureRealtimeListener(pool).catch(() => {}), 5000);
+    }
+  });
+
+  await listener.query(`LISTEN ${REALTIME_CHANNEL}`);
+}
+
+// EventSource не умеет передавать заголовки, поэтому для потока токен принимается из query
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// Realtime - поток событий пользователя (message, courier_message, typing, read)
+app.get('/api/events', databaseMiddleware, tokenFromQuery, validateUser, async (req, res) => {
+  console.log('📨 GET /api/events');
+
+  try {
+    await ensureRealtimeListener(req.db);
+  } catch (err) {
+    console.error('❌ Ошибка запуска realtime-слушателя:', err);
+    return res.status(503).json({
       success: false,
-      error: 'Сообщение обязательно'
+      error: 'Realtime недоступен, используйте REST'
     });
   }
 
-  if (!user_id) {
-    return res.status(400).json({
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  sendEvent(res, 'ready', { user_id: req.userId });
+
+  const key = String(req.userId);
+  if (!eventSubscribers.has(key)) {
+    eventSubscribers.set(key, new Set());
+  }
+  eventSubscribers.get(key).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const connections = eventSubscribers.get(key);
+    if (connections) {
+      connections.delete(res);
+      if (connections.size === 0) eventSubscribers.delete(key);
+    }
+  });
+});
+
+// ==================== CHAT ROUTES ====================
+
+// Участники чата: у чата заказа - покупатель и назначенный на заказ курьер,
+// у чата поддержки (без заказа) - курьер или покупатель из courier_chats. Поддержка (admin) видит все чаты.
+// Курьер участвует в чатах, только пока его заявка одобрена.
+const CHAT_MEMBERS_SELECT = `
+  SELECT
+    ch.*,
+    o.order_code,
+    COALESCE(o.user_id, ch.user_id) AS customer_user_id,
+    COALESCE(oc.user_id, cc.user_id) AS courier_user_id
+  FROM courier_chats ch
+  LEFT JOIN delivery_orders o ON o.id = ch.delivery_order_id
+  LEFT JOIN couriers oc ON oc.id = o.courier_id AND oc.application_status = 'approved'
+  LEFT JOIN couriers cc ON cc.id = ch.courier_id AND ch.delivery_order_id IS NULL AND cc.application_status = 'approved'
+`;
+
+const CHAT_SENDER_NAMES = {
+  customer: 'Покупатель',
+  courier: 'Курьер',
+  support: 'Поддержка ФармаПлюс'
+};
+
+// Роль пользователя в чате (она же sender_type его сообщений) или null, если он не участник
+function getChatRole(chat, userId, userRole) {
+  if (chat.courier_user_id != null && String(chat.courier_user_id) === String(userId)) return 'courier';
+  if (chat.customer_user_id != null && String(chat.customer_user_id) === String(userId)) return 'customer';
+  if (userRole === 'admin') return 'support';
+  return null;
+}
+
+// Загружает чат из :chatId в req.chat и проверяет, что пользователь в нем участвует
+async function requireChatMember(req, res, next) {
+  if (!/^\d+$/.test(req.params.chatId)) {
+    return res.status(404).json({
       success: false,
-      error: 'user_id обязателен'
+      error: 'Чат не найден'
     });
   }
 
   try {
-    // Получаем данные курьера
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id, first_name FROM couriers WHERE user_id = $1',
-      [user_id]
-    );
+    const { rows } = await req.db.query(`${CHAT_MEMBERS_SELECT} WHERE ch.id = $1`, [req.params.chatId]);
 
-    if (courierRows.length === 0) {
+    if (rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Курьер не найден'
+        error: 'Чат не найден'
       });
     }
 
-    const courierId = courierRows[0].id;
-    const courierName = courierRows[0].first_name;
-
-    // Добавляем сообщение
-    const { rows } = await req.db.query(
-      `INSERT INTO courier_chat_messages (chat_id, sender_type, sender_name, message) 
-       VALUES ($1, $2, $3, $4) RETURNING *`,
-      [req.params.chatId, 'courier', courierName, message]
-    );
-
-    // Обновляем последнее сообщение в чате
-    await req.db.query(
-      `UPDATE courier_chats 
-       SET last_message = $1, last_message_at = CURRENT_TIMESTAMP, unread_count = unread_count + 1 
-       WHERE id = $2`,
-      [message, req.params.chatId]
-    );
+    const chatRole = getChatRole(rows[0], req.userId, req.userRole);
+    if (!chatRole) {
+      return res.status(403).json({
+        success: false,
+        error: 'Нет доступа к этому чату'
+      });
+    }
 
-    res.json({
-      success: true,
-      message: rows[0]
-    });
+    req.chat = rows[0];
+    req.chatRole = chatRole;
+    next();
   } catch (err) {
-    console.error('❌ Ошибка отправки сообщения:', err);
+    console.error('❌ Ошибка проверки доступа к чату:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка отправки сообщения: ' + err.message
+      error: 'Ошибка проверки доступа к чату: ' + err.message
     });
   }
-});
+}
+
+// Курьерские адреса чатов (/api/courier/chats...) открыты только одобренным курьерам, как и остальные /api/courier/*
+function validateCourierChatPath(req, res, next) {
+  if (req.path.startsWith('/api/courier/')) {
+    return validateCourier(req, res, next);
+  }
+  next();
+}
+
+// Чат заказа создается один раз; повторные вызовы возвращают существующий
+async function ensureOrderChat(dbClient, orderId) {
+  await dbClient.query(
+    `INSERT INTO courier_chats (delivery_order_id, is_active, last_message_at)
+     VALUES ($1, true, CURRENT_TIMESTAMP)
+     ON CONFLICT (delivery_order_id) WHERE delivery_order_id IS NOT NULL DO NOTHING`,
+    [orderId]
+  );
+
+  const { rows } = await dbClient.query(`${CHAT_MEMBERS_SELECT} WHERE ch.delivery_order_id = $1`, [orderId]);
+  return rows[0];
+}
 
-// Courier - Mark chat as read
-app.post('/api/courier/chats/:chatId/read', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/courier/chats/' + req.params.chatId + '/read');
+// Chats - List chats of the current user
+app.get(['/api/chats', '/api/courier/chats'], databaseMiddleware, validateUser, validateCourierChatPath, async (req, res) => {
+  console.log('📨 GET ' + req.path);
   
   try {
-    await req.db.query(
-      'UPDATE courier_chats SET unread_count = 0 WHERE id = $1',
-      [req.params.chatId]
+    // unread_count считается для текущего участника: чужие сообщения после его отметки о прочтении
+    const { rows } = await req.db.query(
+      `SELECT members.*,
+              COALESCE(r.last_read_message_id, 0) AS last_read_message_id,
+              (SELECT COUNT(*)::int FROM courier_chat_messages m
+               WHERE m.chat_id = members.id
+                 AND m.id > COALESCE(r.last_read_message_id, 0)
+                 AND m.sender_user_id IS DISTINCT FROM $1) AS unread_count
+       FROM (${CHAT_MEMBERS_SELECT}) members
+       LEFT JOIN courier_chat_reads r ON r.chat_id = members.id AND r.user_id = $1
+       WHERE members.is_active = true
+         AND (members.customer_user_id = $1 OR members.courier_user_id = $1 OR $2)
+       ORDER BY members.last_message_at DESC
+       LIMIT 100`,
+      [req.userId, req.userRole === 'admin']
     );
 
     res.json({
       success: true,
-      message: 'Чат помечен как прочитанный'
+      chats: rows.map(chat => ({ ...chat, role: getChatRole(chat, req.userId, req.userRole) }))
     });
   } catch (err) {
-    console.error('❌ Ошибка отметки чата:', err);
+    console.error('❌ Ошибка получения чатов:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка отметки чата: ' + err.message
+      error: 'Ошибка получения чатов: ' + err.message
     });
   }
 });
 
-// Courier - Complete order
-app.post('/api/courier/orders/complete', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/courier/orders/complete');
-  
-  const { order_id, user_id } = req.body;
-  
-  if (!order_id || !user_id) {
-    return res.status(400).json({
-      success: false,
-      error: 'order_id и user_id обязательны'
-    });
-  }
+// Chats - Open (or create) the chat of an order
+app.post('/api/orders/:id/chat', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/orders/' + req.params.id + '/chat');
 
   try {
-    // Получаем courier_id по user_id
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id FROM couriers WHERE user_id = $1',
-      [user_id]
+    const { rows } = await req.db.query(
+      `SELECT o.id, o.user_id, c.user_id AS courier_user_id
+       FROM delivery_orders o
+       LEFT JOIN couriers c ON c.id = o.courier_id AND c.application_status = 'approved'
+       WHERE o.id = $1`,
+      [parseIdParam(req.params.id)]
     );
 
-    if (courierRows.length === 0) {
+    if (rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Курьер не найден'
+        error: 'Заказ не найден'
       });
     }
 
-    const courierId = courierRows[0].id;
-
-    const { rows } = await req.db.query(
-      'UPDATE delivery_orders SET status = $1, delivered_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = $3 AND courier_id = $4 RETURNING *',
-      ['delivered', order_id, 'assigned', courierId]
-    );
-
-    if (rows.length === 0) {
-      return res.status(400).json({
+    if (!getChatRole({ customer_user_id: rows[0].user_id, courier_user_id: rows[0].courier_user_id }, req.userId, req.userRole)) {
+      return res.status(403).json({
         success: false,
-        error: 'Заказ не найден или не был принят'
+        error: 'Нет доступа к этому заказу'
       });
     }
 
-    // Обновляем статистику курьера
-    await req.db.query(
-      'UPDATE couriers SET completed_orders = completed_orders + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-      [courierId]
-    );
-
-    // Рассчитываем и обновляем заработок (простая логика - 10% от суммы заказа)
-    const orderAmount = parseFloat(rows[0].total_amount) || 0;
-    const earnings = orderAmount * 0.1;
-
-    await req.db.query(
-      'UPDATE couriers SET total_earnings = total_earnings + $1, today_earnings = today_earnings + $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-      [earnings, earnings, courierId]
-    );
+    const chat = await ensureOrderChat(req.db, rows[0].id);
 
     res.json({
       success: true,
-      message: 'Заказ доставлен',
-      order: rows[0],
-      earnings: earnings
+      chat: { ...chat, role: getChatRole(chat, req.userId, req.userRole) }
     });
   } catch (err) {
-    console.error('❌ Ошибка завершения заказа:', err);
+    console.error('❌ Ошибка открытия чата заказа:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка завершения заказа: ' + err.message
+      error: 'Ошибка открытия чата заказа: ' + err.message
     });
   }
 });
 
-// Courier - Cancel order
-app.post('/api/courier/orders/cancel', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/courier/orders/cancel');
+// Chats - Get chat messages
+app.get(['/api/chats/:chatId/messages', '/api/courier/chats/:chatId/messages'], databaseMiddleware, validateUser, validateCourierChatPath, requireChatMember, async (req, res) => {
+  console.log('📨 GET ' + req.path);
   
-  const { order_id, user_id, reason } = req.body;
-  
-  if (!order_id || !user_id) {
+  // Курсорная пагинация: ?before=<id> - более ранние сообщения, ?after=<id> - новые после id
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || CHAT_PAGE_SIZE, 1), CHAT_PAGE_MAX);
+  const before = req.query.before ? parseInt(req.query.before, 10) : null;
+  const after = req.query.after ? parseInt(req.query.after, 10) : null;
+
+  if ((req.query.before && !Number.isInteger(before)) || (req.query.after && !Number.isInteger(after))) {
     return res.status(400).json({
       success: false,
-      error: 'order_id и user_id обязательны'
+      error: 'Некорректный курсор'
     });
   }
 
   try {
-    // Получаем courier_id по user_id
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id FROM couriers WHERE user_id = $1',
-      [user_id]
-    );
-
-    if (courierRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Курьер не найден'
-      });
+    const params = [req.chat.id, limit + 1];
+    let query;
+
+    if (after !== null) {
+      params.push(after);
+      query = `SELECT * FROM courier_chat_messages
+               WHERE chat_id = $1 AND id > $3
+               ORDER BY id ASC
+               LIMIT $2`;
+    } else {
+      let condition = '';
+      if (before !== null) {
+        params.push(before);
+        condition = 'AND id < $3';
+      }
+      query = `SELECT * FROM (
+                 SELECT * FROM courier_chat_messages
+                 WHERE chat_id = $1 ${condition}
+                 ORDER BY id DESC
+                 LIMIT $2
+               ) page ORDER BY id ASC`;
     }
 
-    const courierId = courierRows[0].id;
-
-    const { rows } = await req.db.query(
-      'UPDATE delivery_orders SET status = $1, cancelled_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = $3 AND courier_id = $4 RETURNING *',
-      ['cancelled', order_id, 'assigned', courierId]
-    );
+    const { rows } = await req.db.query(query, params);
+    const hasMore = rows.length > limit;
+    let messages = rows;
+    if (hasMore) {
+      // Лишняя строка показывает, что есть еще страница; отбрасываем ее с дальнего края
+      messages = after !== null ? rows.slice(0, limit) : rows.slice(1);
+    }
 
-    if (rows.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Заказ не найден или не был принят'
-      });
+    let nextCursor = null;
+    if (hasMore && messages.length > 0) {
+      nextCursor = after !== null ? messages[messages.length - 1].id : messages[0].id;
     }
 
     res.json({
       success: true,
-      message: 'Заказ отменен',
-      order: rows[0]
+      messages,
+      has_more: hasMore,
+      next_cursor: nextCursor
     });
   } catch (err) {
-    console.error('❌ Ошибка отмены заказа:', err);
+    console.error('❌ Ошибка получения сообщений чата:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка отмены заказа: ' + err.message
+      error: 'Ошибка получения сообщений чата: ' + err.message
     });
   }
 });
 
-// Courier - Get order details
-app.get('/api/courier/orders/:orderId', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/courier/orders/' + req.params.orderId);
+// Chats - Send message
+app.post(['/api/chats/:chatId/messages', '/api/courier/chats/:chatId/messages'], databaseMiddleware, validateUser, validateCourierChatPath, requireChatMember, async (req, res) => {
+  console.log('📨 POST ' + req.path);
   
-  try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'user_id обязателен'
-      });
-    }
+  const { message } = req.body;
+  
+  if (!message) {
+    return res.status(400).json({
+      success: false,
+      error: 'Сообщение обязательно'
+    });
+  }
 
-    const { rows } = await req.db.query(`
-      SELECT 
-        o.*,
-        c.first_name as courier_name,
-        json_agg(
-          json_build_object(
-            'id', p.id,
-            'name', doi.product_name,
-            'quantity', doi.quantity,
-            'price', doi.unit_price,
-            'total_price', doi.total_price
-          )
-        ) as products
-      FROM delivery_orders o
-      LEFT JOIN delivery_order_items doi ON o.id = doi.delivery_order_id
-      LEFT JOIN products p ON doi.product_id = p.id
-      LEFT JOIN couriers c ON o.courier_id = c.id
-      WHERE o.id = $1
-      GROUP BY o.id, c.first_name
-    `, [req.params.orderId]);
+  if (!req.chat.is_active) {
+    return res.status(409).json({
+      success: false,
+      error: 'Чат закрыт'
+    });
+  }
 
-    if (rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Заказ не найден'
-      });
-    }
+  try {
+    const { rows: users } = await req.db.query(
+      'SELECT first_name, last_name FROM users WHERE id = $1',
+      [req.userId]
+    );
+    const senderName = req.chatRole === 'support'
+      ? CHAT_SENDER_NAMES.support
+      : `${users[0].first_name || ''} ${users[0].last_name || ''}`.trim() || CHAT_SENDER_NAMES[req.chatRole];
+
+    // Добавляем сообщение (триггер разошлет его подключенным участникам)
+    const { rows } = await req.db.query(
+      `INSERT INTO courier_chat_messages (chat_id, sender_type, sender_name, sender_user_id, message) 
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [req.chat.id, req.chatRole, senderName, req.userId, message]
+    );
+
+    // Обновляем последнее сообщение в чате; непрочитанные считаются по courier_chat_reads
+    await req.db.query(
+      `UPDATE courier_chats 
+       SET last_message = $1, last_message_at = CURRENT_TIMESTAMP 
+       WHERE id = $2`,
+      [message, req.chat.id]
+    );
+
+    // Свои сообщения отправитель уже прочитал
+    await markChatRead(req.db, req.chat.id, req.userId, rows[0].id);
 
     res.json({
       success: true,
-      order: rows[0]
+      message: rows[0]
     });
   } catch (err) {
-    console.error('❌ Ошибка получения деталей заказа:', err);
+    console.error('❌ Ошибка отправки сообщения:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка получения деталей заказа: ' + err.message
+      error: 'Ошибка отправки сообщения: ' + err.message
     });
   }
 });
 
-// Courier - Update profile
-app.put('/api/courier/profile', databaseMiddleware, async (req, res) => {
-  console.log('📨 PUT /api/courier/profile');
+// Chats - Mark chat as read
+app.post(['/api/chats/:chatId/read', '/api/courier/chats/:chatId/read'], databaseMiddleware, validateUser, validateCourierChatPath, requireChatMember, async (req, res) => {
+  console.log('📨 POST ' + req.path);
   
-  const { user_id, first_name, last_name, phone, vehicle_type, vehicle_number } = req.body;
-  
-  if (!user_id) {
-    return res.status(400).json({
-      success: false,
-      error: 'user_id обязателен'
-    });
-  }
-
   try {
-    const { rows } = await req.db.query(
-      `UPDATE couriers 
-       SET first_name = $1, last_name = $2, phone = $3, vehicle_type = $4, vehicle_number = $5, updated_at = CURRENT_TIMESTAMP 
-       WHERE user_id = $6 
-       RETURNING *`,
-      [first_name, last_name, phone, vehicle_type, vehicle_number, user_id]
-    );
+    let messageId = req.body && req.body.message_id ? parseInt(req.body.message_id, 10) : null;
 
-    if (rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Курьер не найден'
-      });
+    if (!messageId) {
+      const { rows } = await req.db.query(
+        'SELECT COALESCE(MAX(id), 0) AS id FROM courier_chat_messages WHERE chat_id = $1',
+        [req.chat.id]
+      );
+      messageId = rows[0].id;
+    }
+
+    const lastReadMessageId = await markChatRead(req.db, req.chat.id, req.userId, messageId);
+
+    // Счетчик в courier_chats оставлен для старых клиентов курьера
+    if (req.chatRole === 'courier') {
+      await req.db.query(
+        'UPDATE courier_chats SET unread_count = 0 WHERE id = $1',
+        [req.chat.id]
+      );
     }
 
+    await notifyRealtime(req.db, {
+      type: 'read',
+      chat_id: req.chat.id,
+      user_id: req.userId,
+      role: req.chatRole,
+      last_read_message_id: lastReadMessageId
+    });
+
     res.json({
       success: true,
-      message: 'Профиль курьера обновлен',
-      courier: rows[0]
+      message: 'Чат помечен как прочитанный',
+      last_read_message_id: lastReadMessageId
     });
   } catch (err) {
-    console.error('❌ Ошибка обновления профиля курьера:', err);
+    console.error('❌ Ошибка отметки чата:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка обновления профиля курьера: ' + err.message
+      error: 'Ошибка отметки чата: ' + err.message
     });
   }
 });
 
-// Courier - Update status
-app.post('/api/courier/status', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/courier/status');
-  
-  const { user_id, status } = req.body;
-  
-  if (!user_id || !status) {
-    return res.status(400).json({
+// Chats - Typing indicator (только realtime, не сохраняется)
+app.post(['/api/chats/:chatId/typing', '/api/courier/chats/:chatId/typing'], databaseMiddleware, validateUser, validateCourierChatPath, requireChatMember, async (req, res) => {
+  console.log('📨 POST ' + req.path);
+
+  try {
+    await notifyRealtime(req.db, {
+      type: 'typing',
+      chat_id: req.chat.id,
+      user_id: req.userId,
+      role: req.chatRole,
+      is_typing: req.body.is_typing !== false
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Ошибка отправки статуса набора:', err);
+    res.status(500).json({
       success: false,
-      error: 'user_id и status обязательны'
+      error: 'Ошибка отправки статуса набора: ' + err.message
     });
   }
+});
+
+// ==================== COURIER ROUTES (ВЗЯТО ИЗ ПЕРВОГО ФАЙЛА) ====================
 
+// Courier - Get messages
+app.get('/api/courier/messages', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 GET /api/courier/messages');
+  
   try {
+    const courierId = req.courierId;
+
     const { rows } = await req.db.query(
-      `UPDATE couriers 
-       SET status = $1, last_activity = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
-       WHERE user_id = $2 
-       RETURNING *`,
-      [status, user_id]
+      `SELECT * FROM courier_messages 
+       WHERE courier_id = $1 
+       ORDER BY created_at DESC 
+       LIMIT 50`,
+      [courierId]
     );
 
-    if (rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Курьер не найден'
-      });
-    }
-
     res.json({
       success: true,
-      message: 'Статус обновлен',
-      courier: rows[0]
+      messages: rows
     });
   } catch (err) {
-    console.error('❌ Ошибка обновления статуса курьера:', err);
+    console.error('❌ Ошибка получения сообщений:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка обновления статуса курьера: ' + err.message
+      error: 'Ошибка получения сообщений: ' + err.message
     });
   }
 });
 
-// Courier - Get work schedule
-app.get('/api/courier/schedule', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/courier/schedule');
+// Courier - Mark message as read
+app.post('/api/courier/messages/:messageId/read', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 POST /api/courier/messages/' + req.params.messageId + '/read');
   
   try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'user_id обязателен'
-      });
-    }
-
-    // Получаем курьера по user_id
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id FROM couriers WHERE user_id = $1',
-      [user_id]
-    );
-
-    if (courierRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Курьер не найден'
-      });
-    }
+    const courierId = req.courierId;
 
-    const courierId = courierRows[0].id;
-
-    const { rows } = await req.db.query(
-      `SELECT * FROM courier_work_schedule 
-       WHERE courier_id = $1 AND is_active = true 
-       ORDER BY day_of_week, start_time`,
-      [courierId]
+    await req.db.query(
+      'UPDATE courier_messages SET is_read = true WHERE id = $1 AND courier_id = $2',
+      [req.params.messageId, courierId]
     );
 
     res.json({
       success: true,
-      schedule: rows
+      message: 'Сообщение помечено как прочитанное'
     });
   } catch (err) {
-    console.error('❌ Ошибка получения расписания:', err);
+    console.error('❌ Ошибка отметки сообщения:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка получения расписания: ' + err.message
+      error: 'Ошибка отметки сообщения: ' + err.message
     });
   }
 });
 
-// Courier - Update work schedule
-app.post('/api/courier/schedule', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/courier/schedule');
-  
-  const { user_id, schedule } = req.body;
-  
-  if (!user_id || !schedule) {
-    return res.status(400).json({
-      success: false,
-      error: 'user_id и schedule обязательны'
-    });
-  }
-
-  try {
-    // Получаем курьера по user_id
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id FROM couriers WHERE user_id = $1',
-      [user_id]
-    );
+const COURIER_ORDERS_SELECT = `
+  SELECT
+    o.*,
+    COALESCE(o.courier_id = $1, false) AS is_mine,
+    c.first_name AS courier_name,
+    COALESCE((
+      SELECT json_agg(
+        json_build_object(
+          'id', doi.product_id,
+          'name', doi.product_name,
+          'quantity', doi.quantity,
+          'price', doi.unit_price,
+          'total_price', doi.total_price
+        ) ORDER BY doi.id
+      )
+      FROM delivery_order_items doi
+      WHERE doi.delivery_order_id = o.id
+    ), '[]') AS products
+  FROM delivery_orders o
+  LEFT JOIN couriers c ON o.courier_id = c.id
+`;
+
+// Свободный заказ из общего пула, доступный курьеру (courierParam — плейсхолдер id курьера)
+function courierPoolOrderSql(courierParam) {
+  return `(
+    o.status = 'pending' AND o.courier_id IS NULL AND ${ORDER_DISPATCHABLE_SQL}
+    -- заказ, предложенный диспетчером другому курьеру, скрыт до истечения предложения
+    AND NOT EXISTS (
+      SELECT 1 FROM delivery_order_offers f
+      WHERE f.delivery_order_id = o.id AND f.status = 'offered'
+        AND f.expires_at > CURRENT_TIMESTAMP AND f.courier_id <> ${courierParam}
+    )
+  )`;
+}
 
-    if (courierRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Курьер не найден'
-      });
-    }
+// Courier - Get orders (свободные заказы + активные заказы курьера)
+app.get('/api/courier/orders', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 GET /api/courier/orders');
 
-    const courierId = courierRows[0].id;
+  try {
+    const courierId = req.courierId;
 
-    // Удаляем старое расписание
-    await req.db.query(
-      'DELETE FROM courier_work_schedule WHERE courier_id = $1',
+    const { rows } = await req.db.query(
+      `${COURIER_ORDERS_SELECT}
+       WHERE ${courierPoolOrderSql('$1')}
+          OR (o.status = 'assigned' AND o.courier_id = $1)
+       -- заказы на окно доставки сортируются по началу окна, остальные — по времени создания
+       ORDER BY is_mine DESC, COALESCE(o.delivery_slot_start, o.created_at) ASC`,
       [courierId]
     );
 
-    // Добавляем новое расписание
-    for (const daySchedule of schedule) {
-      await req.db.query(
-        `INSERT INTO courier_work_schedule (courier_id, day_of_week, start_time, end_time, is_active) 
-         VALUES ($1, $2, $3, $4, $5)`,
-        [courierId, daySchedule.day_of_week, daySchedule.start_time, daySchedule.end_time, daySchedule.is_active || true]
-      );
-    }
-
     res.json({
       success: true,
-      message: 'Расписание обновлено'
+      orders: rows
     });
   } catch (err) {
-    console.error('❌ Ошибка обновления расписания:', err);
+    console.error('❌ Ошибка получения заказов курьера:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка обновления расписания: ' + err.message
+      error: 'Ошибка получения заказов курьера: ' + err.message
     });
   }
 });
 
-// Courier - Get earnings
-app.get('/api/courier/earnings', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/courier/earnings');
-  
-  try {
-    const { user_id, period = 'today' } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'user_id обязателен'
-      });
-    }
+// Назначает заказ курьеру внутри транзакции. Условный UPDATE атомарен:
+// из двух одновременных запросов заказ получит только один курьер.
+// Заказ с действующим предложением другому курьеру назначить нельзя.
+async function assignOrderToCourier(client, orderId, courierId, note = null) {
+  const { rows } = await client.query(
+    `UPDATE delivery_orders o
+     SET courier_id = $1, status = 'assigned', assigned_at = CURRENT_TIMESTAMP
+     WHERE o.id = $2 AND ${courierPoolOrderSql('$1')}
+     RETURNING *`,
+    [courierId, orderId]
+  );
 
-    // Получаем курьера по user_id
-    const { rows: courierRows } = await req.db.query(
-      'SELECT id, total_earnings, today_earnings FROM couriers WHERE user_id = $1',
-      [user_id]
+  if (rows.length > 0) {
+    await recordOrderStatus(client, rows[0].id, 'assigned', note);
+    // Остальные предложения по этому заказу больше не актуальны
+    await client.query(
+      `UPDATE delivery_order_offers SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+       WHERE delivery_order_id = $1 AND status = 'offered' AND courier_id <> $2`,
+      [rows[0].id, courierId]
     );
+    // Покупатель и курьер получают общий чат по заказу
+    await ensureOrderChat(client, rows[0].id);
+  }
 
-    if (courierRows.length === 0) {
-      return res.status(404).json({
+  return rows;
+}
+
+// Courier - Accept order
+app.post('/api/courier/orders/accept', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 POST /api/courier/orders/accept');
+
+  const { order_id } = req.body;
+
+  if (!order_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'order_id обязателен'
+    });
+  }
+
+  try {
+    const courierId = req.courierId;
+
+    const rows = await withTransaction(req.db, (client) => assignOrderToCourier(client, order_id, courierId));
+
+    if (rows.length === 0) {
+      return res.status(409).json({
         success: false,
-        error: 'Курьер не найден'
+        error: 'Заказ уже принят другим курьером или недоступен'
       });
     }
 
-    const courier = courierRows[0];
-    let earningsData = [];
-
-    if (period === 'today') {
-      const { rows } = await req.db.query(`
-        SELECT 
-          o.id,
-          o.order_code,
-          o.total_amount,
-          (o.total_amount * 0.1) as courier_earnings,
-          o.delivered_at
-        FROM delivery_orders o
-        WHERE o.courier_id = $1 
-          AND o.status = 'delivered'
-          AND DATE(o.delivered_at) = CURRENT_DATE
-        ORDER BY o.delivered_at DESC
-      `, [courier.id]);
-
-      earningsData = rows;
-    } else if (period === 'week') {
-      const { rows } = await req.db.query(`
-        SELECT 
-          o.id,
-          o.order_code,
-          o.total_amount,
-          (o.total_amount * 0.1) as courier_earnings,
-          o.delivered_at
-        FROM delivery_orders o
-        WHERE o.courier_id = $1 
-          AND o.status = 'delivered'
-          AND o.delivered_at >= CURRENT_DATE - INTERVAL '7 days'
-        ORDER BY o.delivered_at DESC
-      `, [courier.id]);
-
-      earningsData = rows;
-    } else if (period === 'month') {
-      const { rows } = await req.db.query(`
-        SELECT 
-          o.id,
-          o.order_code,
-          o.total_amount,
-          (o.total_amount * 0.1) as courier_earnings,
-          o.delivered_at
-        FROM delivery_orders o
-        WHERE o.courier_id = $1 
-          AND o.status = 'delivered'
-          AND o.delivered_at >= CURRENT_DATE - INTERVAL '30 days'
-        ORDER BY o.delivered_at DESC
-      `, [courier.id]);
-
-      earningsData = rows;
-    }
-
-    const totalEarnings = earningsData.reduce((sum, item) => sum + parseFloat(item.courier_earnings), 0);
+    console.log('✅ Заказ принят курьером:', rows[0].id, courierId);
 
     res.json({
       success: true,
-      earnings: {
-        total_earnings: parseFloat(courier.total_earnings) || 0,
-        today_earnings: parseFloat(courier.today_earnings) || 0,
-        period_earnings: totalEarnings,
-        orders: earningsData
-      }
+      message: 'Заказ принят',
+      order: rows[0]
     });
   } catch (err) {
-    console.error('❌ Ошибка получения заработка:', err);
+    console.error('❌ Ошибка принятия заказа:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка получения заработка: ' + err.message
+      error: 'Ошибка принятия заказа: ' + err.message
     });
   }
 });
 
-// ==================== USER PROFILE ROUTES (ВЗЯТО ИЗ ПЕРВОГО ФАЙЛА) ====================
+function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+// Courier - Report location (GPS-точка трека во время доставки)
+app.post('/api/courier/orders/:orderId/location', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  const latitude = Number(req.body.latitude);
+  const longitude = Number(req.body.longitude);
+  const { accuracy, speed, heading, recorded_at } = req.body;
+
+  if (!isValidCoordinate(latitude, longitude)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Некорректные координаты'
+    });
+  }
+
+  // Время с устройства принимаем, только если оно не из будущего
+  const recordedAt = recorded_at && new Date(recorded_at) <= new Date() ? new Date(recorded_at) : new Date();
 
-// User - Update profile
-app.put('/api/user/update-profile', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 PUT /api/user/update-profile');
-  
-  const { first_name, last_name, middle_name, phone } = req.body;
-  
   try {
+    const { rows: orderRows } = await req.db.query(
+      "SELECT id FROM delivery_orders WHERE id = $1 AND courier_id = $2 AND status = 'assigned'",
+      [req.params.orderId, req.courierId]
+    );
+
+    if (orderRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Активный заказ не найден'
+      });
+    }
+
     await req.db.query(
-      'UPDATE users SET first_name = $1, last_name = $2, middle_name = $3, phone = $4 WHERE id = $5',
-      [first_name, last_name, middle_name, phone, req.userId]
+      `INSERT INTO courier_location_points (delivery_order_id, courier_id, latitude, longitude, accuracy, speed, heading, recorded_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [req.params.orderId, req.courierId, latitude, longitude, accuracy ?? null, speed ?? null, heading ?? null, recordedAt]
     );
 
-    const { rows } = await req.db.query('SELECT * FROM users WHERE id = $1', [req.userId]);
-    const user = rows[0];
-    delete user.password;
+    await req.db.query(
+      `UPDATE couriers
+       SET current_latitude = $1, current_longitude = $2, location_updated_at = $3, last_activity = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [latitude, longitude, recordedAt, req.courierId]
+    );
 
     res.json({
-      success: true,
-      message: 'Профиль успешно обновлен',
-      user: user
+      success: true
     });
   } catch (err) {
-    console.error('❌ Ошибка обновления профиля:', err);
+    console.error('❌ Ошибка сохранения координат:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка обновления профиля'
+      error: 'Ошибка сохранения координат: ' + err.message
     });
   }
 });
 
-// User - Change password
-app.post('/api/user/change-password', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 POST /api/user/change-password');
+// Courier - Complete order
+app.post('/api/courier/orders/complete', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 POST /api/courier/orders/complete');
   
-  const { current_password, new_password } = req.body;
+  const { order_id, cash_received } = req.body;
   
-  if (!current_password || !new_password) {
+  if (!order_id) {
     return res.status(400).json({
       success: false,
-      error: 'Все поля обязательны'
+      error: 'order_id обязателен'
     });
   }
 
+  const cashReceived = cash_received === undefined || cash_received === null || cash_received === ''
+    ? null
+    : Number(cash_received);
+
+  if (cashReceived !== null && (!Number.isFinite(cashReceived) || cashReceived < 0)) {
+    return sendValidationErrors(res, { cash_received: 'Должно быть неотрицательным числом' });
+  }
+
   try {
-    const { rows } = await req.db.query('SELECT * FROM users WHERE id = $1', [req.userId]);
-    
-    if (rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Пользователь не найден'
-      });
-    }
+    const courierId = req.courierId;
 
-    const user = rows[0];
-    
-    const isPasswordValid = comparePassword(current_password, user.password);
-    if (!isPasswordValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Текущий пароль неверен'
-      });
-    }
+    const { order, entries } = await withTransaction(req.db, async (client) => {
+      const { rows: current } = await client.query(
+        'SELECT id, payment_method, total_amount FROM delivery_orders WHERE id = $1 AND status = $2 AND courier_id = $3 FOR UPDATE',
+        [order_id, 'assigned', courierId]
+      );
 
-    const hashedNewPassword = simpleHash(new_password);
-    await req.db.query('UPDATE users SET password = $1 WHERE id = $2', [hashedNewPassword, req.userId]);
+      if (current.length === 0) {
+        throw new OrderError(400, 'Заказ не найден или не был принят');
+      }
+
+      // За наличный заказ курьер подтверждает полученную сумму: она остается у него до сдачи в кассу.
+      // Расхождение с суммой заказа не блокирует доставку и видно при сверке.
+      const totalAmount = parseFloat(current[0].total_amount) || 0;
+      const cashDue = current[0].payment_method === 'cash' && totalAmount > 0;
+
+      if (cashDue && cashReceived === null) {
+        throw new OrderError(400, `Укажите сумму, полученную наличными (к оплате ${totalAmount} ₽)`);
+      }
+
+      const { rows } = await client.query(
+        `UPDATE delivery_orders SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, cash_collected = $1
+         WHERE id = $2 RETURNING *`,
+        [cashDue ? roundMoney(cashReceived) : null, current[0].id]
+      );
+
+      await recordOrderStatus(client, rows[0].id, 'delivered');
+
+      // Обновляем статистику курьера
+      await client.query(
+        'UPDATE couriers SET completed_orders = completed_orders + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [courierId]
+      );
+
+      // Начисление по тарифу курьера записывается в журнал в той же транзакции
+      return { order: rows[0], entries: await recordDeliveryEarnings(client, rows[0], courierId) };
+    });
+
+    const cashDiscrepancy = order.cash_collected !== null
+      ? roundMoney(parseFloat(order.cash_collected) - parseFloat(order.total_amount))
+      : null;
 
     res.json({
       success: true,
-      message: 'Пароль успешно изменен'
+      message: cashDiscrepancy ? 'Заказ доставлен. Сумма наличных не совпадает с суммой заказа' : 'Заказ доставлен',
+      order: order,
+      cash_discrepancy: cashDiscrepancy,
+      earnings: roundMoney(entries.reduce((sum, entry) => sum + parseFloat(entry.amount), 0)),
+      earnings_entries: entries
     });
   } catch (err) {
-    console.error('❌ Ошибка смены пароля:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка смены пароля'
-    });
+    sendOrderError(res, err, 'Ошибка завершения заказа');
   }
 });
 
-// User - Upload avatar
-app.post('/api/user/upload-avatar', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 POST /api/user/upload-avatar');
+// Courier - Cancel order
+app.post('/api/courier/orders/cancel', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 POST /api/courier/orders/cancel');
   
-  const { avatar } = req.body;
+  const { order_id, reason } = req.body;
   
+  if (!order_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'order_id обязателен'
+    });
+  }
+
   try {
-    await req.db.query(
-      'UPDATE users SET avatar = $1 WHERE id = $2',
-      [avatar, req.userId]
-    );
+    const courierId = req.courierId;
+
+    // Отмена и возврат остатков на склад выполняются атомарно
+    const rows = await withTransaction(req.db, async (client) => {
+      const { rows: cancelled } = await client.query(
+        'UPDATE delivery_orders SET status = $1, cancelled_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = $3 AND courier_id = $4 RETURNING *',
+        ['cancelled', order_id, 'assigned', courierId]
+      );
+
+      if (cancelled.length > 0) {
+        await restoreOrderStock(client, cancelled[0].id);
+        await recordOrderStatus(client, cancelled[0].id, 'cancelled', reason || null);
+      }
+
+      return cancelled;
+    });
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Заказ не найден или не был принят'
+      });
+    }
+
+    refundInBackground(req.db, rows[0].id);
 
     res.json({
       success: true,
-      message: 'Аватар успешно загружен',
-      avatar_url: avatar
+      message: 'Заказ отменен',
+      order: rows[0]
     });
   } catch (err) {
-    console.error('❌ Ошибка загрузки аватарки:', err);
+    console.error('❌ Ошибка отмены заказа:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка загрузки аватарки'
+      error: 'Ошибка отмены заказа: ' + err.message
     });
   }
 });
 
-// ==================== HEALTH CHECK & CONFIG ====================
-
-// Health check
-app.get('/health', async (req, res) => {
+// Courier - Get order details
+app.get('/api/courier/orders/:orderId', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 GET /api/courier/orders/' + req.params.orderId);
+  
   try {
-    if (!isDatabaseConnected) {
-      return res.status(503).json({
-        status: 'ERROR',
-        timestamp: new Date().toISOString(),
-        error: 'База данных не подключена',
-        database: 'Neon.tech PostgreSQL'
+    const { rows } = await req.db.query(`
+      SELECT 
+        o.*,
+        c.first_name as courier_name,
+        json_agg(
+          json_build_object(
+            'id', p.id,
+            'name', doi.product_name,
+            'quantity', doi.quantity,
+            'price', doi.unit_price,
+            'total_price', doi.total_price
+          )
+        ) as products
+      FROM delivery_orders o
+      LEFT JOIN delivery_order_items doi ON o.id = doi.delivery_order_id
+      LEFT JOIN products p ON doi.product_id = p.id
+      LEFT JOIN couriers c ON o.courier_id = c.id
+      -- курьер видит только свои заказы и свободные заказы из пула
+      WHERE o.id = $1 AND (o.courier_id = $2 OR ${courierPoolOrderSql('$2')})
+      GROUP BY o.id, c.first_name
+    `, [parseIdParam(req.params.orderId), req.courierId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Заказ не найден'
       });
     }
 
-    const productsCount = await db.query('SELECT COUNT(*) as count FROM products');
-    const categoriesCount = await db.query('SELECT COUNT(*) as count FROM categories');
-    const usersCount = await db.query('SELECT COUNT(*) as count FROM users');
-    const cartCount = await db.query('SELECT COUNT(*) as count FROM cart_items');
-    const couriersCount = await db.query('SELECT COUNT(*) as count FROM couriers');
-    const ordersCount = await db.query('SELECT COUNT(*) as count FROM delivery_orders');
-    
-    res.json({ 
-      status: 'OK', 
-      timestamp: new Date().toISOString(),
-      database: 'Neon.tech PostgreSQL',
-      tables: {
-        products: parseInt(productsCount.rows[0]?.count) || 0,
-        categories: parseInt(categoriesCount.rows[0]?.count) || 0,
-        users: parseInt(usersCount.rows[0]?.count) || 0,
-        cart_items: parseInt(cartCount.rows[0]?.count) || 0,
-        couriers: parseInt(couriersCount.rows[0]?.count) || 0,
-        delivery_orders: parseInt(ordersCount.rows[0]?.count) || 0
-      }
-    });
-  } catch (err) {
-    res.status(500).json({ 
-      status: 'ERROR', 
-      timestamp: new Date().toISOString(),
-      error: err.message,
-      database: 'Neon.tech PostgreSQL'
+    res.json({
+      success: true,
+      order: rows[0]
     });
-  }
-});
-
-// ==================== EXISTING ROUTES (сохраняем все предыдущие функции) ====================
-
-// Categories
-app.get('/api/categories', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/categories');
-  try {
-    const { rows } = await req.db.query('SELECT * FROM categories ORDER BY name');
-    res.json(rows || []);
   } catch (err) {
-    console.error('❌ Ошибка получения категорий:', err);
-    res.status(500).json({ 
+    console.error('❌ Ошибка получения деталей заказа:', err);
+    res.status(500).json({
       success: false,
-      error: err.message 
+      error: 'Ошибка получения деталей заказа: ' + err.message
     });
   }
 });
 
-// Products
-app.get('/api/products', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/products');
-  const { category, search, popular, new: newProducts, category_id, limit = 50, page = 1 } = req.query;
-  
-  try {
-    let sql = `SELECT p.*, c.name as category_name FROM products p LEFT JOIN categories c ON p.category_id = c.id WHERE 1=1`;
-    let params = [];
-    let paramCount = 1;
-
-    if (category && category !== 'all') {
-      sql += ` AND c.name = $${paramCount}`;
-      params.push(category);
-      paramCount++;
-    }
-
-    if (category_id) {
-      sql += ` AND p.category_id = $${paramCount}`;
-      params.push(parseInt(category_id));
-      paramCount++;
-    }
+const COURIER_VEHICLE_TYPES = ['bicycle', 'scooter', 'motorcycle', 'car'];
 
-    if (search) {
-      sql += ` AND (p.name ILIKE $${paramCount} OR p.description ILIKE $${paramCount + 1} OR p.manufacturer ILIKE $${paramCount + 2} OR c.name ILIKE $${paramCount + 3})`;
-      const searchParam = `%${search}%`;
-      params.push(searchParam, searchParam, searchParam, searchParam);
-      paramCount += 4;
+// Генерирует уникальный код курьера вида CR-123456
+async function generateCourierCode(dbClient) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = 'CR-' + crypto.randomInt(100000, 1000000);
+    const { rows } = await dbClient.query('SELECT 1 FROM couriers WHERE courier_code = $1', [code]);
+    if (rows.length === 0) {
+      return code;
     }
+  }
+  throw new Error('Не удалось сгенерировать код курьера');
+}
 
-    if (popular === 'true') {
-      sql += " AND p.is_popular = true";
-    }
+// Courier - Register (подача заявки; отклоненную заявку можно подать повторно)
+app.post('/api/courier/register', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/courier/register');
 
-    if (newProducts === 'true') {
-      sql += " AND p.is_new = true";
-    }
+  const {
+    first_name,
+    last_name,
+    phone,
+    vehicle_type,
+    vehicle_number,
+    document_type,
+    document_number,
+    document_photo,
+    driver_license_number
+  } = req.body;
 
-    sql += " ORDER BY p.created_at DESC";
+  if (!first_name || !last_name || !phone || !vehicle_type || !document_type || !document_number) {
+    return res.status(400).json({
+      success: false,
+      error: 'Имя, фамилия, телефон, транспорт и данные документа обязательны'
+    });
+  }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    sql += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    params.push(parseInt(limit), offset);
+  if (!COURIER_VEHICLE_TYPES.includes(vehicle_type)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Недопустимый тип транспорта: ' + vehicle_type
+    });
+  }
 
-    const { rows } = await req.db.query(sql, params);
-    
-    let countSql = `SELECT COUNT(*) as total FROM products p LEFT JOIN categories c ON p.category_id = c.id WHERE 1=1`;
-    let countParams = [];
-    paramCount = 1;
+  if (['motorcycle', 'car'].includes(vehicle_type) && (!vehicle_number || !driver_license_number)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Для мотоцикла и автомобиля нужны госномер и номер водительского удостоверения'
+    });
+  }
 
-    if (category && category !== 'all') {
-      countSql += ` AND c.name = $${paramCount}`;
-      countParams.push(category);
-      paramCount++;
-    }
+  try {
+    const { rows: existing } = await req.db.query(
+      'SELECT id, application_status FROM couriers WHERE user_id = $1',
+      [req.userId]
+    );
 
-    if (category_id) {
-      countSql += ` AND p.category_id = $${paramCount}`;
-      countParams.push(parseInt(category_id));
-      paramCount++;
+    if (existing.length > 0 && existing[0].application_status !== 'rejected') {
+      return res.status(400).json({
+        success: false,
+        error: existing[0].application_status === 'approved'
+          ? 'Вы уже зарегистрированы как курьер'
+          : 'Заявка уже подана и ожидает рассмотрения',
+        application_status: existing[0].application_status
+      });
     }
 
-    if (search) {
-      countSql += ` AND (p.name ILIKE $${paramCount} OR p.description ILIKE $${paramCount + 1} OR p.manufacturer ILIKE $${paramCount + 2} OR c.name ILIKE $${paramCount + 3})`;
-      const searchParam = `%${search}%`;
-      countParams.push(searchParam, searchParam, searchParam, searchParam);
+    const values = [
+      first_name,
+      last_name,
+      phone,
+      vehicle_type,
+      vehicle_number || null,
+      document_type,
+      document_number,
+      document_photo || null,
+      driver_license_number || null
+    ];
+
+    let rows;
+    if (existing.length > 0) {
+      ({ rows } = await req.db.query(
+        `UPDATE couriers
+         SET first_name = $1, last_name = $2, phone = $3, vehicle_type = $4, vehicle_number = $5,
+             document_type = $6, document_number = $7, document_photo = $8, driver_license_number = $9,
+             application_status = 'pending', rejection_reason = NULL, reviewed_at = NULL,
+             applied_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $10
+         RETURNING *`,
+        [...values, existing[0].id]
+      ));
+    } else {
+      const courierCode = await generateCourierCode(req.db);
+      ({ rows } = await req.db.query(
+        `INSERT INTO couriers (
+          first_name, last_name, phone, vehicle_type, vehicle_number,
+          document_type, document_number, document_photo, driver_license_number,
+          user_id, courier_code, status, application_status, applied_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'offline', 'pending', CURRENT_TIMESTAMP)
+        RETURNING *`,
+        [...values, req.userId, courierCode]
+      ));
     }
 
-    const { rows: countResult } = await req.db.query(countSql, countParams);
+    console.log('✅ Заявка курьера подана:', rows[0].id);
 
-    res.json({ 
+    res.json({
       success: true,
-      products: rows || [],
-      total: parseInt(countResult[0]?.total) || 0,
-      page: parseInt(page),
-      limit: parseInt(limit),
-      totalPages: Math.ceil((parseInt(countResult[0]?.total) || 0) / parseInt(limit))
+      message: 'Заявка отправлена на рассмотрение',
+      courier: rows[0]
     });
   } catch (err) {
-    console.error('❌ Ошибка получения товаров:', err);
-    res.status(500).json({ 
+    console.error('❌ Ошибка регистрации курьера:', err);
+    res.status(500).json({
       success: false,
-      error: err.message 
+      error: 'Ошибка регистрации курьера: ' + err.message
     });
   }
 });
 
-// Single product
-app.get('/api/products/:id', databaseMiddleware, async (req, res) => {
-  const productId = req.params.id;
-  console.log('📨 GET /api/products/' + productId);
-  
+// Courier - Get profile (доступен и для заявок на рассмотрении)
+app.get('/api/courier/profile', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 GET /api/courier/profile');
+
   try {
     const { rows } = await req.db.query(
-      `SELECT p.*, c.name as category_name FROM products p LEFT JOIN categories c ON p.category_id = c.id WHERE p.id = $1`,
-      [productId]
+      `SELECT c.*, u.email
+       FROM couriers c
+       JOIN users u ON u.id = c.user_id
+       WHERE c.user_id = $1`,
+      [req.userId]
     );
-    
+
     if (rows.length === 0) {
-      return res.status(404).json({ 
+      return res.status(404).json({
         success: false,
-        error: 'Товар не найден' 
+        error: 'Курьер не найден'
       });
     }
-    
-    res.json({ 
+
+    const courier = rows[0];
+    delete courier.document_photo;
+
+    // Заработок считается по журналу начислений, а не по счетчикам в couriers
+    const summary = await getCourierEarningsSummary(req.db, courier.id);
+    courier.total_earnings = summary.total_earned;
+    courier.today_earnings = summary.today_earned;
+    courier.earnings_balance = summary.balance;
+
+    res.json({
       success: true,
-      product: rows[0] 
+      courier: courier,
+      application_status: courier.application_status
     });
   } catch (err) {
-    console.error('❌ Ошибка получения товара:', err);
-    res.status(500).json({ 
+    console.error('❌ Ошибка получения профиля курьера:', err);
+    res.status(500).json({
       success: false,
-      error: err.message 
+      error: 'Ошибка получения профиля курьера: ' + err.message
     });
   }
 });
 
-// Auth - Get current user
-app.get('/api/auth/me', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/auth/me');
+// Courier - Update profile
+app.put('/api/courier/profile', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 PUT /api/courier/profile');
   
+  const { first_name, last_name, phone, vehicle_type, vehicle_number } = req.body;
+
   try {
-    const userId = req.query.user_id || req.headers['user-id'];
-    
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Не авторизован'
-      });
-    }
+    const { rows } = await req.db.query(
+      `UPDATE couriers 
+       SET first_name = $1, last_name = $2, phone = $3, vehicle_type = $4, vehicle_number = $5, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $6 
+       RETURNING *`,
+      [first_name, last_name, phone, vehicle_type, vehicle_number, req.courierId]
+    );
 
-    const { rows } = await req.db.query('SELECT * FROM users WHERE id = $1', [userId]);
-    
     if (rows.length === 0) {
       return res.status(404).json({
         success: false,
-        error: 'Пользователь не найден'
+        error: 'Курьер не найден'
       });
     }
 
-    const user = rows[0];
-    delete user.password;
-
     res.json({
       success: true,
-      user: user
+      message: 'Профиль курьера обновлен',
+      courier: rows[0]
     });
   } catch (err) {
-    console.error('❌ Ошибка получения пользователя:', err);
+    console.error('❌ Ошибка обновления профиля курьера:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка сервера'
+      error: 'Ошибка обновления профиля курьера: ' + err.message
     });
   }
 });
 
-// Auth - Register
-app.post('/api/auth/register', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/auth/register');
-  const { first_name, last_name, username, email, password, phone } = req.body;
+// Courier - Update status
+app.post('/api/courier/status', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 POST /api/courier/status');
   
-  if (!username || !email || !password) {
-    return res.status(400).json({ 
+  const { status } = req.body;
+  
+  if (!status) {
+    return res.status(400).json({
       success: false,
-      error: 'Логин, email и пароль обязательны' 
+      error: 'status обязателен'
     });
   }
-  
+
   try {
-    const { rows: existingUsers } = await req.db.query(
-      'SELECT * FROM users WHERE username = $1 OR email = $2', 
-      [username, email]
+    const { rows } = await req.db.query(
+      `UPDATE couriers 
+       SET status = $1, last_activity = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $2 
+       RETURNING *`,
+      [status, req.courierId]
     );
-    
-    if (existingUsers.length > 0) {
-      return res.status(400).json({ 
+
+    if (rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        error: 'Пользователь с таким логином или email уже существует' 
+        error: 'Курьер не найден'
       });
     }
-    
-    const hashedPassword = simpleHash(password);
-    
+
+    res.json({
+      success: true,
+      message: 'Статус обновлен',
+      courier: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления статуса курьера:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления статуса курьера: ' + err.message
+    });
+  }
+});
+
+// Courier - Get work schedule
+app.get('/api/courier/schedule', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 GET /api/courier/schedule');
+  
+  try {
+    const courierId = req.courierId;
+
     const { rows } = await req.db.query(
-      `INSERT INTO users (first_name, last_name, username, email, password, phone) 
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, username, email, first_name, last_name, phone, avatar, created_at`,
-      [first_name || '', last_name || '', username, email, hashedPassword, phone || null]
+      `SELECT * FROM courier_work_schedule 
+       WHERE courier_id = $1 AND is_active = true 
+       ORDER BY day_of_week, start_time`,
+      [courierId]
     );
-    
-    const newUser = rows[0];
-    newUser.full_name = `${newUser.first_name || ''} ${newUser.last_name || ''}`.trim();
-    
-    console.log('✅ Регистрация успешна:', newUser.id);
-    
+
     res.json({
       success: true,
-      message: 'Регистрация успешна',
-      user: newUser
+      schedule: rows
     });
   } catch (err) {
-    console.error('❌ Ошибка регистрации:', err);
-    res.status(500).json({ 
+    console.error('❌ Ошибка получения расписания:', err);
+    res.status(500).json({
       success: false,
-      error: 'Ошибка создания пользователя: ' + err.message 
+      error: 'Ошибка получения расписания: ' + err.message
     });
   }
 });
 
-// Auth - Login
-app.post('/api/auth/login', databaseMiddleware, async (req, res) => {
-  console.log('📨 POST /api/auth/login');
-  const { username, password } = req.body;
+// Courier - Update work schedule
+app.post('/api/courier/schedule', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 POST /api/courier/schedule');
   
-  if (!username || !password) {
-    return res.status(400).json({ 
+  const { schedule } = req.body;
+  
+  if (!schedule) {
+    return res.status(400).json({
       success: false,
-      error: 'Логин и пароль обязательны' 
+      error: 'schedule обязателен'
+    });
+  }
+
+  try {
+    const courierId = req.courierId;
+
+    // Удаляем старое расписание
+    await req.db.query(
+      'DELETE FROM courier_work_schedule WHERE courier_id = $1',
+      [courierId]
+    );
+
+    // Добавляем новое расписание
+    for (const daySchedule of schedule) {
+      await req.db.query(
+        `INSERT INTO courier_work_schedule (courier_id, day_of_week, start_time, end_time, is_active) 
+         VALUES ($1, $2, $3, $4, $5)`,
+        [courierId, daySchedule.day_of_week, daySchedule.start_time, daySchedule.end_time, daySchedule.is_active || true]
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Расписание обновлено'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления расписания:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления расписания: ' + err.message
+    });
+  }
+});
+
+// Courier - Get earnings (?period=today|week|month; отчет и баланс считаются по журналу начислений)
+app.get('/api/courier/earnings', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 GET /api/courier/earnings');
+  const { period = 'today' } = req.query;
+
+  if (!Object.keys(EARNINGS_PERIODS).includes(period)) {
+    return sendValidationErrors(res, { period: `Допустимые значения: ${Object.keys(EARNINGS_PERIODS).join(', ')}` });
+  }
+
+  try {
+    const courierId = req.courierId;
+    const since = earningsSinceSql('$2', '$3');
+
+    // Начисления за доставки сгруппированы по заказу
+    const { rows: orders } = await req.db.query(
+      `SELECT
+         o.id,
+         o.order_code,
+         o.total_amount,
+         o.delivered_at,
+         SUM(e.amount) AS courier_earnings,
+         MAX(e.distance_km) AS distance_km
+       FROM courier_earnings e
+       JOIN delivery_orders o ON o.id = e.delivery_order_id
+       WHERE e.courier_id = $1 AND e.entry_type IN ('base', 'distance') AND e.created_at >= ${since}
+       GROUP BY o.id
+       ORDER BY o.delivered_at DESC NULLS LAST`,
+      [courierId, DISPATCH_TIMEZONE, EARNINGS_PERIODS[period]]
+    );
+
+    // Бонусы, штрафы и выплаты
+    const { rows: adjustments } = await req.db.query(
+      `SELECT e.id, e.entry_type, e.amount, e.description, e.delivery_order_id, e.payout_batch_id,
+              b.status AS payout_status, e.created_at
+       FROM courier_earnings e
+       LEFT JOIN courier_payout_batches b ON b.id = e.payout_batch_id
+       WHERE e.courier_id = $1 AND e.entry_type NOT IN ('base', 'distance') AND e.created_at >= ${since}
+       ORDER BY e.created_at DESC, e.id DESC`,
+      [courierId, DISPATCH_TIMEZONE, EARNINGS_PERIODS[period]]
+    );
+
+    const summary = await getCourierEarningsSummary(req.db, courierId);
+    const periodEarnings = orders.reduce((sum, item) => sum + parseFloat(item.courier_earnings), 0) +
+      adjustments
+        .filter(item => item.entry_type !== 'payout')
+        .reduce((sum, item) => sum + parseFloat(item.amount), 0);
+
+    res.json({
+      success: true,
+      earnings: {
+        total_earnings: summary.total_earned,
+        today_earnings: summary.today_earned,
+        balance: summary.balance,
+        pending_payout: summary.pending_payout,
+        paid_out: summary.paid_out,
+        period_earnings: roundMoney(periodEarnings),
+        orders: orders,
+        adjustments: adjustments
+      }
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения заработка:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения заработка: ' + err.message
     });
   }
+});
+
+// ==================== USER PROFILE ROUTES (ВЗЯТО ИЗ ПЕРВОГО ФАЙЛА) ====================
+
+// User - Update profile
+app.put('/api/user/update-profile', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 PUT /api/user/update-profile');
+  
+  const { first_name, last_name, middle_name, phone } = req.body;
   
   try {
-    const { rows } = await req.db.query(
-      "SELECT * FROM users WHERE username = $1 OR email = $1", 
-      [username]
+    await req.db.query(
+      'UPDATE users SET first_name = $1, last_name = $2, middle_name = $3, phone = $4 WHERE id = $5',
+      [first_name, last_name, middle_name, phone, req.userId]
     );
+
+    const { rows } = await req.db.query('SELECT * FROM users WHERE id = $1', [req.userId]);
+    const user = rows[0];
+    delete user.password;
+
+    res.json({
+      success: true,
+      message: 'Профиль успешно обновлен',
+      user: user
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления профиля:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления профиля'
+    });
+  }
+});
+
+// User - Change password
+app.post('/api/user/change-password', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/user/change-password');
+  
+  const { current_password, new_password } = req.body;
+  
+  if (!current_password || !new_password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Все поля обязательны'
+    });
+  }
+
+  try {
+    const { rows } = await req.db.query('SELECT * FROM users WHERE id = $1', [req.userId]);
     
     if (rows.length === 0) {
-      return res.status(401).json({ 
+      return res.status(404).json({
         success: false,
-        error: 'Неверный логин или пароль' 
+        error: 'Пользователь не найден'
       });
     }
-    
+
     const user = rows[0];
     
-    const isPasswordValid = comparePassword(password, user.password);
+    const { valid: isPasswordValid } = await verifyPassword(current_password, user.password);
     if (!isPasswordValid) {
-      return res.status(401).json({ 
+      return res.status(400).json({
         success: false,
-        error: 'Неверный пароль' 
+        error: 'Текущий пароль неверен'
       });
     }
-    
+
+    // Новый пароль всегда сохраняется в актуальном формате, заменяя устаревший хеш
+    const hashedNewPassword = await hashPassword(new_password);
+    await req.db.query('UPDATE users SET password = $1 WHERE id = $2', [hashedNewPassword, req.userId]);
+
+    res.json({
+      success: true,
+      message: 'Пароль успешно изменен'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка смены пароля:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка смены пароля'
+    });
+  }
+});
+
+// User - Upload avatar
+app.post('/api/user/upload-avatar', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/user/upload-avatar');
+  
+  const { avatar } = req.body;
+  
+  try {
     await req.db.query(
-      "UPDATE users SET last_login = CURRENT_TIMESTAMP, login_count = login_count + 1 WHERE id = $1",
-      [user.id]
+      'UPDATE users SET avatar = $1 WHERE id = $2',
+      [avatar, req.userId]
     );
-    
-    delete user.password;
-    
+
     res.json({
       success: true,
-      message: 'Вход выполнен успешно',
-      user: user
+      message: 'Аватар успешно загружен',
+      avatar_url: avatar
+    });
+  } catch (err) {
+    console.error('❌ Ошибка загрузки аватарки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка загрузки аватарки'
+    });
+  }
+});
+
+// ==================== HEALTH CHECK & CONFIG ====================
+
+// Health check
+app.get('/health', async (req, res) => {
+  try {
+    if (!isDatabaseConnected) {
+      return res.status(503).json({
+        status: 'ERROR',
+        timestamp: new Date().toISOString(),
+        error: 'База данных не подключена',
+        database: 'Neon.tech PostgreSQL'
+      });
+    }
+
+    const productsCount = await db.query('SELECT COUNT(*) as count FROM products');
+    const categoriesCount = await db.query('SELECT COUNT(*) as count FROM categories');
+    const usersCount = await db.query('SELECT COUNT(*) as count FROM users');
+    const cartCount = await db.query('SELECT COUNT(*) as count FROM cart_items');
+    const couriersCount = await db.query('SELECT COUNT(*) as count FROM couriers');
+    const ordersCount = await db.query('SELECT COUNT(*) as count FROM delivery_orders');
+    
+    res.json({ 
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      database: 'Neon.tech PostgreSQL',
+      tables: {
+        products: parseInt(productsCount.rows[0]?.count) || 0,
+        categories: parseInt(categoriesCount.rows[0]?.count) || 0,
+        users: parseInt(usersCount.rows[0]?.count) || 0,
+        cart_items: parseInt(cartCount.rows[0]?.count) || 0,
+        couriers: parseInt(couriersCount.rows[0]?.count) || 0,
+        delivery_orders: parseInt(ordersCount.rows[0]?.count) || 0
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      status: 'ERROR', 
+      timestamp: new Date().toISOString(),
+      error: err.message,
+      database: 'Neon.tech PostgreSQL'
+    });
+  }
+});
+
+// ==================== EXISTING ROUTES (сохраняем все предыдущие функции) ====================
+
+// Categories
+app.get('/api/categories', databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/categories');
+  try {
+    const { rows } = await req.db.query('SELECT * FROM categories ORDER BY name');
+    res.json(rows || []);
+  } catch (err) {
+    console.error('❌ Ошибка получения категорий:', err);
+    res.status(500).json({ 
+      success: false,
+      error: err.message 
+    });
+  }
+});
+
+// ==================== PRODUCT SEARCH ====================
+
+// Поиск: полнотекстовый индекс с русской морфологией (таблетки = таблетка) плюс
+// триграммная близость названия для опечаток. Запрос латиницей дополнительно
+// транслитерируется в кириллицу (ibuprofen -> ибупрофен).
+function productSearchVector(alias = 'p.') {
+  return `(
+    setweight(to_tsvector('russian', COALESCE(${alias}name, '')), 'A') ||
+    setweight(to_tsvector('russian', COALESCE(${alias}manufacturer, '')), 'B') ||
+    setweight(to_tsvector('russian', COALESCE(${alias}composition, '')), 'B') ||
+    setweight(to_tsvector('russian', COALESCE(${alias}description, '')), 'C') ||
+    setweight(to_tsvector('russian', COALESCE(${alias}indications, '')), 'D')
+  )`;
+}
+
+// Сочетания букв идут раньше одиночных, чтобы shch не разобралось как s + h + ...
+const LATIN_TO_CYRILLIC = [
+  ['shch', 'щ'], ['sch', 'щ'], ['zh', 'ж'], ['kh', 'х'], ['ts', 'ц'], ['ch', 'ч'], ['sh', 'ш'],
+  ['yu', 'ю'], ['ya', 'я'], ['yo', 'ё'], ['ye', 'е'], ['ce', 'це'], ['ci', 'ци'], ['cy', 'ци'],
+  ['a', 'а'], ['b', 'б'], ['c', 'к'], ['d', 'д'], ['e', 'е'], ['f', 'ф'], ['g', 'г'], ['h', 'х'],
+  ['i', 'и'], ['j', 'й'], ['k', 'к'], ['l', 'л'], ['m', 'м'], ['n', 'н'], ['o', 'о'], ['p', 'п'],
+  ['q', 'к'], ['r', 'р'], ['s', 'с'], ['t', 'т'], ['u', 'у'], ['v', 'в'], ['w', 'в'], ['x', 'кс'],
+  ['y', 'ы'], ['z', 'з']
+];
+
+function transliterateToCyrillic(text) {
+  let result = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const pair = LATIN_TO_CYRILLIC.find(([latin]) => text.startsWith(latin, i));
+    if (pair) {
+      result += pair[1];
+      i += pair[0].length;
+    } else {
+      result += text[i];
+      i++;
+    }
+  }
+
+  return result;
+}
+
+// Слова запроса в формате to_tsquery: только буквы и цифры, каждое слово — префикс,
+// чтобы находились товары по недописанному слову
+function buildTsQuery(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length > 0 ? words.map(word => `${word}:*`).join(' & ') : null;
+}
+
+function buildProductSearch(search) {
+  const text = String(search || '').trim().toLowerCase().slice(0, 100);
+  const tsquery = buildTsQuery(text);
+
+  if (!tsquery) {
+    return null;
+  }
+
+  const translitText = transliterateToCyrillic(text);
+  return {
+    text,
+    tsquery,
+    translitText,
+    translitTsquery: buildTsQuery(translitText) || tsquery
+  };
+}
+
+// Условие, ранг и tsquery для поиска. Значения добавляются в params, плейсхолдеры ссылаются на них.
+// Каждая ветка условия идет по своему индексу товаров (BitmapOr), поэтому совпадение с названием
+// категории проверяется через заранее найденные id категорий, а не по присоединенной таблице
+function productSearchSql(searchTerms, params) {
+  params.push(searchTerms.tsquery, searchTerms.translitTsquery, searchTerms.text, searchTerms.translitText);
+  const n = params.length;
+  const query = `(to_tsquery('russian', $${n - 3}) || to_tsquery('russian', $${n - 2}))`;
+  const name = 'LOWER(p.name)';
+
+  return {
+    query,
+    condition: `(
+      ${productSearchVector()} @@ ${query}
+      OR ${name} % $${n - 1} OR ${name} % $${n}
+      OR $${n - 1} <% ${name} OR $${n} <% ${name}
+      OR p.category_id = ANY(ARRAY(SELECT id FROM categories WHERE $${n - 1} <% LOWER(name)))
+    )`,
+    rank: `(
+      ts_rank_cd(${productSearchVector()}, ${query})
+      + GREATEST(similarity(${name}, $${n - 1}), similarity(${name}, $${n}))
+    )`
+  };
+}
+
+// ts_headline возвращает текст как есть, а клиент вставляет выдачу как HTML:
+// текст экранируется до подсветки, и единственной разметкой остаются теги <mark>
+function escapeHtmlSql(expression) {
+  return `replace(replace(replace(replace(replace(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+}
+
+// Название с подсветкой совпадений
+function productNameHighlightSql(query, alias = 's.') {
+  return `ts_headline('russian', ${escapeHtmlSql(`${alias}name`)}, ${query}, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS name_highlighted`;
+}
+
+// Подсветка совпадений в названии и фрагмент описания для выдачи поиска
+function productHighlightSql(query, alias = 's.') {
+  return `
+    ${productNameHighlightSql(query, alias)},
+    ts_headline('russian', ${escapeHtmlSql(`COALESCE(${alias}description, '')`)}, ${query},
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "') AS snippet`;
+}
+
+// ==================== PRODUCT FILTERS ====================
+
+// Корзины цен для фасета; max = null — верхняя граница не ограничена
+const PRODUCT_PRICE_BUCKETS = [
+  { key: '0-100', min: 0, max: 100 },
+  { key: '100-300', min: 100, max: 300 },
+  { key: '300-500', min: 300, max: 500 },
+  { key: '500-1000', min: 500, max: 1000 },
+  { key: '1000-2000', min: 1000, max: 2000 },
+  { key: '2000+', min: 2000, max: null }
+];
+
+const PRODUCT_FACET_LIMIT = 100;
+
+// Товар можно заказать прямо сейчас (stock_quantity = NULL — остаток не ведется)
+const PRODUCT_AVAILABLE_SQL = '(p.in_stock = true AND (p.stock_quantity IS NULL OR p.stock_quantity > 0))';
+const PRODUCT_PAGE_MAX = 200;
+
+// Продано штук по неотмененным заказам — для сортировки по популярности
+const PRODUCT_SOLD_SQL = `(
+  SELECT COALESCE(SUM(i.quantity), 0) FROM delivery_order_items i
+  JOIN delivery_orders o ON o.id = i.delivery_order_id
+  WHERE i.product_id = p.id AND o.status <> 'cancelled'
+)`;
+
+// Сортировки каталога. p.id в конце делает порядок однозначным, чтобы страницы не перемешивались.
+// Сортировка relevance доступна только при поиске и строится по рангу в маршруте.
+const PRODUCT_SORTS = {
+  newest: 'p.created_at DESC',
+  price_asc: 'p.price ASC',
+  price_desc: 'p.price DESC',
+  name_asc: 'p.name ASC',
+  name_desc: 'p.name DESC',
+  popular: `p.is_popular DESC, ${PRODUCT_SOLD_SQL} DESC, p.created_at DESC`,
+  discount: `CASE WHEN p.old_price > p.price THEN (p.old_price - p.price) / p.old_price ELSE 0 END DESC,
+    p.created_at DESC`,
+  rating: 'p.rating_avg DESC NULLS LAST, p.reviews_count DESC, p.created_at DESC'
+};
+
+// Значения фильтра из query: ?manufacturer=A&manufacturer=B
+function queryList(value) {
+  return [].concat(value || [])
+    .map(item => String(item).trim())
+    .filter(item => item.length > 0);
+}
+
+function queryPrice(value) {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+// Условия WHERE каталога по параметрам запроса. Используется и для выдачи, и для счетчиков:
+// exclude убирает фильтр самого фасета, чтобы в нем оставались видны остальные варианты.
+function buildProductFilters(query, { exclude = null } = {}) {
+  const params = [];
+  const conditions = [];
+  const searchTerms = buildProductSearch(query.search);
+  const searchSql = searchTerms ? productSearchSql(searchTerms, params) : null;
+
+  if (searchSql) {
+    conditions.push(searchSql.condition);
+  }
+
+  if (query.category && query.category !== 'all') {
+    params.push(query.category);
+    conditions.push(`c.name = $${params.length}`);
+  }
+
+  if (query.category_id) {
+    params.push(parseInt(query.category_id));
+    conditions.push(`p.category_id = $${params.length}`);
+  }
+
+  if (query.popular === 'true') {
+    conditions.push('p.is_popular = true');
+  }
+
+  if (query.new === 'true') {
+    conditions.push('p.is_new = true');
+  }
+
+  if (query.in_stock === 'true') {
+    conditions.push(PRODUCT_AVAILABLE_SQL);
+  }
+
+  if (query.on_sale === 'true') {
+    conditions.push('p.old_price IS NOT NULL AND p.old_price > p.price');
+  }
+
+  if (exclude !== 'price') {
+    const minPrice = queryPrice(query.min_price);
+    const maxPrice = queryPrice(query.max_price);
+
+    if (minPrice !== null) {
+      params.push(minPrice);
+      conditions.push(`p.price >= $${params.length}`);
+    }
+
+    if (maxPrice !== null) {
+      params.push(maxPrice);
+      conditions.push(`p.price <= $${params.length}`);
+    }
+  }
+
+  const manufacturers = queryList(query.manufacturer);
+  if (exclude !== 'manufacturer' && manufacturers.length > 0) {
+    params.push(manufacturers);
+    conditions.push(`p.manufacturer = ANY($${params.length})`);
+  }
+
+  const countries = queryList(query.country);
+  if (exclude !== 'country' && countries.length > 0) {
+    params.push(countries);
+    conditions.push(`p.country = ANY($${params.length})`);
+  }
+
+  return {
+    from: 'FROM products p LEFT JOIN categories c ON p.category_id = c.id',
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    searchSql
+  };
+}
+
+// Счетчики для боковой панели фильтров: производители, страны и ценовые диапазоны
+async function getProductFacets(db, query) {
+  const valueFacet = async (column, name) => {
+    const filters = buildProductFilters(query, { exclude: name });
+    const { rows } = await db.query(
+      `SELECT ${column} AS value, COUNT(*)::int AS count
+       ${filters.from} ${filters.where ? `${filters.where} AND` : 'WHERE'} COALESCE(${column}, '') <> ''
+       GROUP BY ${column}
+       ORDER BY count DESC, value
+       LIMIT ${PRODUCT_FACET_LIMIT}`,
+      filters.params
+    );
+    return rows;
+  };
+
+  const manufacturers = await valueFacet('p.manufacturer', 'manufacturer');
+  const countries = await valueFacet('p.country', 'country');
+
+  const priceFilters = buildProductFilters(query, { exclude: 'price' });
+  const bucketColumns = PRODUCT_PRICE_BUCKETS.map((bucket, index) => {
+    const range = bucket.max === null
+      ? `p.price >= ${bucket.min}`
+      : `p.price >= ${bucket.min} AND p.price < ${bucket.max}`;
+    return `COUNT(*) FILTER (WHERE ${range})::int AS bucket_${index}`;
+  });
+  const { rows: priceRows } = await db.query(
+    `SELECT MIN(p.price) AS min_price, MAX(p.price) AS max_price, ${bucketColumns.join(', ')}
+     ${priceFilters.from} ${priceFilters.where}`,
+    priceFilters.params
+  );
+  const priceRow = priceRows[0] || {};
+
+  return {
+    manufacturers,
+    countries,
+    price: {
+      min: priceRow.min_price !== null && priceRow.min_price !== undefined ? parseFloat(priceRow.min_price) : null,
+      max: priceRow.max_price !== null && priceRow.max_price !== undefined ? parseFloat(priceRow.max_price) : null,
+      buckets: PRODUCT_PRICE_BUCKETS.map((bucket, index) => ({
+        ...bucket,
+        count: priceRow[`bucket_${index}`] || 0
+      }))
+    }
+  };
+}
+
+// Products
+app.get('/api/products', databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/products');
+  const { sort, facets } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), PRODUCT_PAGE_MAX);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  
+  try {
+    const filters = buildProductFilters(req.query);
+    const { searchSql } = filters;
+    const sortKey = sort || (searchSql ? 'relevance' : 'newest');
+    const relevance = sortKey === 'relevance' && searchSql;
+
+    if (!PRODUCT_SORTS[sortKey] && !relevance) {
+      return res.status(400).json({
+        success: false,
+        error: 'Неизвестная сортировка',
+        sorts: [...Object.keys(PRODUCT_SORTS), 'relevance']
+      });
+    }
+
+    const orderBy = `${relevance ? `${searchSql.rank} DESC, p.created_at DESC` : PRODUCT_SORTS[sortKey]}, p.id`;
+    const params = [...filters.params];
+
+    // Подсветка считается только для строк текущей страницы; порядок во внешний запрос
+    // переносится через sort_position
+    const searchColumns = searchSql
+      ? `, ${searchSql.rank} AS search_rank, ROW_NUMBER() OVER (ORDER BY ${orderBy}) AS sort_position`
+      : '';
+
+    let sql = `SELECT p.*, c.name as category_name${searchColumns}
+               ${filters.from} ${filters.where}
+               ORDER BY ${orderBy}
+               LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(limit, (page - 1) * limit);
+
+    if (searchSql) {
+      sql = `SELECT s.*, ${productHighlightSql(searchSql.query)}
+             FROM (${sql}) s
+             ORDER BY s.sort_position`;
+    }
+
+    const { rows } = await req.db.query(sql, params);
+    const { rows: countResult } = await req.db.query(
+      `SELECT COUNT(*) as total ${filters.from} ${filters.where}`,
+      filters.params
+    );
+    const total = parseInt(countResult[0]?.total) || 0;
+
+    res.json({ 
+      success: true,
+      products: rows || [],
+      total,
+      page,
+      limit,
+      sort: sortKey,
+      totalPages: Math.ceil(total / limit),
+      facets: facets === 'true' ? await getProductFacets(req.db, req.query) : undefined
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения товаров:', err);
+    res.status(500).json({ 
+      success: false,
+      error: err.message 
+    });
+  }
+});
+
+// Products - Autocomplete (названия товаров и категорий по мере ввода)
+app.get('/api/products/suggest', databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/products/suggest');
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+  const searchTerms = buildProductSearch(req.query.q);
+
+  if (!searchTerms || searchTerms.text.length < 2) {
+    return res.json({ success: true, suggestions: [], categories: [] });
+  }
+
+  try {
+    const params = [];
+    const searchSql = productSearchSql(searchTerms, params);
+    params.push(limit);
+
+    const { rows } = await req.db.query(
+      `SELECT s.id, s.name, s.price, s.image, s.category_name,
+              ${productNameHighlightSql(searchSql.query)}
+       FROM (
+         SELECT p.id, p.name, p.price, p.image, p.created_at, c.name AS category_name, ${searchSql.rank} AS search_rank
+         FROM products p
+         LEFT JOIN categories c ON p.category_id = c.id
+         WHERE ${searchSql.condition}
+         ORDER BY search_rank DESC, p.in_stock DESC, p.created_at DESC
+         LIMIT $${params.length}
+       ) s
+       ORDER BY s.search_rank DESC`,
+      params
+    );
+
+    const { rows: categories } = await req.db.query(
+      `SELECT id, name FROM categories
+       WHERE LOWER(name) LIKE $1 || '%' OR $1 <% LOWER(name) OR $2 <% LOWER(name)
+       ORDER BY similarity(LOWER(name), $1) DESC
+       LIMIT 3`,
+      [searchTerms.text, searchTerms.translitText]
+    );
+
+    res.json({
+      success: true,
+      suggestions: rows,
+      categories
+    });
+  } catch (err) {
+    console.error('❌ Ошибка подсказок поиска:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Single product
+app.get('/api/products/:id', databaseMiddleware, async (req, res) => {
+  const productId = req.params.id;
+  console.log('📨 GET /api/products/' + productId);
+  
+  try {
+    const { rows } = await req.db.query(
+      `SELECT p.*, c.name as category_name FROM products p LEFT JOIN categories c ON p.category_id = c.id WHERE p.id = $1`,
+      [productId]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Товар не найден' 
+      });
+    }
+
+    rows[0].ingredients = await getProductIngredients(req.db, rows[0].id);
+    
+    res.json({ 
+      success: true,
+      product: rows[0] 
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения товара:', err);
+    res.status(500).json({ 
+      success: false,
+      error: err.message 
+    });
+  }
+});
+
+// Auth - Get current user
+app.get('/api/auth/me', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 GET /api/auth/me');
+  
+  try {
+    const { rows } = await req.db.query('SELECT * FROM users WHERE id = $1', [req.userId]);
+    
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    const user = rows[0];
+    delete user.password;
+
+    res.json({
+      success: true,
+      user: user
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения пользователя:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера'
+    });
+  }
+});
+
+// Auth - Register
+app.post('/api/auth/register', databaseMiddleware, async (req, res) => {
+  console.log('📨 POST /api/auth/register');
+  const { first_name, last_name, username, email, password, phone } = req.body;
+  
+  if (!username || !email || !password) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Логин, email и пароль обязательны' 
+    });
+  }
+  
+  try {
+    const { rows: existingUsers } = await req.db.query(
+      'SELECT * FROM users WHERE username = $1 OR email = $2', 
+      [username, email]
+    );
+    
+    if (existingUsers.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Пользователь с таким логином или email уже существует' 
+      });
+    }
+    
+    const hashedPassword = await hashPassword(password);
+    
+    const { rows } = await req.db.query(
+      `INSERT INTO users (first_name, last_name, username, email, password, phone) 
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, username, email, first_name, last_name, phone, avatar, created_at`,
+      [first_name || '', last_name || '', username, email, hashedPassword, phone || null]
+    );
+    
+    const newUser = rows[0];
+    newUser.full_name = `${newUser.first_name || ''} ${newUser.last_name || ''}`.trim();
+    
+    console.log('✅ Регистрация успешна:', newUser.id);
+    
+    const session = await createSession(req.db, newUser.id, req);
+    
+    res.json({
+      success: true,
+      message: 'Регистрация успешна',
+      ...session,
+      user: newUser
+    });
+  } catch (err) {
+    console.error('❌ Ошибка регистрации:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Ошибка создания пользователя: ' + err.message 
+    });
+  }
+});
+
+// Auth - Login
+app.post('/api/auth/login', databaseMiddleware, async (req, res) => {
+  console.log('📨 POST /api/auth/login');
+  const { username, password } = req.body;
+  
+  if (!username || !password) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Логин и пароль обязательны' 
+    });
+  }
+  
+  try {
+    const { rows } = await req.db.query(
+      "SELECT * FROM users WHERE username = $1 OR email = $1", 
+      [username]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(401).json({ 
+        success: false,
+        error: 'Неверный логин или пароль' 
+      });
+    }
+    
+    const user = rows[0];
+    
+    const { valid: isPasswordValid, needsRehash } = await verifyPassword(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ 
+        success: false,
+        error: 'Неверный пароль' 
+      });
+    }
+    
+    // Прозрачно переводим устаревший хеш на scrypt
+    if (needsRehash) {
+      await req.db.query('UPDATE users SET password = $1 WHERE id = $2', [await hashPassword(password), user.id]);
+      console.log('🔐 Хеш пароля обновлен:', user.id);
+    }
+    
+    await req.db.query(
+      "UPDATE users SET last_login = CURRENT_TIMESTAMP, login_count = login_count + 1 WHERE id = $1",
+      [user.id]
+    );
+    
+    delete user.password;
+    
+    const session = await createSession(req.db, user.id, req);
+    
+    res.json({
+      success: true,
+      message: 'Вход выполнен успешно',
+      ...session,
+      user: user
+    });
+  } catch (err) {
+    console.error('❌ Ошибка входа:', err);
+    res.status(500).json({ 
+      success: false,
+      error: 'Ошибка сервера' 
+    });
+  }
+});
+
+// Auth - Refresh session
+app.post('/api/auth/refresh', databaseMiddleware, async (req, res) => {
+  console.log('📨 POST /api/auth/refresh');
+  const { refresh_token } = req.body;
+  
+  if (!refresh_token) {
+    return res.status(400).json({
+      success: false,
+      error: 'refresh_token обязателен'
+    });
+  }
+  
+  try {
+    // Старый refresh-токен отзывается сразу, повторно его использовать нельзя
+    const { rows } = await req.db.query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashRefreshToken(refresh_token)]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'Сессия истекла или отозвана'
+      });
+    }
+    
+    const session = await createSession(req.db, rows[0].user_id, req);
+    
+    res.json({
+      success: true,
+      ...session
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления сессии:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера'
+    });
+  }
+});
+
+// Auth - Logout (отзыв текущей сессии или всех сессий пользователя)
+app.post('/api/auth/logout', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/auth/logout');
+  const { all } = req.body;
+  
+  try {
+    if (all) {
+      await req.db.query(
+        'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+        [req.userId]
+      );
+    } else {
+      await req.db.query(
+        'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [req.sessionId]
+      );
+    }
+    
+    res.json({
+      success: true,
+      message: all ? 'Все сессии завершены' : 'Выход выполнен'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка выхода:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера'
+    });
+  }
+});
+
+// ==================== ACTIVE INGREDIENTS & ANALOGS ====================
+
+const DOSAGE_UNITS = ['мг', 'мкг', 'г', 'мл', 'МЕ', '%'];
+const ANALOGS_LIMIT_MAX = 50;
+
+async function getProductIngredients(db, productId) {
+  const { rows } = await db.query(
+    `SELECT ai.id, ai.name, ai.latin_name, pi.dosage_value, pi.dosage_unit
+     FROM product_ingredients pi
+     JOIN active_ingredients ai ON ai.id = pi.ingredient_id
+     WHERE pi.product_id = $1
+     ORDER BY ai.name`,
+    [productId]
+  );
+  return rows;
+}
+
+// Аналоги — товары с тем же набором действующих веществ. Сначала те, что есть в наличии,
+// затем с той же дозировкой и формой выпуска, внутри — по возрастанию цены.
+// allowRx = false убирает рецептурные аналоги (их нельзя предложить вместо безрецептурного товара).
+async function findProductAnalogs(db, productId, { limit = 10, availableOnly = false, maxPrice = null, allowRx = true } = {}) {
+  const params = [productId, limit];
+  const conditions = ['p.id <> $1'];
+
+  if (availableOnly) {
+    conditions.push(PRODUCT_AVAILABLE_SQL);
+  }
+
+  if (maxPrice !== null) {
+    params.push(maxPrice);
+    conditions.push(`p.price < $${params.length}`);
+  }
+
+  if (!allowRx) {
+    conditions.push('p.rx_required = false');
+  }
+
+  const { rows } = await db.query(
+    `WITH target AS (
+       SELECT pi.ingredient_id, pi.dosage_value, pi.dosage_unit
+       FROM product_ingredients pi
+       WHERE pi.product_id = $1
+     ),
+     target_product AS (
+       SELECT dosage_form FROM products WHERE id = $1
+     ),
+     candidates AS (
+       SELECT pi.product_id,
+              bool_and(EXISTS (
+                SELECT 1 FROM target t
+                WHERE t.ingredient_id = pi.ingredient_id
+                  AND t.dosage_value IS NOT DISTINCT FROM pi.dosage_value
+                  AND t.dosage_unit IS NOT DISTINCT FROM pi.dosage_unit
+              )) AS same_dosage
+       FROM product_ingredients pi
+       GROUP BY pi.product_id
+       HAVING array_agg(pi.ingredient_id ORDER BY pi.ingredient_id) =
+              (SELECT array_agg(ingredient_id ORDER BY ingredient_id) FROM target)
+     )
+     SELECT p.id, p.name, p.price, p.old_price, p.image, p.manufacturer, p.country,
+            p.dosage_form, p.rx_required, p.in_stock, p.stock_quantity, p.rating_avg, p.reviews_count,
+            ${PRODUCT_AVAILABLE_SQL} AS available,
+            cand.same_dosage,
+            p.dosage_form IS NOT DISTINCT FROM (SELECT dosage_form FROM target_product) AS same_form
+     FROM candidates cand
+     JOIN products p ON p.id = cand.product_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY available DESC, cand.same_dosage DESC, same_form DESC, p.price ASC, p.id
+     LIMIT $2`,
+    params
+  );
+  return rows;
+}
+
+// Products - Analogs (дженерики по действующему веществу)
+app.get('/api/products/:id/analogs', databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/products/' + req.params.id + '/analogs');
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), ANALOGS_LIMIT_MAX);
+
+  try {
+    const { rows: products } = await req.db.query(
+      'SELECT id, price FROM products WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (products.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Товар не найден'
+      });
+    }
+
+    const ingredients = await getProductIngredients(req.db, req.params.id);
+    const analogs = ingredients.length > 0
+      ? await findProductAnalogs(req.db, req.params.id, { limit, availableOnly: req.query.in_stock === 'true' })
+      : [];
+    const price = parseFloat(products[0].price);
+
+    res.json({
+      success: true,
+      ingredients,
+      analogs: analogs.map(analog => ({
+        ...analog,
+        price_difference: roundMoney(parseFloat(analog.price) - price)
+      }))
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения аналогов:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// ==================== PRODUCT REVIEWS ====================
+
+const REVIEW_STATUSES = ['pending', 'published', 'rejected'];
+const REVIEWS_PAGE_MAX = 50;
+
+const REVIEW_FIELDS = {
+  rating: { type: 'integer', required: true, min: 1, max: 5 },
+  comment: { type: 'string', max: 2000 }
+};
+
+// Отзыв можно оставить только на товар из доставленного заказа пользователя
+async function findReviewableOrder(db, userId, productId) {
+  const { rows } = await db.query(
+    `SELECT o.id
+     FROM delivery_orders o
+     JOIN delivery_order_items i ON i.delivery_order_id = o.id
+     WHERE o.user_id = $1 AND i.product_id = $2 AND o.status = 'delivered'
+     ORDER BY o.delivered_at DESC NULLS LAST
+     LIMIT 1`,
+    [userId, productId]
+  );
+  return rows[0] || null;
+}
+
+// Пересчитать рейтинг товара по опубликованным отзывам
+async function refreshProductRating(db, productId) {
+  await db.query(
+    `UPDATE products p
+     SET rating_avg = r.average, reviews_count = r.count
+     FROM (
+       SELECT ROUND(AVG(rating), 2) AS average, COUNT(*)::int AS count
+       FROM product_reviews
+       WHERE product_id = $1 AND status = 'published'
+     ) r
+     WHERE p.id = $1`,
+    [productId]
+  );
+}
+
+// Имя автора в публичном списке: имя и первая буква фамилии
+const REVIEW_AUTHOR_SQL = `TRIM(CONCAT(u.first_name, ' ', LEFT(u.last_name, 1), CASE WHEN u.last_name <> '' THEN '.' END))`;
+
+// Product reviews - опубликованные отзывы и распределение оценок
+app.get('/api/products/:id/reviews', databaseMiddleware, validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/products/' + req.params.id + '/reviews');
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), REVIEWS_PAGE_MAX);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+  try {
+    const { rows: products } = await req.db.query(
+      'SELECT id, rating_avg, reviews_count FROM products WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (products.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Товар не найден'
+      });
+    }
+
+    const { rows: reviews } = await req.db.query(
+      `SELECT r.id, r.rating, r.comment, r.created_at, r.updated_at,
+              COALESCE(NULLIF(${REVIEW_AUTHOR_SQL}, ''), 'Покупатель') AS author_name
+       FROM product_reviews r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.product_id = $1 AND r.status = 'published'
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT $2 OFFSET $3`,
+      [req.params.id, limit, (page - 1) * limit]
+    );
+
+    const { rows: distribution } = await req.db.query(
+      `SELECT rating, COUNT(*)::int AS count
+       FROM product_reviews
+       WHERE product_id = $1 AND status = 'published'
+       GROUP BY rating`,
+      [req.params.id]
+    );
+
+    const product = products[0];
+    res.json({
+      success: true,
+      rating: {
+        average: product.rating_avg !== null ? parseFloat(product.rating_avg) : null,
+        count: product.reviews_count,
+        distribution: [5, 4, 3, 2, 1].map(rating => ({
+          rating,
+          count: distribution.find(row => row.rating === rating)?.count || 0
+        }))
+      },
+      reviews,
+      page,
+      limit,
+      totalPages: Math.ceil(product.reviews_count / limit)
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения отзывов:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Product reviews - может ли пользователь оставить отзыв и его текущий отзыв
+app.get('/api/products/:id/reviews/mine', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/products/' + req.params.id + '/reviews/mine');
+
+  try {
+    const order = await findReviewableOrder(req.db, req.userId, req.params.id);
+    const { rows } = await req.db.query(
+      `SELECT id, rating, comment, status, moderation_note, created_at, updated_at
+       FROM product_reviews
+       WHERE product_id = $1 AND user_id = $2`,
+      [req.params.id, req.userId]
+    );
+
+    res.json({
+      success: true,
+      can_review: Boolean(order),
+      review: rows[0] || null
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения отзыва пользователя:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+// Product reviews - оставить или изменить отзыв (после изменения снова уходит на модерацию)
+app.post('/api/products/:id/reviews', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/products/' + req.params.id + '/reviews');
+
+  const { values, errors } = validateFields(REVIEW_FIELDS, req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const order = await findReviewableOrder(req.db, req.userId, req.params.id);
+
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        error: 'Отзыв можно оставить только на товар из доставленного заказа'
+      });
+    }
+
+    const review = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO product_reviews (product_id, user_id, delivery_order_id, rating, comment)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (product_id, user_id) DO UPDATE
+         SET rating = EXCLUDED.rating,
+             comment = EXCLUDED.comment,
+             delivery_order_id = EXCLUDED.delivery_order_id,
+             status = 'pending',
+             moderation_note = NULL,
+             moderated_by = NULL,
+             moderated_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         RETURNING id, rating, comment, status, created_at, updated_at`,
+        [req.params.id, req.userId, order.id, values.rating, values.comment || null]
+      );
+
+      // Измененный опубликованный отзыв снимается с публикации до повторной проверки
+      await refreshProductRating(client, req.params.id);
+      return rows[0];
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Спасибо! Отзыв появится после проверки модератором',
+      review
+    });
+  } catch (err) {
+    console.error('❌ Ошибка сохранения отзыва:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сохранения отзыва: ' + err.message
+    });
+  }
+});
+
+// ==================== CART ROUTES ====================
+
+const CART_ITEM_FIELDS = {
+  product_id: { type: 'integer', required: true, min: 1 },
+  quantity: { type: 'integer', min: 1 }
+};
+
+// Ответ 409, если товара не хватает на нужное количество в корзине, иначе null
+function cartStockError(product, quantity) {
+  if (product.in_stock !== false && (product.stock_quantity === null || product.stock_quantity >= quantity)) {
+    return null;
+  }
+
+  return {
+    success: false,
+    error: product.in_stock === false || !product.stock_quantity
+      ? 'Товара нет в наличии'
+      : `Доступно только ${product.stock_quantity} шт.`,
+    available: product.in_stock === false ? 0 : product.stock_quantity
+  };
+}
+
+// Cart - Add item
+app.post('/api/cart/add', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/cart/add');
+  const { values, errors } = validateFields(CART_ITEM_FIELDS, req.body);
+
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const product_id = values.product_id;
+  const quantity = values.quantity || 1;
+
+  try {
+    // Check if product exists
+    const { rows: products } = await req.db.query('SELECT * FROM products WHERE id = $1', [product_id]);
+    if (products.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Товар не найден'
+      });
+    }
+
+    // Check stock: учитываем то, что уже лежит в корзине
+    const product = products[0];
+    const { rows: existingItems } = await req.db.query(
+      'SELECT quantity FROM cart_items WHERE user_id = $1 AND product_id = $2',
+      [req.userId, product_id]
+    );
+    const stockError = cartStockError(product, (existingItems[0]?.quantity || 0) + quantity);
+
+    if (stockError) {
+      return res.status(409).json(stockError);
+    }
+
+    // Add or update item in cart
+    const { rows } = await req.db.query(`
+      INSERT INTO cart_items (user_id, product_id, quantity) 
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, product_id) 
+      DO UPDATE SET quantity = cart_items.quantity + $3
+      RETURNING *
+    `, [req.userId, product_id, quantity]);
+
+    res.json({
+      success: true,
+      message: 'Товар добавлен в корзину',
+      item: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка добавления в корзину:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера: ' + err.message
+    });
+  }
+});
+
+// Замены для позиций корзины одним запросом: аналог в наличии, если товара не хватает,
+// иначе — более дешевый аналог. Подбор и порядок — как в findProductAnalogs.
+// Возвращает Map: id позиции корзины -> замена (позиции без замены в Map не попадают)
+async function findCartSubstitutes(db, items) {
+  const cartItems = items
+    .filter(item => item.name != null)
+    .map(item => ({
+      ...item,
+      available: item.in_stock !== false && (item.stock_quantity === null || item.stock_quantity >= item.quantity)
+    }));
+  const substitutes = new Map();
+
+  if (cartItems.length === 0) {
+    return substitutes;
+  }
+
+  const { rows } = await db.query(
+    `WITH cart AS (
+       SELECT * FROM unnest($1::int[], $2::int[], $3::numeric[], $4::boolean[])
+         AS c(item_id, product_id, max_price, allow_rx)
+     ),
+     target AS (
+       SELECT c.item_id, c.product_id, c.max_price, c.allow_rx,
+              array_agg(pi.ingredient_id ORDER BY pi.ingredient_id) AS ingredient_ids
+       FROM cart c
+       JOIN product_ingredients pi ON pi.product_id = c.product_id
+       GROUP BY c.item_id, c.product_id, c.max_price, c.allow_rx
+     ),
+     candidates AS (
+       SELECT t.item_id, pi.product_id,
+              bool_and(EXISTS (
+                SELECT 1 FROM product_ingredients tp
+                WHERE tp.product_id = t.product_id AND tp.ingredient_id = pi.ingredient_id
+                  AND tp.dosage_value IS NOT DISTINCT FROM pi.dosage_value
+                  AND tp.dosage_unit IS NOT DISTINCT FROM pi.dosage_unit
+              )) AS same_dosage
+       FROM target t
+       -- кандидаты — товары с первым веществом набора, дальше набор сравнивается целиком
+       JOIN product_ingredients first_pi ON first_pi.ingredient_id = t.ingredient_ids[1] AND first_pi.product_id <> t.product_id
+       JOIN product_ingredients pi ON pi.product_id = first_pi.product_id
+       GROUP BY t.item_id, t.ingredient_ids, pi.product_id
+       HAVING array_agg(pi.ingredient_id ORDER BY pi.ingredient_id) = t.ingredient_ids
+     )
+     SELECT DISTINCT ON (cand.item_id)
+            cand.item_id,
+            p.id, p.name, p.price, p.old_price, p.image, p.manufacturer, p.country,
+            p.dosage_form, p.rx_required, p.in_stock, p.stock_quantity, p.rating_avg, p.reviews_count,
+            ${PRODUCT_AVAILABLE_SQL} AS available,
+            cand.same_dosage,
+            p.dosage_form IS NOT DISTINCT FROM target_product.dosage_form AS same_form
+     FROM candidates cand
+     JOIN target t ON t.item_id = cand.item_id
+     JOIN products target_product ON target_product.id = t.product_id
+     JOIN products p ON p.id = cand.product_id
+     WHERE ${PRODUCT_AVAILABLE_SQL}
+       AND (t.max_price IS NULL OR p.price < t.max_price)
+       AND (t.allow_rx OR p.rx_required = false)
+     ORDER BY cand.item_id, cand.same_dosage DESC, same_form DESC, p.price ASC, p.id`,
+    [
+      cartItems.map(item => item.id),
+      cartItems.map(item => item.product_id),
+      cartItems.map(item => (item.available ? item.price : null)),
+      cartItems.map(item => item.rx_required === true)
+    ]
+  );
+
+  const itemsById = new Map(cartItems.map(item => [item.id, item]));
+  for (const { item_id: itemId, ...analog } of rows) {
+    const item = itemsById.get(itemId);
+    substitutes.set(itemId, {
+      ...analog,
+      reason: item.available ? 'cheaper' : 'out_of_stock',
+      savings: item.available ? roundMoney((parseFloat(item.price) - parseFloat(analog.price)) * item.quantity) : null
+    });
+  }
+
+  return substitutes;
+}
+
+// Cart - Get cart
+app.get('/api/cart', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 GET /api/cart');
+
+  try {
+    const { rows } = await req.db.query(`
+      SELECT ci.*, p.name, p.price, p.image, p.description, p.manufacturer, p.in_stock,
+             p.stock_quantity, p.rx_required
+      FROM cart_items ci
+      LEFT JOIN products p ON ci.product_id = p.id
+      WHERE ci.user_id = $1
+      ORDER BY ci.created_at DESC
+    `, [req.userId]);
+
+    const substitutes = await findCartSubstitutes(req.db, rows);
+    for (const item of rows) {
+      item.substitute = substitutes.get(item.id) || null;
+    }
+
+    res.json({
+      success: true,
+      items: rows || [],
+      total: rows.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения корзины:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера'
+    });
+  }
+});
+
+// Cart - Replace item with analog (количество сохраняется)
+app.post('/api/cart/:itemId/substitute', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/cart/' + req.params.itemId + '/substitute');
+  const productId = parseInt(req.body.product_id);
+
+  if (!productId) {
+    return res.status(400).json({
+      success: false,
+      error: 'product_id обязателен'
+    });
+  }
+
+  try {
+    const item = await withTransaction(req.db, async (client) => {
+      const { rows: items } = await client.query(
+        `SELECT ci.*, p.rx_required
+         FROM cart_items ci
+         JOIN products p ON p.id = ci.product_id
+         WHERE ci.id = $1 AND ci.user_id = $2
+         FOR UPDATE OF ci`,
+        [req.params.itemId, req.userId]
+      );
+
+      if (items.length === 0) {
+        throw new OrderError(404, 'Товар в корзине не найден');
+      }
+
+      const analogs = await findProductAnalogs(client, items[0].product_id, {
+        limit: ANALOGS_LIMIT_MAX,
+        availableOnly: true,
+        allowRx: items[0].rx_required
+      });
+      const analog = analogs.find(row => row.id === productId);
+
+      if (!analog) {
+        throw new OrderError(409, 'Этот товар нельзя предложить как замену');
+      }
+
+      if (analog.stock_quantity !== null && analog.stock_quantity < items[0].quantity) {
+        throw new OrderError(409, `Доступно только ${analog.stock_quantity} шт.`);
+      }
+
+      await client.query('DELETE FROM cart_items WHERE id = $1', [items[0].id]);
+      const { rows } = await client.query(
+        `INSERT INTO cart_items (user_id, product_id, quantity)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, product_id)
+         DO UPDATE SET quantity = cart_items.quantity + $3
+         RETURNING *`,
+        [req.userId, productId, items[0].quantity]
+      );
+      return rows[0];
+    });
+
+    res.json({
+      success: true,
+      message: 'Товар заменен на аналог',
+      item
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка замены товара в корзине');
+  }
+});
+
+// Cart - Update quantity
+app.put('/api/cart/:itemId', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 PUT /api/cart/' + req.params.itemId);
+  const quantity = Number(req.body.quantity);
+  
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Количество должно быть целым числом не менее 1'
+    });
+  }
+
+  try {
+    const { rows: items } = await req.db.query(
+      `SELECT ci.id, p.in_stock, p.stock_quantity
+       FROM cart_items ci
+       JOIN products p ON p.id = ci.product_id
+       WHERE ci.id = $1 AND ci.user_id = $2`,
+      [parseIdParam(req.params.itemId), req.userId]
+    );
+
+    if (items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Товар в корзине не найден'
+      });
+    }
+
+    const stockError = cartStockError(items[0], quantity);
+    if (stockError) {
+      return res.status(409).json(stockError);
+    }
+
+    await req.db.query(
+      'UPDATE cart_items SET quantity = $1 WHERE id = $2',
+      [quantity, items[0].id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Количество обновлено'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления корзины:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера'
+    });
+  }
+});
+
+// Cart - Remove item
+app.delete('/api/cart/:itemId', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 DELETE /api/cart/' + req.params.itemId);
+  
+  try {
+    await req.db.query(
+      'DELETE FROM cart_items WHERE id = $1 AND user_id = $2',
+      [req.params.itemId, req.userId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Товар удален из корзины'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка удаления из корзины:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера'
+    });
+  }
+});
+
+// Cart - Clear cart
+app.delete('/api/cart', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 DELETE /api/cart');
+  
+  try {
+    await req.db.query('DELETE FROM cart_items WHERE user_id = $1', [req.userId]);
+
+    res.json({
+      success: true,
+      message: 'Корзина очищена'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка очистки корзины:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сервера'
+    });
+  }
+});
+
+// ==================== DELIVERY ZONES ====================
+
+// Луч из точки пересекает границу многоугольника нечетное число раз, если точка внутри.
+// polygon — [[lat, lng], ...], долгота считается осью x.
+function pointInPolygon(latitude, longitude, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [yi, xi] = polygon[i];
+    const [yj, xj] = polygon[j];
+    const crosses = (yi > latitude) !== (yj > latitude) &&
+      longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+function deliveryZoneContains(zone, latitude, longitude) {
+  if (zone.zone_type === 'radius') {
+    const distance = haversineKm(
+      parseFloat(zone.center_latitude), parseFloat(zone.center_longitude), latitude, longitude
+    );
+    return distance <= parseFloat(zone.radius_km);
+  }
+
+  return Array.isArray(zone.polygon) && pointInPolygon(latitude, longitude, zone.polygon);
+}
+
+// Стоимость доставки по зоне, в которую попадает адрес. Если подходят несколько зон,
+// выбирается зона с меньшим priority, затем с меньшей стоимостью доставки.
+// Пока ни одной зоны не настроено, доставка бесплатная и без ограничений по адресу.
+async function quoteDelivery(db, latitude, longitude, subtotalAmount) {
+  const { rows: zones } = await db.query(
+    'SELECT * FROM delivery_zones WHERE is_active = true ORDER BY priority, delivery_fee, id'
+  );
+
+  if (zones.length === 0) {
+    return { zone: null, delivery_fee: 0, min_order_amount: 0, free_delivery_from: null };
+  }
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (!isValidCoordinate(lat, lng)) {
+    throw new OrderError(400, 'Выберите адрес доставки на карте, чтобы рассчитать доставку');
+  }
+
+  const zone = zones.find(candidate => deliveryZoneContains(candidate, lat, lng));
+  if (!zone) {
+    throw new OrderError(400, 'Адрес находится вне зоны доставки');
+  }
+
+  const minOrderAmount = parseFloat(zone.min_order_amount) || 0;
+  const freeDeliveryFrom = zone.free_delivery_from !== null ? parseFloat(zone.free_delivery_from) : null;
+
+  if (subtotalAmount < minOrderAmount) {
+    throw new OrderError(400, `Минимальная сумма заказа для зоны «${zone.name}» — ${minOrderAmount} ₽`);
+  }
+
+  return {
+    zone: { id: zone.id, name: zone.name },
+    delivery_fee: freeDeliveryFrom !== null && subtotalAmount >= freeDeliveryFrom
+      ? 0
+      : roundMoney(parseFloat(zone.delivery_fee) || 0),
+    min_order_amount: minOrderAmount,
+    free_delivery_from: freeDeliveryFrom
+  };
+}
+
+// Координаты для расчета доставки: адрес из адресной книги, явные координаты или сохраненный адрес пользователя
+async function getQuoteCoordinates(db, userId, { address_id, latitude, longitude }) {
+  if (address_id) {
+    const address = await getUserAddress(db, userId, address_id);
+    if (!address) {
+      throw new OrderError(404, 'Адрес не найден');
+    }
+    return { latitude: address.latitude, longitude: address.longitude };
+  }
+
+  if (latitude != null && longitude != null) {
+    return { latitude, longitude };
+  }
+
+  const { rows } = await db.query(
+    'SELECT delivery_latitude, delivery_longitude FROM users WHERE id = $1',
+    [userId]
+  );
+  return { latitude: rows[0]?.delivery_latitude, longitude: rows[0]?.delivery_longitude };
+}
+
+// Checkout - стоимость доставки для текущей корзины по адресу из книги или координатам
+app.get('/api/delivery/quote', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 GET /api/delivery/quote');
+
+  try {
+    const { latitude, longitude } = await getQuoteCoordinates(req.db, req.userId, req.query);
+
+    const { rows: cartRows } = await req.db.query(
+      `SELECT COALESCE(SUM(ci.quantity * p.price), 0) AS subtotal
+       FROM cart_items ci
+       JOIN products p ON p.id = ci.product_id
+       WHERE ci.user_id = $1`,
+      [req.userId]
+    );
+    const subtotalAmount = roundMoney(parseFloat(cartRows[0].subtotal) || 0);
+
+    try {
+      const quote = await quoteDelivery(req.db, latitude, longitude, subtotalAmount);
+      res.json({
+        success: true,
+        available: true,
+        subtotal_amount: subtotalAmount,
+        ...quote
+      });
+    } catch (err) {
+      if (!(err instanceof OrderError)) {
+        throw err;
+      }
+
+      // Недоступная доставка — не ошибка запроса: корзина показывает причину
+      res.json({
+        success: true,
+        available: false,
+        subtotal_amount: subtotalAmount,
+        reason: err.message
+      });
+    }
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка расчета доставки');
+  }
+});
+
+// ==================== DELIVERY SLOTS ====================
+
+// Окна доставки на ближайшие DELIVERY_SLOT_DAYS дней в часовом поясе DISPATCH_TIMEZONE.
+// Вместимость окна — курьеры, чье расписание целиком покрывает окно, по
+// DELIVERY_SLOT_ORDERS_PER_COURIER заказов на каждого, но не больше DELIVERY_SLOT_MAX_ORDERS.
+const DELIVERY_SLOT_HOURS = parseInt(process.env.DELIVERY_SLOT_HOURS) || 2;
+const DELIVERY_SLOT_DAYS = parseInt(process.env.DELIVERY_SLOT_DAYS) || 3;
+const DELIVERY_SLOT_FIRST_HOUR = parseInt(process.env.DELIVERY_SLOT_FIRST_HOUR) || 8;
+// Окна не переходят через полночь
+const DELIVERY_SLOT_LAST_HOUR = Math.min(parseInt(process.env.DELIVERY_SLOT_LAST_HOUR) || 22, 23);
+const DELIVERY_SLOT_ORDERS_PER_COURIER = parseInt(process.env.DELIVERY_SLOT_ORDERS_PER_COURIER) || 3;
+const DELIVERY_SLOT_MAX_ORDERS = parseInt(process.env.DELIVERY_SLOT_MAX_ORDERS) || 20;
+// Время на сборку: ближайшее доступное окно начинается не раньше чем через столько минут
+const DELIVERY_SLOT_LEAD_MINUTES = parseInt(process.env.DELIVERY_SLOT_LEAD_MINUTES) || 60;
+// Пространство ключей pg_advisory_xact_lock для бронирования окон
+const DELIVERY_SLOT_LOCK_NAMESPACE = 22001;
+
+async function getDeliverySlots(db, now = new Date()) {
+  const { rows } = await db.query(
+    `WITH local_now AS (
+       SELECT ($1::timestamptz AT TIME ZONE $2) AS ts
+     ),
+     slots AS (
+       SELECT
+         day + make_interval(hours => hour) AS local_start,
+         day + make_interval(hours => hour + $3::int) AS local_end
+       FROM local_now
+       CROSS JOIN generate_series(
+         date_trunc('day', local_now.ts),
+         date_trunc('day', local_now.ts) + ($4::int - 1) * INTERVAL '1 day',
+         INTERVAL '1 day'
+       ) AS day
+       CROSS JOIN generate_series($5::int, $6::int - $3::int, $3::int) AS hour
+     )
+     SELECT
+       s.local_start AT TIME ZONE $2 AS slot_start,
+       s.local_end AT TIME ZONE $2 AS slot_end,
+       (
+         SELECT COUNT(DISTINCT w.courier_id)
+         FROM courier_work_schedule w
+         JOIN couriers c ON c.id = w.courier_id
+         WHERE c.application_status = 'approved'
+           AND w.is_active = true
+           AND w.day_of_week = EXTRACT(DOW FROM s.local_start)
+           AND w.start_time <= s.local_start::time
+           AND w.end_time >= s.local_end::time
+       )::int AS couriers_count,
+       (
+         SELECT COUNT(*)
+         FROM delivery_orders o
+         WHERE o.delivery_slot_start = s.local_start AT TIME ZONE $2
+           AND o.status <> 'cancelled'
+       )::int AS booked_count
+     FROM slots s
+     CROSS JOIN local_now
+     WHERE s.local_start >= local_now.ts + $7 * INTERVAL '1 minute'
+     ORDER BY s.local_start`,
+    [
+      now.toISOString(),
+      DISPATCH_TIMEZONE,
+      DELIVERY_SLOT_HOURS,
+      DELIVERY_SLOT_DAYS,
+      DELIVERY_SLOT_FIRST_HOUR,
+      DELIVERY_SLOT_LAST_HOUR,
+      DELIVERY_SLOT_LEAD_MINUTES
+    ]
+  );
+
+  return rows.map(row => {
+    const capacity = Math.min(row.couriers_count * DELIVERY_SLOT_ORDERS_PER_COURIER, DELIVERY_SLOT_MAX_ORDERS);
+    return {
+      start: row.slot_start,
+      end: row.slot_end,
+      couriers_count: row.couriers_count,
+      capacity: capacity,
+      booked: row.booked_count,
+      remaining: Math.max(capacity - row.booked_count, 0),
+      available: row.booked_count < capacity
+    };
+  });
+}
+
+// Бронирует окно внутри транзакции заказа. Блокировка по времени начала окна
+// выстраивает параллельные оформления в очередь, чтобы не превысить вместимость.
+async function reserveDeliverySlot(client, slotStart) {
+  const start = new Date(slotStart);
+
+  if (Number.isNaN(start.getTime())) {
+    throw new OrderError(400, 'Некорректное окно доставки');
+  }
+
+  await client.query('SELECT pg_advisory_xact_lock($1, $2)', [
+    DELIVERY_SLOT_LOCK_NAMESPACE,
+    Math.floor(start.getTime() / 60000)
+  ]);
+
+  const slots = await getDeliverySlots(client);
+  const slot = slots.find(item => item.start.getTime() === start.getTime());
+
+  if (!slot) {
+    throw new OrderError(400, 'Окно доставки недоступно, выберите другое');
+  }
+
+  if (!slot.available) {
+    throw new OrderError(409, 'В выбранном окне доставки не осталось мест, выберите другое');
+  }
+
+  return slot;
+}
+
+// Delivery - доступные окна доставки
+app.get('/api/delivery/slots', databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/delivery/slots');
+
+  try {
+    const slots = await getDeliverySlots(req.db);
+
+    res.json({
+      success: true,
+      slot_hours: DELIVERY_SLOT_HOURS,
+      timezone: DISPATCH_TIMEZONE,
+      slots: slots
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения окон доставки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения окон доставки: ' + err.message
+    });
+  }
+});
+
+// ==================== BRANCHES & PICKUP ====================
+
+const FULFILLMENT_TYPES = ['delivery', 'pickup'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const BRANCH_PUBLIC_COLUMNS = `
+  b.id, b.name, b.address, b.latitude, b.longitude, b.phone, b.opening_hours, b.pickup_enabled
+`;
+
+// День недели (0 — воскресенье) и время «ЧЧ:ММ» в часовом поясе DISPATCH_TIMEZONE
+function localClock(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: DISPATCH_TIMEZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const part = (type) => parts.find(item => item.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    time: `${part('hour')}:${part('minute')}`
+  };
+}
+
+function isBranchOpen(openingHours, now = new Date()) {
+  const { day, time } = localClock(now);
+  const hours = openingHours && openingHours[day];
+  return Boolean(hours) && time >= hours.open && time < hours.close;
+}
+
+function withOpenStatus(branch) {
+  return { ...branch, is_open_now: isBranchOpen(branch.opening_hours) };
+}
+
+// Аптека, в которой можно забрать заказ
+async function getPickupBranch(db, branchId) {
+  if (!branchId) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `SELECT ${BRANCH_PUBLIC_COLUMNS} FROM branches b
+     WHERE b.id = $1 AND b.is_active = true AND b.pickup_enabled = true`,
+    [parseInt(branchId) || 0]
+  );
+  return rows[0] || null;
+}
+
+// Код получения называет покупатель при выдаче заказа
+function generatePickupCode() {
+  return String(crypto.randomInt(100000, 1000000));
+}
+
+// Branches - список аптек (?pickup=true — только с самовывозом)
+app.get('/api/branches', databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/branches');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT ${BRANCH_PUBLIC_COLUMNS} FROM branches b
+       WHERE b.is_active = true ${req.query.pickup === 'true' ? 'AND b.pickup_enabled = true' : ''}
+       ORDER BY b.name`
+    );
+
+    res.json({
+      success: true,
+      branches: rows.map(withOpenStatus)
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения аптек:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения аптек: ' + err.message
+    });
+  }
+});
+
+// Products - наличие товара в аптеках
+app.get('/api/products/:id/branches', databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/products/' + req.params.id + '/branches');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT ${BRANCH_PUBLIC_COLUMNS}, s.quantity
+       FROM branch_stock s
+       JOIN branches b ON b.id = s.branch_id
+       WHERE s.product_id = $1 AND s.quantity > 0 AND b.is_active = true
+       ORDER BY s.quantity DESC, b.name`,
+      [parseInt(req.params.id) || 0]
+    );
+
+    res.json({
+      success: true,
+      branches: rows.map(withOpenStatus)
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения наличия в аптеках:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения наличия в аптеках: ' + err.message
+    });
+  }
+});
+
+// ==================== ORDER ROUTES ====================
+
+// Ошибка оформления заказа с HTTP-статусом и деталями по позициям
+class OrderError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'OrderError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function sendOrderError(res, err, logMessage) {
+  if (err instanceof OrderError) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message,
+      ...(err.details ? { items: err.details } : {})
+    });
+  }
+
+  console.error('❌ ' + logMessage + ':', err);
+  res.status(500).json({
+    success: false,
+    error: logMessage + ': ' + err.message
+  });
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Недостающие данные получателя берутся из профиля пользователя
+async function resolveOrderContacts(client, userId, body) {
+  const { rows } = await client.query(
+    'SELECT first_name, last_name, phone, delivery_address, delivery_latitude, delivery_longitude FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = rows[0] || {};
+
+  const fulfillmentType = body.fulfillment_type || 'delivery';
+  if (!FULFILLMENT_TYPES.includes(fulfillmentType)) {
+    throw new OrderError(400, 'Способ получения должен быть delivery или pickup');
+  }
+
+  // При самовывозе адрес заказа — адрес аптеки; окно доставки и адресная книга не используются
+  if (fulfillmentType === 'pickup') {
+    const branch = await getPickupBranch(client, body.pickup_branch_id);
+    if (!branch) {
+      throw new OrderError(400, 'Выберите аптеку для самовывоза');
+    }
+
+    body = {
+      ...body,
+      delivery_address: branch.address,
+      delivery_latitude: branch.latitude,
+      delivery_longitude: branch.longitude,
+      pickup_branch_id: branch.id,
+      address_id: null,
+      delivery_slot_start: null
+    };
+  }
+
+  // Адрес из адресной книги подставляется целиком, вместе с координатами
+  if (body.address_id) {
+    const address = await getUserAddress(client, userId, body.address_id);
+    if (!address) {
+      throw new OrderError(404, 'Адрес не найден');
+    }
+
+    const details = [
+      address.apartment && `кв. ${address.apartment}`,
+      address.entrance && `подъезд ${address.entrance}`,
+      address.floor && `этаж ${address.floor}`,
+      address.intercom && `домофон ${address.intercom}`
+    ].filter(Boolean);
+
+    body = {
+      ...body,
+      delivery_address: [address.address, ...details].join(', '),
+      delivery_latitude: address.latitude,
+      delivery_longitude: address.longitude,
+      customer_notes: [body.customer_notes, address.comment].filter(Boolean).join('\n') || null
+    };
+  }
+
+  // Координаты сохраненного адреса используем, только если доставка идет на него
+  const usesSavedAddress = !body.delivery_address || body.delivery_address === user.delivery_address;
+  const hasBodyCoordinates = body.delivery_latitude != null && body.delivery_longitude != null;
+
+  const contacts = {
+    customer_name: body.customer_name || `${user.first_name || ''} ${user.last_name || ''}`.trim(),
+    customer_phone: body.customer_phone || user.phone,
+    delivery_address: body.delivery_address || user.delivery_address,
+    delivery_latitude: hasBodyCoordinates ? body.delivery_latitude : (usesSavedAddress ? user.delivery_latitude : null),
+    delivery_longitude: hasBodyCoordinates ? body.delivery_longitude : (usesSavedAddress ? user.delivery_longitude : null),
+    customer_notes: body.customer_notes || null,
+    payment_method: body.payment_method || 'cash',
+    prescription: body.prescription || null,
+    address_id: body.address_id || null,
+    delivery_slot_start: body.delivery_slot_start || null,
+    fulfillment_type: fulfillmentType,
+    pickup_branch_id: fulfillmentType === 'pickup' ? body.pickup_branch_id : null
+  };
+
+  if (!contacts.customer_name || !contacts.customer_phone || !contacts.delivery_address) {
+    throw new OrderError(400, 'Укажите имя, телефон и адрес доставки');
+  }
+
+  if (!['cash', 'card'].includes(contacts.payment_method)) {
+    throw new OrderError(400, 'Способ оплаты должен быть cash или card');
+  }
+
+  if (contacts.payment_method === 'card' && !PAYMENT_PROVIDER) {
+    throw new OrderError(400, 'Оплата картой сейчас недоступна, выберите оплату наличными');
+  }
+
+  return contacts;
+}
+
+// Проверяет наличие и списывает остатки. Строки товаров блокируются в порядке id,
+// чтобы параллельные заказы не продали один и тот же остаток дважды.
+// stock_quantity = NULL означает, что остаток не ведется и проверяется только in_stock.
+// Заказ на самовывоз (branchId) списывается с остатка аптеки, а не склада доставки.
+async function reserveStock(client, items, branchId = null) {
+  const productIds = items.map(item => item.product_id);
+  const { rows: products } = await client.query(
+    `SELECT id, name, price, category_id, stock_quantity, in_stock, rx_required FROM products
+     WHERE id = ANY($1::int[])
+     ORDER BY id
+     FOR UPDATE`,
+    [productIds]
+  );
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  let branchStock = null;
+  if (branchId) {
+    const { rows: stockRows } = await client.query(
+      `SELECT product_id, quantity FROM branch_stock
+       WHERE branch_id = $1 AND product_id = ANY($2::int[])
+       ORDER BY product_id
+       FOR UPDATE`,
+      [branchId, productIds]
+    );
+    branchStock = new Map(stockRows.map(row => [row.product_id, row.quantity]));
+  }
+
+  const errors = [];
+  for (const item of items) {
+    const product = productsById.get(item.product_id);
+
+    if (!product) {
+      errors.push({ product_id: item.product_id, error: 'Товар не найден' });
+    } else if (branchStock) {
+      const available = branchStock.get(product.id) || 0;
+      if (available < item.quantity) {
+        errors.push({
+          product_id: product.id,
+          name: product.name,
+          requested: item.quantity,
+          available: available,
+          error: available > 0 ? `В аптеке доступно только ${available} шт.` : 'Нет в наличии в выбранной аптеке'
+        });
+      }
+    } else if (product.in_stock === false) {
+      errors.push({
+        product_id: product.id,
+        name: product.name,
+        requested: item.quantity,
+        available: 0,
+        error: 'Нет в наличии'
+      });
+    } else if (product.stock_quantity !== null && product.stock_quantity < item.quantity) {
+      errors.push({
+        product_id: product.id,
+        name: product.name,
+        requested: item.quantity,
+        available: product.stock_quantity,
+        error: `Доступно только ${product.stock_quantity} шт.`
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    const notFound = errors.every(error => error.error === 'Товар не найден');
+    throw new OrderError(notFound ? 404 : 409, notFound ? 'Товар не найден' : 'Недостаточно товара на складе', errors);
+  }
+
+  for (const item of items) {
+    if (branchStock) {
+      await client.query(
+        `UPDATE branch_stock SET quantity = quantity - $1, updated_at = CURRENT_TIMESTAMP
+         WHERE branch_id = $2 AND product_id = $3`,
+        [item.quantity, branchId, item.product_id]
+      );
+      continue;
+    }
+
+    await client.query(
+      `UPDATE products
+       SET stock_quantity = stock_quantity - $1, in_stock = stock_quantity - $1 > 0
+       WHERE id = $2 AND stock_quantity IS NOT NULL`,
+      [item.quantity, item.product_id]
+    );
+  }
+
+  return productsById;
+}
+
+// Добавляет событие в историю статусов заказа
+// (created, paid, verified, rejected, assigned, ready_for_pickup, delivered, cancelled, refunded)
+async function recordOrderStatus(client, orderId, status, note = null) {
+  await client.query(
+    'INSERT INTO delivery_order_status_history (delivery_order_id, status, note) VALUES ($1, $2, $3)',
+    [orderId, status, note]
+  );
+}
+
+// Возвращает на склад товары отмененного заказа
+async function restoreOrderStock(client, orderId) {
+  const { rows } = await client.query(
+    'SELECT fulfillment_type, pickup_branch_id FROM delivery_orders WHERE id = $1',
+    [orderId]
+  );
+
+  // Заказ на самовывоз возвращается на остаток своей аптеки
+  if (rows[0] && rows[0].fulfillment_type === 'pickup') {
+    await client.query(
+      `UPDATE branch_stock s
+       SET quantity = s.quantity + i.quantity, updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT product_id, SUM(quantity) AS quantity
+         FROM delivery_order_items
+         WHERE delivery_order_id = $1
+         GROUP BY product_id
+       ) i
+       WHERE s.branch_id = $2 AND s.product_id = i.product_id`,
+      [orderId, rows[0].pickup_branch_id]
+    );
+    return;
+  }
+
+  await client.query(
+    `UPDATE products p
+     SET stock_quantity = p.stock_quantity + i.quantity, in_stock = true
+     FROM (
+       SELECT product_id, SUM(quantity) AS quantity
+       FROM delivery_order_items
+       WHERE delivery_order_id = $1
+       GROUP BY product_id
+     ) i
+     WHERE p.id = i.product_id AND p.stock_quantity IS NOT NULL`,
+    [orderId]
+  );
+}
+
+// Проверяет промокод для позиций заказа и считает скидку.
+// Строка промокода блокируется до конца транзакции, чтобы параллельные заказы не превысили лимиты.
+// lines: [{ product_id, category_id, total_price }]; deliveryFee — стоимость доставки заказа.
+async function applyPromoCode(client, code, userId, lines, deliveryFee = 0) {
+  const { rows } = await client.query(
+    'SELECT * FROM promo_codes WHERE UPPER(code) = UPPER($1) FOR UPDATE',
+    [String(code).trim()]
+  );
+  const promo = rows[0];
+
+  if (!promo || !promo.is_active) {
+    throw new OrderError(404, 'Промокод не найден');
+  }
+
+  const now = new Date();
+  if (promo.starts_at && promo.starts_at > now) {
+    throw new OrderError(400, 'Промокод еще не действует');
+  }
+  if (promo.ends_at && promo.ends_at < now) {
+    throw new OrderError(400, 'Срок действия промокода истек');
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.total_price, 0));
+  const minOrderAmount = parseFloat(promo.min_order_amount) || 0;
+  if (subtotal < minOrderAmount) {
+    throw new OrderError(400, `Промокод действует для заказов от ${minOrderAmount} ₽`);
+  }
+
+  // Использования в отмененных заказах не учитываются
+  const { rows: usage } = await client.query(
+    `SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE r.user_id = $2)::int AS by_user
+     FROM promo_code_redemptions r
+     JOIN delivery_orders o ON o.id = r.delivery_order_id
+     WHERE r.promo_code_id = $1 AND o.status <> 'cancelled'`,
+    [promo.id, userId]
+  );
+
+  if (promo.usage_limit !== null && usage[0].total >= promo.usage_limit) {
+    throw new OrderError(409, 'Лимит использований промокода исчерпан');
+  }
+  if (promo.usage_limit_per_user !== null && usage[0].by_user >= promo.usage_limit_per_user) {
+    throw new OrderError(409, 'Вы уже использовали этот промокод');
+  }
+
+  // Промокод может действовать только на товар или категорию
+  const eligible = lines.filter(line =>
+    (promo.product_id === null || line.product_id === promo.product_id) &&
+    (promo.category_id === null || line.category_id === promo.category_id)
+  );
+
+  if (eligible.length === 0) {
+    throw new OrderError(400, 'Промокод не применим к товарам в заказе');
+  }
+
+  const eligibleAmount = eligible.reduce((sum, line) => sum + line.total_price, 0);
+  const value = parseFloat(promo.discount_value) || 0;
+  let itemsDiscount = 0;
+  let deliveryDiscount = 0;
+
+  if (promo.discount_type === 'percent') {
+    itemsDiscount = eligibleAmount * value / 100;
+    if (promo.max_discount !== null) {
+      itemsDiscount = Math.min(itemsDiscount, parseFloat(promo.max_discount));
+    }
+  } else if (promo.discount_type === 'fixed') {
+    itemsDiscount = Math.min(value, eligibleAmount);
+  } else if (promo.discount_type === 'free_delivery') {
+    deliveryDiscount = deliveryFee;
+  }
+
+  itemsDiscount = roundMoney(itemsDiscount);
+  deliveryDiscount = roundMoney(deliveryDiscount);
+
+  return {
+    promo,
+    items_discount: itemsDiscount,
+    delivery_discount: deliveryDiscount,
+    discount: roundMoney(itemsDiscount + deliveryDiscount)
+  };
+}
+
+// Рецепт прикладывается как data URL (изображение или PDF), как и фото документов курьера
+const PRESCRIPTION_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+// На Vercel тело запроса ограничено 4.5 МБ, а base64 увеличивает файл на треть: 3 МБ дают около 4 МБ JSON
+const PRESCRIPTION_MAX_BYTES = 3 * 1024 * 1024;
+
+async function savePrescription(client, orderId, userId, upload) {
+  const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec((upload && upload.file) || '');
+
+  if (!match || !PRESCRIPTION_MIME_TYPES.includes(match[1])) {
+    throw new OrderError(400, 'Рецепт должен быть изображением (JPEG, PNG, WebP) или PDF');
+  }
+
+  const sizeBytes = Math.floor(match[2].replace(/\s/g, '').length * 3 / 4);
+  if (sizeBytes > PRESCRIPTION_MAX_BYTES) {
+    throw new OrderError(400, 'Размер файла рецепта не должен превышать 3 МБ');
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO order_prescriptions (delivery_order_id, uploaded_by, file_name, mime_type, size_bytes, file_data)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, delivery_order_id, file_name, mime_type, size_bytes, created_at`,
+    [orderId, userId, String(upload.file_name || 'prescription').slice(0, 255), match[1], sizeBytes, upload.file]
+  );
+  return rows[0];
+}
+
+async function getOrderPrescriptions(dbClient, orderId) {
+  const { rows } = await dbClient.query(
+    `SELECT id, file_name, mime_type, size_bytes, created_at FROM order_prescriptions
+     WHERE delivery_order_id = $1
+     ORDER BY id`,
+    [orderId]
+  );
+  return rows;
+}
+
+// Создает заказ и его позиции внутри открытой транзакции, резервируя остатки.
+// Цены берутся из products.price, присланные клиентом суммы игнорируются.
+// Скидка по промокоду сохраняется в заказе и учитывается в лимитах промокода.
+async function insertDeliveryOrder(client, userId, items, contacts, promoCode = null) {
+  const isPickup = contacts.fulfillment_type === 'pickup';
+  const productsById = await reserveStock(client, items, isPickup ? contacts.pickup_branch_id : null);
+  const slot = contacts.delivery_slot_start ? await reserveDeliverySlot(client, contacts.delivery_slot_start) : null;
+
+  const lines = items.map(item => {
+    const product = productsById.get(item.product_id);
+    const unitPrice = parseFloat(product.price) || 0;
+    return {
+      product_id: product.id,
+      product_name: product.name,
+      quantity: item.quantity,
+      unit_price: unitPrice,
+      total_price: roundMoney(unitPrice * item.quantity)
+    };
+  });
+
+  const subtotalAmount = roundMoney(lines.reduce((sum, line) => sum + line.total_price, 0));
+  const delivery = isPickup
+    ? { zone: null, delivery_fee: 0 }
+    : await quoteDelivery(client, contacts.delivery_latitude, contacts.delivery_longitude, subtotalAmount);
+  const deliveryFee = delivery.delivery_fee;
+
+  let pricing = null;
+  if (promoCode) {
+    const pricingLines = lines.map(line => ({
+      ...line,
+      category_id: productsById.get(line.product_id).category_id
+    }));
+    pricing = await applyPromoCode(client, promoCode, userId, pricingLines, deliveryFee);
+  }
+
+  const discountAmount = pricing ? pricing.discount : 0;
+  const totalAmount = roundMoney(subtotalAmount + deliveryFee - discountAmount);
+  // Заказ с рецептурными товарами ждет проверки рецепта фармацевтом
+  const rxRequired = items.some(item => productsById.get(item.product_id).rx_required === true);
+
+  // Заказ, оплачиваемый картой, уходит курьерам только после подтверждения оплаты
+  const paymentStatus = contacts.payment_method === 'card' && totalAmount > 0 ? 'pending' : 'not_required';
+
+  // Генерируем уникальный код заказа
+  const orderCode = 'D-' + Date.now().toString().slice(-8);
+
+  const { rows: orderRows } = await client.query(
+    `INSERT INTO delivery_orders (
+      order_code, user_id, total_amount, delivery_address, delivery_latitude, delivery_longitude,
+      customer_name, customer_phone, customer_notes, payment_method, status,
+      subtotal_amount, delivery_fee, discount_amount, promo_code_id, promo_code, payment_status, rx_required,
+      delivery_zone_id, delivery_address_id, delivery_slot_start, delivery_slot_end,
+      fulfillment_type, pickup_branch_id, pickup_code
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25
+    ) RETURNING *`,
+    [
+      orderCode,
+      userId,
+      totalAmount,
+      contacts.delivery_address,
+      contacts.delivery_latitude || null,
+      contacts.delivery_longitude || null,
+      contacts.customer_name,
+      contacts.customer_phone,
+      contacts.customer_notes,
+      contacts.payment_method,
+      rxRequired ? 'pending_verification' : 'pending',
+      subtotalAmount,
+      deliveryFee,
+      discountAmount,
+      pricing ? pricing.promo.id : null,
+      pricing ? pricing.promo.code : null,
+      paymentStatus,
+      rxRequired,
+      delivery.zone ? delivery.zone.id : null,
+      contacts.address_id,
+      slot ? slot.start : null,
+      slot ? slot.end : null,
+      contacts.fulfillment_type,
+      contacts.pickup_branch_id,
+      isPickup ? generatePickupCode() : null
+    ]
+  );
+
+  const order = orderRows[0];
+
+  await recordOrderStatus(client, order.id, 'created');
+
+  if (pricing) {
+    await client.query(
+      `INSERT INTO promo_code_redemptions (promo_code_id, user_id, delivery_order_id, discount_amount)
+       VALUES ($1, $2, $3, $4)`,
+      [pricing.promo.id, userId, order.id, discountAmount]
+    );
+  }
+
+  for (const line of lines) {
+    await client.query(
+      `INSERT INTO delivery_order_items (
+        delivery_order_id, product_id, product_name, quantity, unit_price, total_price
+      ) VALUES ($1, $2, $3, $4, $5, $6)`,
+      [order.id, line.product_id, line.product_name, line.quantity, line.unit_price, line.total_price]
+    );
+  }
+
+  // Рецепт можно приложить сразу при оформлении или позже через /api/orders/:id/prescriptions
+  order.prescriptions = [];
+  if (rxRequired && contacts.prescription) {
+    order.prescriptions.push(await savePrescription(client, order.id, userId, contacts.prescription));
+  }
+
+  order.items = lines;
+  return order;
+}
+
+function orderCreatedMessage(order) {
+  if (order.status !== 'pending_verification') {
+    return order.fulfillment_type === 'pickup'
+      ? 'Заказ создан. Мы сообщим, когда он будет готов к выдаче'
+      : 'Заказ успешно создан';
+  }
+  return order.prescriptions.length > 0
+    ? 'Заказ создан и ожидает проверки рецепта фармацевтом'
+    : 'Заказ создан. В заказе есть рецептурные препараты: приложите фото или скан рецепта';
+}
+
+// Checkout - оформление заказа из корзины
+app.post('/api/orders', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/orders');
+
+  try {
+    const { order, payment } = await withTransaction(req.db, async (client) => {
+      // Блокируем строки корзины, чтобы параллельный checkout не оформил их повторно
+      const { rows: cartRows } = await client.query(
+        `SELECT product_id, quantity FROM cart_items
+         WHERE user_id = $1
+         ORDER BY product_id
+         FOR UPDATE`,
+        [req.userId]
+      );
+
+      if (cartRows.length === 0) {
+        throw new OrderError(400, 'Корзина пуста');
+      }
+
+      const invalidRows = cartRows.filter(row => !Number.isInteger(row.quantity) || row.quantity < 1);
+      if (invalidRows.length > 0) {
+        throw new OrderError(400, 'Некорректное количество товара в корзине', invalidRows.map(row => ({
+          product_id: row.product_id,
+          requested: row.quantity,
+          error: 'Количество должно быть не меньше 1'
+        })));
+      }
+
+      const contacts = await resolveOrderContacts(client, req.userId, req.body);
+      const created = await insertDeliveryOrder(client, req.userId, cartRows, contacts, req.body.promo_code);
+      // Корзина очищается только после создания платежа: если провайдер недоступен, она остается
+      const orderPayment = await createOrderPayment(client, created);
+
+      await client.query('DELETE FROM cart_items WHERE user_id = $1', [req.userId]);
+
+      return { order: created, payment: orderPayment };
+    });
+
+    console.log('✅ Заказ из корзины создан:', order.id);
+    if (!payment) {
+      dispatchInBackground(req.db, order.id);
+    }
+
+    res.json({
+      success: true,
+      message: orderCreatedMessage(order),
+      order: order,
+      payment: payment
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка оформления заказа');
+  }
+});
+
+// Checkout - проверка промокода для текущей корзины (скидка без оформления заказа)
+app.post('/api/promo-codes/check', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/promo-codes/check');
+
+  if (!req.body.code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Введите промокод'
+    });
+  }
+
+  try {
+    const { rows: cartRows } = await req.db.query(
+      `SELECT ci.product_id, ci.quantity, p.price, p.category_id
+       FROM cart_items ci
+       JOIN products p ON p.id = ci.product_id
+       WHERE ci.user_id = $1`,
+      [req.userId]
+    );
+
+    if (cartRows.length === 0) {
+      throw new OrderError(400, 'Корзина пуста');
+    }
+
+    const lines = cartRows.map(row => ({
+      product_id: row.product_id,
+      category_id: row.category_id,
+      total_price: roundMoney((parseFloat(row.price) || 0) * row.quantity)
+    }));
+    const subtotalAmount = roundMoney(lines.reduce((sum, line) => sum + line.total_price, 0));
+
+    // Стоимость доставки считается так же, как при оформлении: от нее зависит скидка free_delivery.
+    // Если доставка недоступна, корзина показывает причину отдельно, а скидка на доставку равна 0
+    let deliveryFee = 0;
+    if (req.body.fulfillment_type !== 'pickup') {
+      const { latitude, longitude } = await getQuoteCoordinates(req.db, req.userId, req.body);
+      try {
+        deliveryFee = (await quoteDelivery(req.db, latitude, longitude, subtotalAmount)).delivery_fee;
+      } catch (err) {
+        if (!(err instanceof OrderError)) {
+          throw err;
+        }
+      }
+    }
+
+    const pricing = await withTransaction(req.db, (client) =>
+      applyPromoCode(client, req.body.code, req.userId, lines, deliveryFee)
+    );
+
+    res.json({
+      success: true,
+      promo_code: {
+        code: pricing.promo.code,
+        description: pricing.promo.description,
+        discount_type: pricing.promo.discount_type
+      },
+      subtotal_amount: subtotalAmount,
+      delivery_fee: deliveryFee,
+      discount_amount: pricing.discount,
+      total_amount: roundMoney(subtotalAmount + deliveryFee - pricing.discount)
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка проверки промокода');
+  }
+});
+
+// Средняя скорость в городе по типу транспорта, км/ч
+const COURIER_SPEED_KMH = {
+  bicycle: 15,
+  scooter: 18,
+  motorcycle: 30,
+  car: 25
+};
+// Реальный путь по улицам длиннее прямой примерно на треть
+const ROUTE_DISTANCE_FACTOR = 1.3;
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+// Последняя позиция курьера по заказу и оценка времени прибытия
+async function getOrderTracking(dbClient, order, includeTrack = false) {
+  const tracking = {
+    status: order.status,
+    destination: order.delivery_latitude != null
+      ? { latitude: parseFloat(order.delivery_latitude), longitude: parseFloat(order.delivery_longitude) }
+      : null,
+    courier: null,
+    distance_km: null,
+    eta_minutes: null
+  };
+
+  if (!order.courier_id || order.status !== 'assigned') {
+    return tracking;
+  }
+
+  const { rows } = await dbClient.query(
+    `SELECT p.latitude, p.longitude, p.recorded_at, c.first_name, c.vehicle_type
+     FROM couriers c
+     LEFT JOIN LATERAL (
+       SELECT latitude, longitude, recorded_at FROM courier_location_points
+       WHERE delivery_order_id = $1 AND courier_id = c.id
+       ORDER BY recorded_at DESC
+       LIMIT 1
+     ) p ON true
+     WHERE c.id = $2`,
+    [order.id, order.courier_id]
+  );
+
+  const point = rows[0];
+  if (!point || point.latitude == null) {
+    return tracking;
+  }
+
+  tracking.courier = {
+    name: point.first_name,
+    vehicle_type: point.vehicle_type,
+    latitude: parseFloat(point.latitude),
+    longitude: parseFloat(point.longitude),
+    updated_at: point.recorded_at
+  };
+
+  if (tracking.destination) {
+    const distance = haversineKm(
+      tracking.courier.latitude, tracking.courier.longitude,
+      tracking.destination.latitude, tracking.destination.longitude
+    ) * ROUTE_DISTANCE_FACTOR;
+    const speed = COURIER_SPEED_KMH[point.vehicle_type] || COURIER_SPEED_KMH.bicycle;
+
+    tracking.distance_km = Math.round(distance * 100) / 100;
+    tracking.eta_minutes = Math.max(1, Math.ceil(distance / speed * 60));
+  }
+
+  if (includeTrack) {
+    const { rows: track } = await dbClient.query(
+      `SELECT latitude, longitude, recorded_at FROM courier_location_points
+       WHERE delivery_order_id = $1
+       ORDER BY recorded_at ASC
+       LIMIT 1000`,
+      [order.id]
+    );
+    tracking.track = track;
+  }
+
+  return tracking;
+}
+
+const ORDER_DETAILS_SELECT = `
+  SELECT
+    o.*,
+    NULLIF(TRIM(CONCAT(c.first_name, ' ', c.last_name)), '') AS courier_name,
+    COALESCE((
+      SELECT json_agg(
+        json_build_object(
+          'product_id', doi.product_id,
+          'name', doi.product_name,
+          'quantity', doi.quantity,
+          'price', doi.unit_price,
+          'total_price', doi.total_price
+        ) ORDER BY doi.id
+      )
+      FROM delivery_order_items doi
+      WHERE doi.delivery_order_id = o.id
+    ), '[]') AS items,
+    CASE WHEN b.id IS NULL THEN NULL ELSE json_build_object(
+      'id', b.id,
+      'name', b.name,
+      'address', b.address,
+      'phone', b.phone,
+      'opening_hours', b.opening_hours
+    ) END AS pickup_branch
+  FROM delivery_orders o
+  LEFT JOIN couriers c ON o.courier_id = c.id
+  LEFT JOIN branches b ON o.pickup_branch_id = b.id
+`;
+
+// Хронология заказа. Для заказов, созданных до появления истории статусов,
+// события восстанавливаются по отметкам времени в самом заказе.
+async function getOrderTimeline(dbClient, order) {
+  const { rows } = await dbClient.query(
+    `SELECT status, note, created_at FROM delivery_order_status_history
+     WHERE delivery_order_id = $1
+     ORDER BY created_at, id`,
+    [order.id]
+  );
+
+  if (rows.length > 0) {
+    return rows;
+  }
+
+  const timeline = [{ status: 'created', note: null, created_at: order.created_at }];
+  if (order.courier_id) {
+    timeline.push({ status: 'assigned', note: null, created_at: order.assigned_at || null });
+  }
+  if (order.delivered_at) {
+    timeline.push({ status: 'delivered', note: null, created_at: order.delivered_at });
+  }
+  if (order.cancelled_at) {
+    timeline.push({ status: 'cancelled', note: null, created_at: order.cancelled_at });
+  }
+  return timeline;
+}
+
+// Orders - история заказов пользователя
+app.get('/api/orders', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 GET /api/orders');
+  const { status } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+  try {
+    let where = 'WHERE o.user_id = $1';
+    const params = [req.userId];
+
+    if (status) {
+      params.push(status);
+      where += ` AND o.status = $${params.length}`;
+    }
+
+    const { rows: countResult } = await req.db.query(
+      `SELECT COUNT(*) AS total FROM delivery_orders o ${where}`,
+      params
+    );
+
+    const { rows } = await req.db.query(
+      `${ORDER_DETAILS_SELECT}
+       ${where}
+       ORDER BY o.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const total = parseInt(countResult[0]?.total) || 0;
+
+    res.json({
+      success: true,
+      orders: rows,
+      total: total,
+      page: page,
+      limit: limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения заказов:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения заказов: ' + err.message
+    });
+  }
+});
+
+// Orders - детали и отслеживание заказа
+app.get('/api/orders/:id', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/orders/' + req.params.id);
+
+  try {
+    const { rows } = await req.db.query(
+      `${ORDER_DETAILS_SELECT}
+       WHERE o.id = $1 AND o.user_id = $2`,
+      [req.params.id, req.userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Заказ не найден'
+      });
+    }
+
+    const order = rows[0];
+    order.timeline = await getOrderTimeline(req.db, order);
+    order.tracking = await getOrderTracking(req.db, order);
+    order.prescriptions = await getOrderPrescriptions(req.db, order.id);
+
+    res.json({
+      success: true,
+      order: order
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения заказа:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения заказа: ' + err.message
+    });
+  }
+});
+
+// Orders - приложить рецепт к заказу, ожидающему проверки ({ file: data URL, file_name })
+app.post('/api/orders/:id/prescriptions', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/orders/' + req.params.id + '/prescriptions');
+
+  try {
+    const { rows } = await req.db.query(
+      'SELECT id, status FROM delivery_orders WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Заказ не найден'
+      });
+    }
+
+    if (rows[0].status !== 'pending_verification') {
+      return res.status(409).json({
+        success: false,
+        error: 'Заказ не ожидает проверки рецепта'
+      });
+    }
+
+    const prescription = await savePrescription(req.db, rows[0].id, req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Рецепт загружен и будет проверен фармацевтом',
+      prescription
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка загрузки рецепта');
+  }
+});
+
+// Orders - позиция курьера и ETA (для карты /map, опрашивается периодически)
+app.get('/api/orders/:id/tracking', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  try {
+    const { rows } = await req.db.query(
+      'SELECT * FROM delivery_orders WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Заказ не найден'
+      });
+    }
+
+    const tracking = await getOrderTracking(req.db, rows[0], req.query.track === 'true');
+
+    res.json({
+      success: true,
+      tracking: tracking
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения трекинга:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения трекинга: ' + err.message
+    });
+  }
+});
+
+// Create order (покупка одного товара)
+app.post('/api/orders/create', databaseMiddleware, validateUser, async (req, res) => {
+  console.log('📨 POST /api/orders/create');
+  
+  const { product_id, quantity } = req.body;
+  const parsedQuantity = parseInt(quantity);
+
+  if (!product_id || !parsedQuantity || parsedQuantity < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Все обязательные поля должны быть заполнены'
+    });
+  }
+
+  try {
+    const { order, payment } = await withTransaction(req.db, async (client) => {
+      const contacts = await resolveOrderContacts(client, req.userId, req.body);
+      const created = await insertDeliveryOrder(
+        client,
+        req.userId,
+        [{ product_id: parseInt(product_id), quantity: parsedQuantity }],
+        contacts,
+        req.body.promo_code
+      );
+      return { order: created, payment: await createOrderPayment(client, created) };
+    });
+
+    console.log('✅ Заказ успешно создан:', order.id);
+    if (!payment) {
+      dispatchInBackground(req.db, order.id);
+    }
+
+    res.json({
+      success: true,
+      message: orderCreatedMessage(order),
+      order: order,
+      payment: payment
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка создания заказа');
+  }
+});
+
+// ==================== PAYMENTS ====================
+
+// Оплата картой проходит только на странице платежного провайдера: номер карты и CVV
+// никогда не попадают на наши страницы и сервер. Провайдер реализует интерфейс:
+//   createPayment({ payment, order, returnUrl }) -> { provider_payment_id, confirmation_url }
+//   parseWebhook(req) -> { provider_payment_id, status: 'succeeded' | 'canceled' | 'failed', amount, failure_reason }
+//                        (бросает OrderError, если подпись уведомления неверна)
+//   refund({ payment, amount, idempotencyKey }) -> { provider_refund_id }
+//                        (повторный запрос с тем же ключом не создает второй возврат)
+// Провайдер задается явно через PAYMENT_PROVIDER; без него оплата картой недоступна.
+// mock — локальная заглушка для разработки и тестов, в production она запрещена.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || null;
+const PAYMENT_TIMEOUT = parseInt(process.env.PAYMENT_TIMEOUT) || 30; // минуты
+if (PAYMENT_PROVIDER === 'mock' && process.env.NODE_ENV === 'production') {
+  throw new Error('PAYMENT_PROVIDER=mock нельзя использовать при NODE_ENV=production');
+}
+if (!PAYMENT_PROVIDER) {
+  console.log('⚠️ PAYMENT_PROVIDER не задан, оплата картой отключена');
+}
+const MOCK_PAYMENT_SECRET = process.env.MOCK_PAYMENT_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Заказ оплачен или оплачивается при получении
+const ORDER_PAID_SQL = "o.payment_status IN ('paid', 'not_required')";
+// Курьерам уходят только оплаченные заказы с доставкой; самовывоз собирает аптека
+const ORDER_DISPATCHABLE_SQL = `o.fulfillment_type = 'delivery' AND ${ORDER_PAID_SQL}`;
+
+function signMockPayment(rawBody) {
+  return crypto.createHmac('sha256', MOCK_PAYMENT_SECRET).update(rawBody).digest('hex');
+}
+
+// Возвраты mock-провайдера по ключу идемпотентности
+const mockRefunds = new Map();
+
+// Mock-провайдер: «платежная страница» отдается этим же сервером (/api/payments/mock/:id)
+// и применяет результат оплаты сразу. Вебхук с HMAC-подписью (MOCK_PAYMENT_SECRET) принимается,
+// как у настоящего провайдера
+const mockPaymentProvider = {
+  async createPayment({ returnUrl }) {
+    const providerPaymentId = 'mock_' + crypto.randomBytes(12).toString('hex');
+    return {
+      provider_payment_id: providerPaymentId,
+      confirmation_url: `/api/payments/mock/${providerPaymentId}?return_url=${encodeURIComponent(returnUrl)}`
+    };
+  },
+
+  parseWebhook(req) {
+    const signature = Buffer.from(req.get('X-Mock-Signature') || '');
+    const expected = Buffer.from(signMockPayment(req.rawBody || ''));
+
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      throw new OrderError(401, 'Неверная подпись уведомления');
+    }
+
+    return {
+      provider_payment_id: req.body.payment_id,
+      status: req.body.status,
+      amount: parseFloat(req.body.amount),
+      failure_reason: req.body.failure_reason || null
+    };
+  },
+
+  async refund({ idempotencyKey }) {
+    if (!mockRefunds.has(idempotencyKey)) {
+      mockRefunds.set(idempotencyKey, { provider_refund_id: 'mock_refund_' + crypto.randomBytes(8).toString('hex') });
+    }
+    return mockRefunds.get(idempotencyKey);
+  }
+};
+
+const PAYMENT_PROVIDERS = {
+  mock: mockPaymentProvider
+};
+
+function getPaymentProvider(name = PAYMENT_PROVIDER) {
+  const provider = name ? PAYMENT_PROVIDERS[name] : null;
+  if (!provider) {
+    throw new OrderError(404, `Неизвестный платежный провайдер: ${name}`);
+  }
+  return provider;
+}
+
+// Отменяет неоплаченный заказ и возвращает товары на склад
+async function cancelUnpaidOrder(client, orderId, note) {
+  const { rows } = await client.query(
+    `UPDATE delivery_orders
+     SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, payment_status = 'failed'
+     WHERE id = $1 AND status IN ('pending', 'pending_verification') AND payment_status = 'pending'
+     RETURNING id`,
+    [orderId]
+  );
+
+  if (rows.length > 0) {
+    await restoreOrderStock(client, orderId);
+    await recordOrderStatus(client, orderId, 'cancelled', note);
+  }
+}
+
+// Создает платеж по заказу у провайдера. Вызывается в транзакции оформления заказа:
+// если провайдер недоступен, заказ откатывается вместе с резервом товаров, а корзина остается
+async function startOrderPayment(client, order) {
+  const { rows } = await client.query(
+    `INSERT INTO payments (delivery_order_id, provider, amount)
+     VALUES ($1, $2, $3) RETURNING *`,
+    [order.id, PAYMENT_PROVIDER, order.total_amount]
+  );
+  const payment = rows[0];
+
+  let created;
+  try {
+    created = await getPaymentProvider(payment.provider).createPayment({
+      payment,
+      order,
+      returnUrl: `/profile?order_id=${order.id}`
+    });
+  } catch (err) {
+    console.error('❌ Ошибка создания платежа:', err);
+    throw new OrderError(502, 'Платежный сервис недоступен, попробуйте позже или выберите оплату наличными');
+  }
+
+  const { rows: updated } = await client.query(
+    `UPDATE payments
+     SET provider_payment_id = $1, confirmation_url = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 RETURNING *`,
+    [created.provider_payment_id, created.confirmation_url, payment.id]
+  );
+  return updated[0];
+}
+
+// Применяет уведомление провайдера. Повторные уведомления по завершенному платежу игнорируются.
+// Оплата, пришедшая после отмены заказа или платежа у нас, не теряется: неоплаченный заказ
+// отменяется (если это еще не сделано), а деньги сразу возвращаются покупателю.
+async function applyPaymentEvent(pool, providerName, event) {
+  const result = await withTransaction(pool, async (client) => {
+    const { rows } = await client.query(
+      'SELECT * FROM payments WHERE provider = $1 AND provider_payment_id = $2 FOR UPDATE',
+      [providerName, event.provider_payment_id]
+    );
+
+    if (rows.length === 0) {
+      throw new OrderError(404, 'Платеж не найден');
+    }
+
+    const payment = rows[0];
+    const lateSuccess = event.status === 'succeeded' && ['canceled', 'failed'].includes(payment.status);
+    if (payment.status !== 'pending' && !lateSuccess) {
+      return { payment, changed: false };
+    }
+
+    const { rows: orders } = await client.query(
+      'SELECT status FROM delivery_orders WHERE id = $1 FOR UPDATE',
+      [payment.delivery_order_id]
+    );
+    const orderCancelled = orders.length === 0 || orders[0].status === 'cancelled';
+    const refund = orderCancelled || lateSuccess;
+
+    if (event.status === 'succeeded') {
+      if (roundMoney(event.amount) !== roundMoney(parseFloat(payment.amount))) {
+        throw new OrderError(400, 'Сумма платежа не совпадает с суммой заказа');
+      }
+
+      if (lateSuccess && !orderCancelled) {
+        await cancelUnpaidOrder(client, payment.delivery_order_id, 'Оплата поступила после отмены платежа');
+      }
+
+      const { rows: updated } = await client.query(
+        `UPDATE payments SET status = 'succeeded', paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [payment.id]
+      );
+      await client.query(
+        "UPDATE delivery_orders SET payment_status = 'paid' WHERE id = $1",
+        [payment.delivery_order_id]
+      );
+      await recordOrderStatus(client, payment.delivery_order_id, 'paid', refund ? 'Оплата поступила после отмены заказа' : null);
+      return { payment: updated[0], changed: true, refund };
+    }
+
+    if (event.status === 'canceled' || event.status === 'failed') {
+      const { rows: updated } = await client.query(
+        `UPDATE payments SET status = $1, failure_reason = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 RETURNING *`,
+        [event.status, event.failure_reason || null, payment.id]
+      );
+      await cancelUnpaidOrder(client, payment.delivery_order_id, 'Оплата не прошла');
+      return { payment: updated[0], changed: true };
+    }
+
+    return { payment, changed: false };
+  });
+
+  if (result.refund) {
+    // Ошибка возврата не должна отклонять уведомление: деньги уже списаны, возврат можно повторить из админки
+    try {
+      return await refundOrderPayment(pool, result.payment.delivery_order_id);
+    } catch (err) {
+      console.error('❌ Ошибка возврата оплаты отмененного заказа:', result.payment.delivery_order_id, err);
+      return result.payment;
+    }
+  }
+
+  if (result.changed && result.payment.status === 'succeeded') {
+    dispatchInBackground(pool, result.payment.delivery_order_id);
+  }
+
+  return result.payment;
+}
+
+// Возврат по оплаченному заказу; amount = null — вернуть весь остаток
+async function refundOrderPayment(pool, orderId, amount = null) {
+  return withTransaction(pool, async (client) => {
+    const { rows } = await client.query(
+      `SELECT * FROM payments
+       WHERE delivery_order_id = $1 AND status = 'succeeded'
+       ORDER BY id DESC LIMIT 1
+       FOR UPDATE`,
+      [orderId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const payment = rows[0];
+    const refundable = roundMoney(parseFloat(payment.amount) - parseFloat(payment.refunded_amount));
+    const refundAmount = amount == null ? refundable : roundMoney(amount);
+
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      throw new OrderError(400, `Сумма возврата должна быть от 0.01 до ${refundable} ₽`);
+    }
+
+    // Провайдер вызывается до фиксации транзакции. Если она не зафиксируется, повторный возврат
+    // получит тот же ключ (платеж и уже возвращенная сумма не изменились), и провайдер не вернет деньги дважды
+    await getPaymentProvider(payment.provider).refund({
+      payment,
+      amount: refundAmount,
+      idempotencyKey: `refund-${payment.id}-${payment.refunded_amount}`
+    });
+
+    const fullyRefunded = refundAmount === refundable;
+    const { rows: updated } = await client.query(
+      `UPDATE payments
+       SET refunded_amount = refunded_amount + $1,
+           status = CASE WHEN $2 THEN 'refunded' ELSE status END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [refundAmount, fullyRefunded, payment.id]
+    );
+
+    if (fullyRefunded) {
+      await client.query("UPDATE delivery_orders SET payment_status = 'refunded' WHERE id = $1", [orderId]);
+    }
+    await recordOrderStatus(client, orderId, 'refunded', `Возврат ${refundAmount} ₽`);
+
+    return updated[0];
+  });
+}
+
+// Отмененный оплаченный заказ возвращает деньги покупателю, не задерживая ответ
+function refundInBackground(pool, orderId) {
+  refundOrderPayment(pool, orderId).catch(err => {
+    console.error('❌ Ошибка возврата оплаты по заказу:', orderId, err);
+  });
+}
+
+// Заказы, не оплаченные за PAYMENT_TIMEOUT минут, отменяются, товары возвращаются на склад.
+// Каждый платеж отменяется вместе с заказом в своей транзакции. Платеж, по которому сейчас
+// обрабатывается уведомление провайдера, пропускается (SKIP LOCKED) и проверяется при следующем запуске
+async function cancelExpiredPayments(pool) {
+  let cancelled = true;
+
+  while (cancelled) {
+    cancelled = await withTransaction(pool, async (client) => {
+      const { rows } = await client.query(
+        `SELECT id, delivery_order_id FROM payments
+         WHERE status = 'pending' AND created_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 minute'
+         ORDER BY id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED`,
+        [PAYMENT_TIMEOUT]
+      );
+
+      if (rows.length === 0) {
+        return false;
+      }
+
+      await client.query(
+        `UPDATE payments SET status = 'canceled', failure_reason = 'Время оплаты истекло', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [rows[0].id]
+      );
+      await cancelUnpaidOrder(client, rows[0].delivery_order_id, 'Время оплаты истекло');
+      return true;
+    });
+  }
+}
+
+// Payments - Provider webhook
+app.post('/api/payments/webhook/:provider', databaseMiddleware, async (req, res) => {
+  console.log('📨 POST /api/payments/webhook/' + req.params.provider);
+
+  // Уведомления принимаются только от настроенного провайдера
+  if (req.params.provider !== PAYMENT_PROVIDER) {
+    return res.status(404).json({ success: false, error: `Неизвестный платежный провайдер: ${req.params.provider}` });
+  }
+
+  try {
+    const event = getPaymentProvider(req.params.provider).parseWebhook(req);
+    const payment = await applyPaymentEvent(req.db, req.params.provider, event);
+
+    res.json({
+      success: true,
+      status: payment.status
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка обработки уведомления о платеже');
+  }
+});
+
+// Payments - Payment status of an order (для страницы возврата после оплаты)
+app.get('/api/orders/:id/payment', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/orders/' + req.params.id + '/payment');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT p.id, p.status, p.amount, p.refunded_amount, p.currency, p.confirmation_url,
+              p.failure_reason, p.paid_at, p.created_at, o.payment_status, o.payment_method
+       FROM delivery_orders o
+       LEFT JOIN LATERAL (
+         SELECT * FROM payments WHERE delivery_order_id = o.id ORDER BY id DESC LIMIT 1
+       ) p ON true
+       WHERE o.id = $1 AND o.user_id = $2`,
+      [req.params.id, req.userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Заказ не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      payment: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения платежа:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения платежа: ' + err.message
+    });
+  }
+});
+
+// Admin - Refund order payment (amount необязателен — полный возврат)
+app.post('/api/admin/orders/:id/refund', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/admin/orders/' + req.params.id + '/refund');
+
+  try {
+    const payment = await refundOrderPayment(req.db, req.params.id, req.body.amount != null ? parseFloat(req.body.amount) : null);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Оплаченный платеж по заказу не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Возврат выполнен',
+      payment
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка возврата платежа');
+  }
+});
+
+// Mock provider - Hosted payment page
+app.get('/api/payments/mock/:providerPaymentId', databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/payments/mock/' + req.params.providerPaymentId);
+
+  if (PAYMENT_PROVIDER !== 'mock') {
+    return res.status(404).json({ success: false, error: 'Mock-провайдер отключен' });
+  }
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT p.amount, p.status, o.order_code
+       FROM payments p
+       JOIN delivery_orders o ON o.id = p.delivery_order_id
+       WHERE p.provider = 'mock' AND p.provider_payment_id = $1`,
+      [req.params.providerPaymentId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).send('Платеж не найден');
+    }
+
+    const returnUrl = String(req.query.return_url || '/');
+    const action = `/api/payments/mock/${encodeURIComponent(req.params.providerPaymentId)}/complete?return_url=${encodeURIComponent(returnUrl)}`;
+
+    res.send(`<!DOCTYPE html>
+<html lang="ru">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Тестовая оплата</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto; padding: 0 16px;">
+  <h2>Тестовая оплата</h2>
+  <p>Заказ ${rows[0].order_code}: <b>${rows[0].amount} ₽</b></p>
+  <p>Статус платежа: ${rows[0].status}</p>
+  <form method="POST" action="${action}">
+    <button name="status" value="succeeded" style="padding: 12px 20px;">Оплатить</button>
+    <button name="status" value="canceled" style="padding: 12px 20px;">Отменить</button>
+  </form>
+</body>
+</html>`);
+  } catch (err) {
+    console.error('❌ Ошибка mock-страницы оплаты:', err);
+    res.status(500).send('Ошибка: ' + err.message);
+  }
+});
+
+// Mock provider - Payment result: применяет результат оплаты и возвращает на сайт
+app.post('/api/payments/mock/:providerPaymentId/complete', databaseMiddleware, async (req, res) => {
+  console.log('📨 POST /api/payments/mock/' + req.params.providerPaymentId + '/complete');
+
+  if (PAYMENT_PROVIDER !== 'mock') {
+    return res.status(404).json({ success: false, error: 'Mock-провайдер отключен' });
+  }
+
+  try {
+    const { rows } = await req.db.query(
+      "SELECT amount FROM payments WHERE provider = 'mock' AND provider_payment_id = $1",
+      [req.params.providerPaymentId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).send('Платеж не найден');
+    }
+
+    await applyPaymentEvent(req.db, 'mock', {
+      provider_payment_id: req.params.providerPaymentId,
+      status: req.body.status === 'succeeded' ? 'succeeded' : 'canceled',
+      amount: parseFloat(rows[0].amount)
+    });
+
+    // Разрешаем возврат только на страницы этого сайта
+    const returnUrl = String(req.query.return_url || '/');
+    res.redirect(returnUrl.startsWith('/') && !returnUrl.startsWith('//') ? returnUrl : '/');
+  } catch (err) {
+    console.error('❌ Ошибка mock-оплаты:', err);
+    res.status(500).send('Ошибка: ' + err.message);
+  }
+});
+
+// Карточный заказ ждет оплаты: платеж создается в транзакции оформления заказа.
+// Остальные заказы после фиксации транзакции сразу уходят диспетчеру
+async function createOrderPayment(client, order) {
+  if (order.payment_status !== 'pending') {
+    return null;
+  }
+
+  const payment = await startOrderPayment(client, order);
+  return { id: payment.id, status: payment.status, confirmation_url: payment.confirmation_url };
+}
+
+// ==================== COURIER DISPATCH ====================
+
+// Диспетчер предлагает новый заказ ближайшему курьеру, который в статусе active
+// и находится в рамках своего расписания. Если курьер не ответил за DISPATCH_OFFER_TIMEOUT,
+// предложение истекает и заказ уходит следующему кандидату.
+const DISPATCH_OFFER_TIMEOUT = parseInt(process.env.DISPATCH_OFFER_TIMEOUT) || 60; // секунды
+const DISPATCH_INTERVAL = parseInt(process.env.DISPATCH_INTERVAL) || 15; // секунды
+const DISPATCH_TIMEZONE = process.env.DISPATCH_TIMEZONE || 'Europe/Moscow';
+// Заказ на окно доставки предлагается курьерам не раньше чем за столько минут до начала окна
+const DISPATCH_SLOT_LEAD = parseInt(process.env.DISPATCH_SLOT_LEAD) || 60; // минуты
+
+// Заказ без окна доставки готов к диспетчеризации сразу, с окном — ближе к его началу
+function orderSlotDueSql(now) {
+  return `(o.delivery_slot_start IS NULL
+    OR o.delivery_slot_start <= ${now}::timestamptz + ${DISPATCH_SLOT_LEAD} * INTERVAL '1 minute')`;
+}
+
+// SQL-выражение расстояния по формуле гаверсинуса, км
+function haversineSql(lat1, lon1, lat2, lon2) {
+  return `(6371 * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(${lat2} - ${lat1}) / 2), 2) +
+    COS(RADIANS(${lat1})) * COS(RADIANS(${lat2})) * POWER(SIN(RADIANS(${lon2} - ${lon1}) / 2), 2)
+  )))`;
+}
+
+// Кандидаты на заказ, ближайшие первыми. Местоположение курьера — последняя GPS-точка,
+// если она свежее 15 минут, иначе адрес из профиля пользователя; курьеры без координат идут в конце списка.
+// day_of_week в courier_work_schedule: 0 — воскресенье ... 6 — суббота (как EXTRACT(DOW)).
+async function findDispatchCandidates(client, order, now = new Date()) {
+  const { rows } = await client.query(
+    `WITH local_now AS (
+       SELECT ($2::timestamptz AT TIME ZONE $3) AS ts
+     )
+     SELECT
+       c.id,
+       c.first_name,
+       c.last_name,
+       ${haversineSql('$4::float8', '$5::float8', 'loc.latitude', 'loc.longitude')} AS distance_km
+     FROM couriers c
+     JOIN users u ON u.id = c.user_id
+     CROSS JOIN local_now
+     CROSS JOIN LATERAL (
+       SELECT
+         CASE WHEN c.location_updated_at > $2::timestamptz - INTERVAL '15 minutes'
+           THEN c.current_latitude ELSE u.delivery_latitude END AS latitude,
+         CASE WHEN c.location_updated_at > $2::timestamptz - INTERVAL '15 minutes'
+           THEN c.current_longitude ELSE u.delivery_longitude END AS longitude
+     ) loc
+     WHERE c.application_status = 'approved'
+       AND c.status = 'active'
+       AND EXISTS (
+         SELECT 1 FROM courier_work_schedule s
+         WHERE s.courier_id = c.id
+           AND s.is_active = true
+           AND s.day_of_week = EXTRACT(DOW FROM local_now.ts)
+           AND local_now.ts::time BETWEEN s.start_time AND s.end_time
+       )
+       -- курьер уже получал это предложение
+       AND NOT EXISTS (
+         SELECT 1 FROM delivery_order_offers f
+         WHERE f.delivery_order_id = $1 AND f.courier_id = c.id
+       )
+       -- у курьера уже есть действующее предложение
+       AND NOT EXISTS (
+         SELECT 1 FROM delivery_order_offers f
+         WHERE f.courier_id = c.id AND f.status = 'offered' AND f.expires_at > $2::timestamptz
+       )
+     ORDER BY distance_km ASC NULLS LAST, c.last_activity DESC NULLS LAST
+     LIMIT 10`,
+    [order.id, now.toISOString(), DISPATCH_TIMEZONE, order.delivery_latitude, order.delivery_longitude]
+  );
+
+  return rows;
+}
+
+// Предлагает заказ следующему кандидату. Возвращает созданное предложение или null.
+async function dispatchOrder(pool, orderId, now = new Date()) {
+  return withTransaction(pool, async (client) => {
+    const { rows: orderRows } = await client.query(
+      `SELECT * FROM delivery_orders o
+       WHERE o.id = $1 AND o.status = 'pending' AND o.courier_id IS NULL AND ${ORDER_DISPATCHABLE_SQL}
+         AND ${orderSlotDueSql('$2')}
+       FOR UPDATE`,
+      [orderId, now.toISOString()]
+    );
+
+    if (orderRows.length === 0) {
+      return null;
+    }
+
+    const order = orderRows[0];
+
+    await client.query(
+      `UPDATE delivery_order_offers SET status = 'expired'
+       WHERE delivery_order_id = $1 AND status = 'offered' AND expires_at <= $2::timestamptz`,
+      [order.id, now.toISOString()]
+    );
+
+    const { rows: activeOffers } = await client.query(
+      `SELECT id FROM delivery_order_offers WHERE delivery_order_id = $1 AND status = 'offered'`,
+      [order.id]
+    );
+
+    if (activeOffers.length > 0) {
+      return null;
+    }
+
+    const [candidate] = await findDispatchCandidates(client, order, now);
+
+    if (!candidate) {
+      console.log('⚠️ Нет доступных курьеров для заказа:', order.id);
+      return null;
+    }
+
+    const { rows: offerRows } = await client.query(
+      `INSERT INTO delivery_order_offers (delivery_order_id, courier_id, distance_km, offered_at, expires_at)
+       VALUES ($1, $2, $3, $4::timestamptz, $4::timestamptz + $5 * INTERVAL '1 second')
+       RETURNING *`,
+      [order.id, candidate.id, candidate.distance_km, now.toISOString(), DISPATCH_OFFER_TIMEOUT]
+    );
+
+    console.log('🚴 Заказ', order.id, 'предложен курьеру', candidate.id);
+
+    return offerRows[0];
+  });
+}
+
+// Один проход диспетчера: истекшие предложения закрываются, неназначенные заказы
+// без действующего предложения предлагаются следующим кандидатам.
+async function runDispatchCycle(pool, now = new Date()) {
+  await pool.query(
+    `UPDATE delivery_order_offers SET status = 'expired'
+     WHERE status = 'offered' AND expires_at <= $1::timestamptz`,
+    [now.toISOString()]
+  );
+
+  const { rows: orders } = await pool.query(
+    `SELECT o.id FROM delivery_orders o
+     WHERE o.status = 'pending' AND o.courier_id IS NULL AND ${ORDER_DISPATCHABLE_SQL}
+       AND ${orderSlotDueSql('$1')}
+       AND NOT EXISTS (
+         SELECT 1 FROM delivery_order_offers f
+         WHERE f.delivery_order_id = o.id AND f.status = 'offered'
+       )
+     ORDER BY COALESCE(o.delivery_slot_start, o.created_at) ASC`,
+    [now.toISOString()]
+  );
+
+  const offers = [];
+  for (const order of orders) {
+    const offer = await dispatchOrder(pool, order.id, now);
+    if (offer) offers.push(offer);
+  }
+
+  return offers;
+}
+
+// Запускает диспетчер для нового заказа, не задерживая ответ клиенту
+function dispatchInBackground(pool, orderId) {
+  dispatchOrder(pool, orderId).catch(err => {
+    console.error('❌ Ошибка диспетчеризации заказа:', orderId, err);
+  });
+}
+
+// Courier - Get dispatch offers
+app.get('/api/courier/offers', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 GET /api/courier/offers');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT
+         f.id, f.delivery_order_id, f.distance_km, f.offered_at, f.expires_at,
+         o.order_code, o.delivery_address, o.delivery_latitude, o.delivery_longitude, o.total_amount,
+         o.delivery_slot_start, o.delivery_slot_end
+       FROM delivery_order_offers f
+       JOIN delivery_orders o ON o.id = f.delivery_order_id
+       WHERE f.courier_id = $1 AND f.status = 'offered' AND f.expires_at > CURRENT_TIMESTAMP
+       ORDER BY f.offered_at ASC`,
+      [req.courierId]
+    );
+
+    res.json({
+      success: true,
+      offers: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения предложений:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения предложений: ' + err.message
+    });
+  }
+});
+
+// Courier - Accept dispatch offer
+app.post('/api/courier/offers/:offerId/accept', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 POST /api/courier/offers/' + req.params.offerId + '/accept');
+
+  try {
+    const order = await withTransaction(req.db, async (client) => {
+      const { rows: offers } = await client.query(
+        `UPDATE delivery_order_offers
+         SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND courier_id = $2 AND status = 'offered' AND expires_at > CURRENT_TIMESTAMP
+         RETURNING delivery_order_id`,
+        [req.params.offerId, req.courierId]
+      );
+
+      if (offers.length === 0) {
+        throw new OrderError(409, 'Предложение истекло или уже обработано');
+      }
+
+      const rows = await assignOrderToCourier(client, offers[0].delivery_order_id, req.courierId, 'Назначен диспетчером');
+
+      if (rows.length === 0) {
+        throw new OrderError(409, 'Заказ уже недоступен');
+      }
+
+      return rows[0];
+    });
+
+    console.log('✅ Предложение принято:', req.params.offerId, 'заказ', order.id);
+
+    res.json({
+      success: true,
+      message: 'Заказ принят',
+      order: order
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка принятия предложения');
+  }
+});
+
+// Courier - Decline dispatch offer
+app.post('/api/courier/offers/:offerId/decline', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 POST /api/courier/offers/' + req.params.offerId + '/decline');
+
+  try {
+    const { rows } = await req.db.query(
+      `UPDATE delivery_order_offers
+       SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND courier_id = $2 AND status = 'offered'
+       RETURNING delivery_order_id`,
+      [req.params.offerId, req.courierId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Предложение не найдено'
+      });
+    }
+
+    // Сразу предлагаем заказ следующему кандидату
+    dispatchInBackground(req.db, rows[0].delivery_order_id);
+
+    res.json({
+      success: true,
+      message: 'Предложение отклонено'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка отклонения предложения:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка отклонения предложения: ' + err.message
+    });
+  }
+});
+
+// Admin - Run dispatch cycle (ручной запуск; по расписанию работает /api/cron/jobs)
+app.post('/api/admin/dispatch/run', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 POST /api/admin/dispatch/run');
+
+  try {
+    const offers = await runDispatchCycle(req.db);
+
+    res.json({
+      success: true,
+      offers: offers
+    });
+  } catch (err) {
+    console.error('❌ Ошибка запуска диспетчера:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка запуска диспетчера: ' + err.message
+    });
+  }
+});
+
+// Фоновые задачи: истекшие предложения уходят следующим курьерам, неоплаченные заказы отменяются.
+// Локально их запускает таймер в startServer, в serverless-развертывании — cron (/api/cron/jobs)
+async function runBackgroundJobs(pool) {
+  const [dispatch, payments] = await Promise.allSettled([
+    runDispatchCycle(pool),
+    cancelExpiredPayments(pool)
+  ]);
+
+  if (dispatch.status === 'rejected') {
+    console.error('❌ Ошибка цикла диспетчера:', dispatch.reason);
+  }
+  if (payments.status === 'rejected') {
+    console.error('❌ Ошибка отмены неоплаченных заказов:', payments.reason);
+  }
+
+  return {
+    ok: dispatch.status === 'fulfilled' && payments.status === 'fulfilled',
+    offers: dispatch.status === 'fulfilled' ? dispatch.value : []
+  };
+}
+
+// Vercel Cron передает CRON_SECRET в заголовке Authorization: Bearer <CRON_SECRET>
+const CRON_SECRET = process.env.CRON_SECRET || null;
+
+function validateCronSecret(req, res, next) {
+  if (!CRON_SECRET || req.get('Authorization') !== `Bearer ${CRON_SECRET}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Неверный секрет cron'
+    });
+  }
+  next();
+}
+
+// Cron - Run background jobs (расписание задано в vercel.json)
+app.get('/api/cron/jobs', validateCronSecret, databaseMiddleware, async (req, res) => {
+  console.log('📨 GET /api/cron/jobs');
+
+  const result = await runBackgroundJobs(req.db);
+
+  res.status(result.ok ? 200 : 500).json({
+    success: result.ok,
+    offers: result.offers
+  });
+});
+
+// ==================== COURIER EARNINGS ====================
+
+// Записи журнала: base — ставка за доставку, distance — оплата километров, bonus/penalty — ручные
+// корректировки, opening — остаток до появления журнала, payout — выплата (отрицательная сумма)
+const EARNING_ENTRY_TYPES = ['base', 'distance', 'bonus', 'penalty', 'opening', 'payout'];
+
+// Начало периода отчета о заработке: за сколько суток до начала сегодняшних
+const EARNINGS_PERIODS = {
+  today: 0,
+  week: 7,
+  month: 30
+};
+
+// Начало периода (SQL). Сутки считаются в часовом поясе DISPATCH_TIMEZONE, а не в часовом поясе
+// сессии базы; tzParam и daysParam — плейсхолдеры с часовым поясом и числом суток
+function earningsSinceSql(tzParam, daysParam) {
+  return `((date_trunc('day', CURRENT_TIMESTAMP AT TIME ZONE ${tzParam}) - ${daysParam} * INTERVAL '1 day') AT TIME ZONE ${tzParam})`;
+}
+
+// Тариф курьера: назначенный ему или тариф по умолчанию
+async function getCourierTariff(client, courierId) {
+  const { rows } = await client.query(
+    `SELECT t.*
+     FROM courier_tariffs t
+     LEFT JOIN couriers c ON c.id = $1 AND c.tariff_id = t.id
+     WHERE t.is_active = true AND (c.id IS NOT NULL OR t.is_default = true)
+     ORDER BY (c.id IS NOT NULL) DESC
+     LIMIT 1`,
+    [courierId]
+  );
+  return rows[0] || null;
+}
+
+// Длина маршрута по GPS-точкам заказа; без трека — расстояние из принятого предложения диспетчера
+async function getOrderRouteKm(client, orderId) {
+  const { rows: points } = await client.query(
+    'SELECT latitude, longitude FROM courier_location_points WHERE delivery_order_id = $1 ORDER BY recorded_at, id',
+    [orderId]
+  );
+
+  if (points.length >= 2) {
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+      distance += haversineKm(
+        parseFloat(points[i - 1].latitude), parseFloat(points[i - 1].longitude),
+        parseFloat(points[i].latitude), parseFloat(points[i].longitude)
+      );
+    }
+    return distance;
+  }
+
+  const { rows } = await client.query(
+    `SELECT distance_km FROM delivery_order_offers
+     WHERE delivery_order_id = $1 AND status = 'accepted'
+     ORDER BY id DESC LIMIT 1`,
+    [orderId]
+  );
+  return rows.length > 0 ? parseFloat(rows[0].distance_km) || 0 : 0;
+}
+
+// Записывает начисление за доставленный заказ. Повторный вызов для того же заказа ничего не добавит.
+async function recordDeliveryEarnings(client, order, courierId) {
+  const tariff = await getCourierTariff(client, courierId);
+
+  if (!tariff) {
+    console.log('⚠️ Нет действующего тарифа для курьера:', courierId);
+    return [];
+  }
+
+  const distanceKm = await getOrderRouteKm(client, order.id);
+  const paidKm = Math.max(distanceKm - (parseFloat(tariff.included_km) || 0), 0);
+  const perKmFee = parseFloat(tariff.per_km_fee) || 0;
+
+  const entries = [{
+    entry_type: 'base',
+    amount: roundMoney(parseFloat(tariff.base_fee) || 0),
+    description: `Доставка заказа ${order.order_code} по тарифу «${tariff.name}»`
+  }];
+
+  if (paidKm > 0 && perKmFee > 0) {
+    entries.push({
+      entry_type: 'distance',
+      amount: roundMoney(paidKm * perKmFee),
+      description: `${paidKm.toFixed(1)} км сверх ${parseFloat(tariff.included_km)} км по ${perKmFee} ₽/км`
+    });
+  }
+
+  const recorded = [];
+  for (const entry of entries) {
+    const { rows } = await client.query(
+      `INSERT INTO courier_earnings (courier_id, delivery_order_id, tariff_id, entry_type, amount, distance_km, description)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (delivery_order_id, entry_type) WHERE entry_type IN ('base', 'distance') DO NOTHING
+       RETURNING *`,
+      [courierId, order.id, tariff.id, entry.entry_type, entry.amount, Math.round(distanceKm * 1000) / 1000, entry.description]
+    );
+    recorded.push(...rows);
+  }
+
+  return recorded;
+}
+
+// Итоги по журналу: заработано всего и сегодня, баланс к выплате, в невыплаченных пакетах, выплачено
+async function getCourierEarningsSummary(db, courierId) {
+  const { rows } = await db.query(
+    `SELECT
+       COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type <> 'payout'), 0) AS total_earned,
+       COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type <> 'payout' AND e.created_at >= ${earningsSinceSql('$2', '0')}), 0) AS today_earned,
+       COALESCE(SUM(e.amount), 0) AS balance,
+       COALESCE(-SUM(e.amount) FILTER (WHERE e.entry_type = 'payout' AND b.status = 'pending'), 0) AS pending_payout,
+       COALESCE(-SUM(e.amount) FILTER (WHERE e.entry_type = 'payout' AND b.status = 'paid'), 0) AS paid_out
+     FROM courier_earnings e
+     LEFT JOIN courier_payout_batches b ON b.id = e.payout_batch_id
+     WHERE e.courier_id = $1`,
+    [courierId, DISPATCH_TIMEZONE]
+  );
+
+  const summary = {};
+  for (const [key, value] of Object.entries(rows[0])) {
+    summary[key] = roundMoney(parseFloat(value) || 0);
+  }
+  return summary;
+}
+
+// ==================== CASH ON DELIVERY ====================
+
+// Наличные на руках у курьера: доставленные наличные заказы, еще не сданные в кассу.
+// discrepancy заказа — разница между полученной курьером суммой и суммой заказа.
+async function getCourierCashOrders(db, courierId) {
+  const { rows } = await db.query(
+    `SELECT o.id, o.order_code, o.total_amount, o.cash_collected,
+            o.cash_collected - o.total_amount AS discrepancy, o.delivered_at
+     FROM delivery_orders o
+     WHERE o.courier_id = $1 AND o.cash_collected IS NOT NULL AND o.cash_handover_id IS NULL
+     ORDER BY o.delivered_at ASC, o.id ASC`,
+    [courierId]
+  );
+  return rows;
+}
+
+function summarizeCashOrders(orders) {
+  const sum = (field) => roundMoney(orders.reduce((total, order) => total + (parseFloat(order[field]) || 0), 0));
+  return {
+    orders_count: orders.length,
+    cash_on_hand: sum('cash_collected'),
+    amount_due: sum('total_amount'),
+    discrepancy: sum('discrepancy'),
+    flagged_orders: orders.filter(order => parseFloat(order.discrepancy) !== 0).length
+  };
+}
+
+// Courier - Cash on hand (наличные, которые нужно сдать в кассу)
+app.get('/api/courier/cash', databaseMiddleware, validateUser, validateCourier, async (req, res) => {
+  console.log('📨 GET /api/courier/cash');
+
+  try {
+    const orders = await getCourierCashOrders(req.db, req.courierId);
+
+    res.json({
+      success: true,
+      cash: summarizeCashOrders(orders),
+      orders: orders
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения наличных курьера:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения наличных курьера: ' + err.message
+    });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+// Описание полей товара для серверной валидации (ограничения совпадают с формой /admin)
+const PRODUCT_FIELDS = {
+  name: { type: 'string', required: true, max: 255 },
+  category_id: { type: 'integer', required: true, min: 1 },
+  description: { type: 'string', max: 500 },
+  price: { type: 'number', required: true, min: 0.01 },
+  old_price: { type: 'number', min: 0.01 },
+  manufacturer: { type: 'string', max: 100 },
+  country: { type: 'string', max: 50 },
+  stock_quantity: { type: 'integer', required: true, min: 0 },
+  in_stock: { type: 'boolean' },
+  is_popular: { type: 'boolean' },
+  is_new: { type: 'boolean' },
+  rx_required: { type: 'boolean' },
+  image: { type: 'string' },
+  composition: { type: 'string', max: 500 },
+  indications: { type: 'string', max: 1000 },
+  usage: { type: 'string', max: 1000 },
+  contraindications: { type: 'string', max: 1000 },
+  dosage: { type: 'string', max: 100 },
+  dosage_form: { type: 'string', max: 50 },
+  expiry_date: { type: 'string', max: 50 },
+  storage_conditions: { type: 'string', max: 200 }
+};
+
+// Проверяет поля по описанию schema. partial = true для PUT: проверяются только переданные поля.
+// Возвращает { values, errors }, где errors — { поле: сообщение }.
+function validateFields(schema, body, partial = false) {
+  const values = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = body[field];
+    const isEmpty = raw === undefined || raw === null || raw === '';
+
+    if (isEmpty) {
+      if (rule.required && !partial) {
+        errors[field] = 'Поле обязательно';
+      } else if (raw !== undefined && !rule.required) {
+        values[field] = null;
+      } else if (raw !== undefined) {
+        errors[field] = 'Поле не может быть пустым';
+      }
+      continue;
+    }
+
+    if (rule.type === 'string') {
+      const value = String(raw).trim();
+      if (rule.max && value.length > rule.max) {
+        errors[field] = `Не более ${rule.max} символов`;
+      } else if (rule.required && !value) {
+        errors[field] = 'Поле обязательно';
+      } else if (rule.values && !rule.values.includes(value)) {
+        errors[field] = `Допустимые значения: ${rule.values.join(', ')}`;
+      } else {
+        values[field] = value;
+      }
+    } else if (rule.type === 'number' || rule.type === 'integer') {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        errors[field] = rule.type === 'integer' ? 'Должно быть целым числом' : 'Должно быть числом';
+      } else if (rule.min !== undefined && value < rule.min) {
+        errors[field] = `Должно быть не меньше ${rule.min}`;
+      } else if (rule.max !== undefined && value > rule.max) {
+        errors[field] = `Должно быть не больше ${rule.max}`;
+      } else {
+        values[field] = value;
+      }
+    } else if (rule.type === 'boolean') {
+      if (typeof raw !== 'boolean') {
+        errors[field] = 'Должно быть true или false';
+      } else {
+        values[field] = raw;
+      }
+    } else if (rule.type === 'date') {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) {
+        errors[field] = 'Некорректная дата';
+      } else {
+        values[field] = value;
+      }
+    }
+  }
+
+  return { values, errors };
+}
+
+function validateProductInput(body, partial = false) {
+  const { values, errors } = validateFields(PRODUCT_FIELDS, body, partial);
+
+  if (values.old_price && values.price && values.old_price <= values.price) {
+    errors.old_price = 'Старая цена должна быть больше текущей';
+  }
+
+  // Нулевой остаток всегда означает «нет в наличии»
+  if (values.stock_quantity === 0) {
+    values.in_stock = false;
+  } else if (values.stock_quantity > 0 && values.in_stock === undefined && !partial) {
+    values.in_stock = true;
+  }
+
+  return { values, errors };
+}
+
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Проверьте правильность заполнения полей',
+    fields: errors
+  });
+}
+
+async function categoryExists(dbClient, categoryId) {
+  const { rows } = await dbClient.query('SELECT 1 FROM categories WHERE id = $1', [categoryId]);
+  return rows.length > 0;
+}
+
+const PRODUCT_INGREDIENT_FIELDS = {
+  ingredient_id: { type: 'integer', min: 1 },
+  name: { type: 'string', max: 150 },
+  dosage_value: { type: 'number', min: 0 },
+  dosage_unit: { type: 'string', values: DOSAGE_UNITS }
+};
+
+// ingredients: [{ ingredient_id | name, dosage_value, dosage_unit }]. Вещество можно указать названием —
+// тогда оно найдется или будет добавлено в справочник. undefined — состав не меняется.
+function validateProductIngredients(list) {
+  if (list === undefined) {
+    return { ingredients: undefined, errors: {} };
+  }
+
+  if (!Array.isArray(list)) {
+    return { ingredients: undefined, errors: { ingredients: 'Должно быть списком' } };
+  }
+
+  const ingredients = [];
+  const errors = {};
+  const seen = new Set();
+
+  list.forEach((entry, index) => {
+    const { values, errors: entryErrors } = validateFields(PRODUCT_INGREDIENT_FIELDS, entry || {});
+
+    if (!values.ingredient_id && !values.name) {
+      entryErrors.name = 'Укажите вещество';
+    }
+
+    if ((values.dosage_value === undefined || values.dosage_value === null) !== !values.dosage_unit) {
+      entryErrors.dosage_unit = 'Дозировка указывается вместе с единицей измерения';
+    }
+
+    const key = values.ingredient_id ? `id:${values.ingredient_id}` : `name:${(values.name || '').toLowerCase()}`;
+    if (seen.has(key)) {
+      entryErrors.name = 'Вещество указано дважды';
+    }
+    seen.add(key);
+
+    if (Object.keys(entryErrors).length > 0) {
+      errors[`ingredients.${index}`] = Object.values(entryErrors).join('; ');
+    } else {
+      ingredients.push(values);
+    }
+  });
+
+  return { ingredients, errors };
+}
+
+// Заменяет состав товара; возвращает сохраненный состав
+async function saveProductIngredients(client, productId, ingredients) {
+  await client.query('DELETE FROM product_ingredients WHERE product_id = $1', [productId]);
+
+  for (const ingredient of ingredients) {
+    let ingredientId = ingredient.ingredient_id;
+
+    if (!ingredientId) {
+      const { rows } = await client.query(
+        `INSERT INTO active_ingredients (name) VALUES ($1)
+         ON CONFLICT ((LOWER(name))) DO UPDATE SET name = active_ingredients.name
+         RETURNING id`,
+        [ingredient.name]
+      );
+      ingredientId = rows[0].id;
+    }
+
+    // ON CONFLICT: одно и то же вещество, указанное и по id, и по названию
+    await client.query(
+      `INSERT INTO product_ingredients (product_id, ingredient_id, dosage_value, dosage_unit)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (product_id, ingredient_id) DO NOTHING`,
+      [productId, ingredientId, ingredient.dosage_value ?? null, ingredient.dosage_unit || null]
+    );
+  }
+
+  return getProductIngredients(client, productId);
+}
+
+// Admin - List products
+app.get('/api/admin/products', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/products');
+  const { search, category_id } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const categoryId = category_id ? parseIdParam(category_id) : null;
+
+  if (category_id && categoryId === null) {
+    return sendValidationErrors(res, { category_id: 'Некорректный идентификатор категории' });
+  }
+
+  try {
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (search) {
+      params.push(`%${search}%`);
+      where += ` AND p.name ILIKE $${params.length}`;
+    }
+
+    if (categoryId) {
+      params.push(categoryId);
+      where += ` AND p.category_id = $${params.length}`;
+    }
+
+    const { rows: countResult } = await req.db.query(
+      `SELECT COUNT(*) AS total FROM products p ${where}`,
+      params
+    );
+
+    const { rows } = await req.db.query(
+      `SELECT p.*, c.name AS category_name
+       FROM products p
+       LEFT JOIN categories c ON p.category_id = c.id
+       ${where}
+       ORDER BY p.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const total = parseInt(countResult[0]?.total) || 0;
+
+    res.json({
+      success: true,
+      products: rows,
+      total: total,
+      page: page,
+      limit: limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения товаров (admin):', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения товаров: ' + err.message
+    });
+  }
+});
+
+// Admin - Create product
+app.post('/api/admin/products', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 POST /api/admin/products');
+
+  const { values, errors } = validateProductInput(req.body);
+  const { ingredients, errors: ingredientErrors } = validateProductIngredients(req.body.ingredients);
+  Object.assign(errors, ingredientErrors);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    if (!(await categoryExists(req.db, values.category_id))) {
+      return sendValidationErrors(res, { category_id: 'Категория не найдена' });
+    }
+
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+    const product = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO products (${columns.join(', ')})
+         VALUES (${placeholders.join(', ')})
+         RETURNING *`,
+        columns.map(column => values[column])
+      );
+
+      rows[0].ingredients = await saveProductIngredients(client, rows[0].id, ingredients || []);
+      return rows[0];
+    });
+
+    console.log('✅ Товар создан:', product.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Товар успешно добавлен',
+      product
+    });
+  } catch (err) {
+    // 23503 — указан несуществующий ingredient_id
+    if (err.code === '23503') {
+      return sendValidationErrors(res, { ingredients: 'Действующее вещество не найдено' });
+    }
+
+    console.error('❌ Ошибка создания товара:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания товара: ' + err.message
+    });
+  }
+});
+
+// Admin - Update product (передаются только изменяемые поля)
+app.put('/api/admin/products/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/products/' + req.params.id);
+
+  const { values, errors } = validateProductInput(req.body, true);
+  const { ingredients, errors: ingredientErrors } = validateProductIngredients(req.body.ingredients);
+  Object.assign(errors, ingredientErrors);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const columns = Object.keys(values);
+  if (columns.length === 0 && ingredients === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Нет полей для обновления'
+    });
+  }
+
+  try {
+    if (values.category_id && !(await categoryExists(req.db, values.category_id))) {
+      return sendValidationErrors(res, { category_id: 'Категория не найдена' });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+    // Если менялся только остаток, in_stock пересчитывается по нему
+    if (values.stock_quantity !== undefined && values.in_stock === undefined) {
+      assignments.push(`in_stock = $${columns.indexOf('stock_quantity') + 1} > 0`);
+    }
+
+    const product = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        `UPDATE products
+         SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...columns.map(column => values[column]), req.params.id]
+      );
+
+      if (rows.length > 0) {
+        rows[0].ingredients = ingredients !== undefined
+          ? await saveProductIngredients(client, rows[0].id, ingredients)
+          : await getProductIngredients(client, rows[0].id);
+      }
+
+      return rows[0];
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Товар не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Товар обновлен',
+      product
+    });
+  } catch (err) {
+    if (err.code === '23503') {
+      return sendValidationErrors(res, { ingredients: 'Действующее вещество не найдено' });
+    }
+
+    console.error('❌ Ошибка обновления товара:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления товара: ' + err.message
+    });
+  }
+});
+
+// Admin - Delete product
+app.delete('/api/admin/products/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 DELETE /api/admin/products/' + req.params.id);
+
+  try {
+    const rows = await withTransaction(req.db, async (client) => {
+      await client.query('DELETE FROM cart_items WHERE product_id = $1', [req.params.id]);
+      const { rows: deleted } = await client.query('DELETE FROM products WHERE id = $1 RETURNING id', [req.params.id]);
+      return deleted;
+    });
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Товар не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Товар удален'
+    });
+  } catch (err) {
+    // 23503 — товар уже есть в заказах (foreign key)
+    if (err.code === '23503') {
+      return res.status(409).json({
+        success: false,
+        error: 'Товар есть в заказах и не может быть удален. Установите остаток 0, чтобы снять его с продажи.'
+      });
+    }
+
+    console.error('❌ Ошибка удаления товара:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления товара: ' + err.message
+    });
+  }
+});
+
+// Admin - List active ingredients (с количеством товаров)
+app.get('/api/admin/ingredients', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/ingredients');
+  const { search } = req.query;
+
+  try {
+    const params = [];
+    let where = '';
+
+    if (search) {
+      params.push(`%${search}%`);
+      where = 'WHERE ai.name ILIKE $1 OR ai.latin_name ILIKE $1';
+    }
+
+    const { rows } = await req.db.query(
+      `SELECT ai.*, COUNT(pi.product_id)::int AS products_count
+       FROM active_ingredients ai
+       LEFT JOIN product_ingredients pi ON pi.ingredient_id = ai.id
+       ${where}
+       GROUP BY ai.id
+       ORDER BY ai.name`,
+      params
+    );
+
+    res.json({
+      success: true,
+      ingredients: rows,
+      dosage_units: DOSAGE_UNITS
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения действующих веществ:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения действующих веществ: ' + err.message
+    });
+  }
+});
+
+// Admin - Create / update active ingredient (POST — новое, PUT /:id — изменение)
+async function saveActiveIngredient(req, res) {
+  console.log('📨 ' + req.method + ' ' + req.path);
+
+  const name = (req.body.name || '').trim();
+  const latinName = (req.body.latin_name || '').trim() || null;
+
+  if (!name || name.length > 150) {
+    return sendValidationErrors(res, { name: 'Название обязательно, не более 150 символов' });
+  }
+
+  if (latinName && latinName.length > 150) {
+    return sendValidationErrors(res, { latin_name: 'Не более 150 символов' });
+  }
+
+  try {
+    const { rows: existing } = await req.db.query(
+      'SELECT 1 FROM active_ingredients WHERE LOWER(name) = LOWER($1) AND id <> $2',
+      [name, req.params.id || 0]
+    );
+    if (existing.length > 0) {
+      return sendValidationErrors(res, { name: 'Вещество с таким названием уже есть' });
+    }
+
+    const { rows } = req.params.id
+      ? await req.db.query(
+        'UPDATE active_ingredients SET name = $1, latin_name = $2 WHERE id = $3 RETURNING *',
+        [name, latinName, req.params.id]
+      )
+      : await req.db.query(
+        'INSERT INTO active_ingredients (name, latin_name) VALUES ($1, $2) RETURNING *',
+        [name, latinName]
+      );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Вещество не найдено'
+      });
+    }
+
+    res.status(req.params.id ? 200 : 201).json({
+      success: true,
+      message: req.params.id ? 'Вещество обновлено' : 'Вещество добавлено',
+      ingredient: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка сохранения действующего вещества:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка сохранения действующего вещества: ' + err.message
+    });
+  }
+}
+
+app.post('/api/admin/ingredients', databaseMiddleware, validateUser, requireRole('admin'), saveActiveIngredient);
+app.put('/api/admin/ingredients/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, saveActiveIngredient);
+
+// Admin - Delete active ingredient (только не привязанное к товарам)
+app.delete('/api/admin/ingredients/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 DELETE /api/admin/ingredients/' + req.params.id);
+
+  try {
+    const { rows } = await req.db.query('DELETE FROM active_ingredients WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Вещество не найдено'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Вещество удалено'
+    });
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(409).json({
+        success: false,
+        error: 'Вещество указано в составе товаров и не может быть удалено'
+      });
+    }
+
+    console.error('❌ Ошибка удаления действующего вещества:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления действующего вещества: ' + err.message
+    });
+  }
+});
+
+// Admin - List categories (с количеством товаров)
+app.get('/api/admin/categories', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/categories');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT c.*, COUNT(p.id)::int AS products_count
+       FROM categories c
+       LEFT JOIN products p ON p.category_id = c.id
+       GROUP BY c.id
+       ORDER BY c.name`
+    );
+
+    res.json({
+      success: true,
+      categories: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения категорий (admin):', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения категорий: ' + err.message
+    });
+  }
+});
+
+// Admin - Create category
+app.post('/api/admin/categories', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 POST /api/admin/categories');
+
+  const name = (req.body.name || '').trim();
+  const description = (req.body.description || '').trim() || null;
+
+  if (!name || name.length > 100) {
+    return sendValidationErrors(res, { name: 'Название обязательно, не более 100 символов' });
+  }
+
+  try {
+    const { rows: existing } = await req.db.query('SELECT 1 FROM categories WHERE LOWER(name) = LOWER($1)', [name]);
+    if (existing.length > 0) {
+      return sendValidationErrors(res, { name: 'Категория с таким названием уже существует' });
+    }
+
+    const { rows } = await req.db.query(
+      'INSERT INTO categories (name, description) VALUES ($1, $2) RETURNING *',
+      [name, description]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Категория создана',
+      category: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка создания категории:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания категории: ' + err.message
+    });
+  }
+});
+
+// Admin - Update category
+app.put('/api/admin/categories/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/categories/' + req.params.id);
+
+  const name = (req.body.name || '').trim();
+  const description = req.body.description !== undefined ? (String(req.body.description).trim() || null) : undefined;
+
+  if (!name || name.length > 100) {
+    return sendValidationErrors(res, { name: 'Название обязательно, не более 100 символов' });
+  }
+
+  try {
+    const { rows: existing } = await req.db.query(
+      'SELECT 1 FROM categories WHERE LOWER(name) = LOWER($1) AND id <> $2',
+      [name, req.params.id]
+    );
+    if (existing.length > 0) {
+      return sendValidationErrors(res, { name: 'Категория с таким названием уже существует' });
+    }
+
+    const { rows } = await req.db.query(
+      `UPDATE categories
+       SET name = $1, description = COALESCE($2, description)
+       WHERE id = $3
+       RETURNING *`,
+      [name, description === undefined ? null : description, req.params.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Категория не найдена'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Категория обновлена',
+      category: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления категории:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления категории: ' + err.message
+    });
+  }
+});
+
+// Admin - Delete category (только пустую)
+app.delete('/api/admin/categories/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 DELETE /api/admin/categories/' + req.params.id);
+
+  try {
+    const { rows: products } = await req.db.query(
+      'SELECT COUNT(*)::int AS count FROM products WHERE category_id = $1',
+      [req.params.id]
+    );
+
+    if (products[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `В категории ${products[0].count} товаров. Перенесите их перед удалением.`
+      });
+    }
+
+    const { rows } = await req.db.query('DELETE FROM categories WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Категория не найдена'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Категория удалена'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка удаления категории:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления категории: ' + err.message
+    });
+  }
+});
+
+// Описание полей промокода: percent — процент от суммы подходящих товаров (max_discount ограничивает скидку),
+// fixed — сумма в рублях, free_delivery — бесплатная доставка. category_id/product_id сужают действие промокода.
+const PROMO_CODE_FIELDS = {
+  code: { type: 'string', required: true, max: 50 },
+  description: { type: 'string', max: 500 },
+  discount_type: { type: 'string', required: true, values: ['percent', 'fixed', 'free_delivery'] },
+  discount_value: { type: 'number', min: 0 },
+  max_discount: { type: 'number', min: 0.01 },
+  category_id: { type: 'integer', min: 1 },
+  product_id: { type: 'integer', min: 1 },
+  min_order_amount: { type: 'number', min: 0 },
+  starts_at: { type: 'date' },
+  ends_at: { type: 'date' },
+  usage_limit: { type: 'integer', min: 1 },
+  usage_limit_per_user: { type: 'integer', min: 1 },
+  is_active: { type: 'boolean' }
+};
+
+// Промокод проверяется целиком: для PUT переданные поля накладываются на текущие значения
+function validatePromoCodeInput(body) {
+  const { values, errors } = validateFields(PROMO_CODE_FIELDS, body);
+
+  if (values.code !== undefined) {
+    values.code = values.code.toUpperCase();
+    if (!/^[A-Z0-9А-ЯЁ_-]+$/.test(values.code)) {
+      errors.code = 'Только буквы, цифры, дефис и подчеркивание';
+    }
+  }
+
+  const discountValue = values.discount_value || 0;
+  if (values.discount_type === 'percent' && (discountValue <= 0 || discountValue > 100)) {
+    errors.discount_value = 'Процент скидки должен быть от 0 до 100';
+  } else if (values.discount_type === 'fixed' && discountValue <= 0) {
+    errors.discount_value = 'Укажите сумму скидки';
+  }
+
+  if (values.category_id && values.product_id) {
+    errors.product_id = 'Укажите либо товар, либо категорию';
+  }
+
+  if (values.starts_at && values.ends_at && values.ends_at <= values.starts_at) {
+    errors.ends_at = 'Дата окончания должна быть позже даты начала';
+  }
+
+  values.discount_value = discountValue;
+  values.min_order_amount = values.min_order_amount || 0;
+  if (values.is_active === undefined || values.is_active === null) {
+    values.is_active = true;
+  }
+
+  return { values, errors };
+}
+
+async function validatePromoCodeReferences(dbClient, values, promoCodeId = null) {
+  const errors = {};
+
+  const { rows: existing } = await dbClient.query(
+    'SELECT 1 FROM promo_codes WHERE UPPER(code) = $1 AND id IS DISTINCT FROM $2',
+    [values.code, promoCodeId]
+  );
+  if (existing.length > 0) {
+    errors.code = 'Промокод уже существует';
+  }
+
+  if (values.category_id && !(await categoryExists(dbClient, values.category_id))) {
+    errors.category_id = 'Категория не найдена';
+  }
+
+  if (values.product_id) {
+    const { rows } = await dbClient.query('SELECT 1 FROM products WHERE id = $1', [values.product_id]);
+    if (rows.length === 0) {
+      errors.product_id = 'Товар не найден';
+    }
+  }
+
+  return errors;
+}
+
+const PROMO_CODES_SELECT = `
+  SELECT
+    pc.*,
+    (SELECT COUNT(*)::int FROM promo_code_redemptions r
+     JOIN delivery_orders o ON o.id = r.delivery_order_id
+     WHERE r.promo_code_id = pc.id AND o.status <> 'cancelled') AS used_count,
+    (SELECT COALESCE(SUM(r.discount_amount), 0) FROM promo_code_redemptions r
+     JOIN delivery_orders o ON o.id = r.delivery_order_id
+     WHERE r.promo_code_id = pc.id AND o.status <> 'cancelled') AS total_discount
+  FROM promo_codes pc
+`;
+
+// Admin - List promo codes (с числом использований)
+app.get('/api/admin/promo-codes', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/promo-codes');
+
+  try {
+    const { rows } = await req.db.query(`${PROMO_CODES_SELECT} ORDER BY pc.created_at DESC`);
+
+    res.json({
+      success: true,
+      promo_codes: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения промокодов:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения промокодов: ' + err.message
+    });
+  }
+});
+
+// Admin - Create promo code
+app.post('/api/admin/promo-codes', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 POST /api/admin/promo-codes');
+
+  const { values, errors } = validatePromoCodeInput(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const referenceErrors = await validatePromoCodeReferences(req.db, values);
+    if (Object.keys(referenceErrors).length > 0) {
+      return sendValidationErrors(res, referenceErrors);
+    }
+
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+    const { rows } = await req.db.query(
+      `INSERT INTO promo_codes (${columns.join(', ')})
+       VALUES (${placeholders.join(', ')})
+       RETURNING *`,
+      columns.map(column => values[column])
+    );
+
+    console.log('✅ Промокод создан:', rows[0].code);
+
+    res.status(201).json({
+      success: true,
+      message: 'Промокод создан',
+      promo_code: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка создания промокода:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания промокода: ' + err.message
+    });
+  }
+});
+
+// Admin - Update promo code (передаются только изменяемые поля)
+app.put('/api/admin/promo-codes/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/promo-codes/' + req.params.id);
+
+  try {
+    const { rows: current } = await req.db.query('SELECT * FROM promo_codes WHERE id = $1', [req.params.id]);
+
+    if (current.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Промокод не найден'
+      });
+    }
+
+    const merged = {};
+    for (const field of Object.keys(PROMO_CODE_FIELDS)) {
+      merged[field] = req.body[field] !== undefined ? req.body[field] : current[0][field];
+    }
+
+    const { values, errors } = validatePromoCodeInput(merged);
+    if (Object.keys(errors).length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const referenceErrors = await validatePromoCodeReferences(req.db, values, current[0].id);
+    if (Object.keys(referenceErrors).length > 0) {
+      return sendValidationErrors(res, referenceErrors);
+    }
+
+    const columns = Object.keys(values);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+    const { rows } = await req.db.query(
+      `UPDATE promo_codes
+       SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 1}
+       RETURNING *`,
+      [...columns.map(column => values[column]), current[0].id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Промокод обновлен',
+      promo_code: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления промокода:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления промокода: ' + err.message
+    });
+  }
+});
+
+// Admin - Delete promo code (использованный только деактивируется, чтобы сохранить историю заказов)
+app.delete('/api/admin/promo-codes/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 DELETE /api/admin/promo-codes/' + req.params.id);
+
+  try {
+    const { rows: used } = await req.db.query(
+      'SELECT 1 FROM promo_code_redemptions WHERE promo_code_id = $1 LIMIT 1',
+      [req.params.id]
+    );
+
+    const { rows } = used.length > 0
+      ? await req.db.query(
+        'UPDATE promo_codes SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+        [req.params.id]
+      )
+      : await req.db.query('DELETE FROM promo_codes WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Промокод не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: used.length > 0 ? 'Промокод уже использовался и был деактивирован' : 'Промокод удален'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка удаления промокода:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления промокода: ' + err.message
+    });
+  }
+});
+
+// Зона доставки: polygon — [[lat, lng], ...] не меньше трех точек, radius — центр (обычно аптека) и радиус в км.
+// free_delivery_from — сумма заказа, начиная с которой доставка бесплатная.
+const DELIVERY_ZONE_FIELDS = {
+  name: { type: 'string', required: true, max: 100 },
+  zone_type: { type: 'string', required: true, values: ['polygon', 'radius'] },
+  center_latitude: { type: 'number' },
+  center_longitude: { type: 'number' },
+  radius_km: { type: 'number', min: 0.1 },
+  delivery_fee: { type: 'number', min: 0 },
+  free_delivery_from: { type: 'number', min: 0 },
+  min_order_amount: { type: 'number', min: 0 },
+  priority: { type: 'integer' },
+  is_active: { type: 'boolean' }
+};
+
+// Зона проверяется целиком: для PUT переданные поля накладываются на текущие значения
+function validateDeliveryZoneInput(body) {
+  const { values, errors } = validateFields(DELIVERY_ZONE_FIELDS, body);
+
+  if (values.zone_type === 'radius') {
+    if (!isValidCoordinate(values.center_latitude, values.center_longitude)) {
+      errors.center_latitude = 'Укажите координаты центра зоны';
+    }
+    if (!values.radius_km) {
+      errors.radius_km = 'Укажите радиус зоны';
+    }
+    values.polygon = null;
+  } else if (values.zone_type === 'polygon') {
+    const polygon = body.polygon;
+    const validPolygon = Array.isArray(polygon) && polygon.length >= 3 &&
+      polygon.every(point => Array.isArray(point) && point.length === 2 &&
+        isValidCoordinate(Number(point[0]), Number(point[1])));
+
+    if (!validPolygon) {
+      errors.polygon = 'Нужен список из трех и более точек [широта, долгота]';
+    } else {
+      values.polygon = JSON.stringify(polygon.map(([lat, lng]) => [Number(lat), Number(lng)]));
+    }
+    values.center_latitude = null;
+    values.center_longitude = null;
+    values.radius_km = null;
+  }
+
+  values.delivery_fee = values.delivery_fee || 0;
+  values.min_order_amount = values.min_order_amount || 0;
+  values.priority = values.priority || 0;
+  if (values.is_active === undefined || values.is_active === null) {
+    values.is_active = true;
+  }
+
+  return { values, errors };
+}
+
+// Admin - List delivery zones (с числом заказов)
+app.get('/api/admin/delivery-zones', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/delivery-zones');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT z.*,
+              (SELECT COUNT(*)::int FROM delivery_orders o WHERE o.delivery_zone_id = z.id) AS orders_count
+       FROM delivery_zones z
+       ORDER BY z.priority, z.delivery_fee, z.id`
+    );
+
+    res.json({
+      success: true,
+      delivery_zones: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения зон доставки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения зон доставки: ' + err.message
+    });
+  }
+});
+
+// Admin - Create delivery zone
+app.post('/api/admin/delivery-zones', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 POST /api/admin/delivery-zones');
+
+  const { values, errors } = validateDeliveryZoneInput(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+    const { rows } = await req.db.query(
+      `INSERT INTO delivery_zones (${columns.join(', ')})
+       VALUES (${placeholders.join(', ')})
+       RETURNING *`,
+      columns.map(column => values[column])
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Зона доставки создана',
+      delivery_zone: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка создания зоны доставки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания зоны доставки: ' + err.message
+    });
+  }
+});
+
+// Admin - Update delivery zone
+app.put('/api/admin/delivery-zones/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/delivery-zones/' + req.params.id);
+
+  try {
+    const { rows: current } = await req.db.query('SELECT * FROM delivery_zones WHERE id = $1', [req.params.id]);
+
+    if (current.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Зона доставки не найдена'
+      });
+    }
+
+    const merged = {};
+    for (const field of [...Object.keys(DELIVERY_ZONE_FIELDS), 'polygon']) {
+      merged[field] = req.body[field] !== undefined ? req.body[field] : current[0][field];
+    }
+
+    const { values, errors } = validateDeliveryZoneInput(merged);
+    if (Object.keys(errors).length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const columns = Object.keys(values);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+    const { rows } = await req.db.query(
+      `UPDATE delivery_zones
+       SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 1}
+       RETURNING *`,
+      [...columns.map(column => values[column]), current[0].id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Зона доставки обновлена',
+      delivery_zone: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления зоны доставки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления зоны доставки: ' + err.message
+    });
+  }
+});
+
+// Admin - Delete delivery zone (в заказах остается стоимость доставки, ссылка на зону обнуляется)
+app.delete('/api/admin/delivery-zones/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 DELETE /api/admin/delivery-zones/' + req.params.id);
+
+  try {
+    const { rows } = await req.db.query('DELETE FROM delivery_zones WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Зона доставки не найдена'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Зона доставки удалена'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка удаления зоны доставки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления зоны доставки: ' + err.message
+    });
+  }
+});
+
+const BRANCH_FIELDS = {
+  name: { type: 'string', required: true, max: 255 },
+  address: { type: 'string', required: true, max: 500 },
+  latitude: { type: 'number' },
+  longitude: { type: 'number' },
+  phone: { type: 'string', max: 50 },
+  pickup_enabled: { type: 'boolean' },
+  is_active: { type: 'boolean' }
+};
+
+const BRANCH_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Аптека проверяется целиком: для PUT переданные поля накладываются на текущие значения
+function validateBranchInput(body) {
+  const { values, errors } = validateFields(BRANCH_FIELDS, body);
+
+  const hasCoordinates = values.latitude != null || values.longitude != null;
+  if (hasCoordinates && !isValidCoordinate(values.latitude, values.longitude)) {
+    errors.latitude = 'Укажите широту и долготу аптеки';
+  }
+
+  // Часы работы: { "0".."6": { open: "ЧЧ:ММ", close: "ЧЧ:ММ" } | null }, ключ — день недели (0 — воскресенье)
+  const openingHours = body.opening_hours || {};
+  const normalized = {};
+  let validHours = typeof openingHours === 'object' && !Array.isArray(openingHours);
+
+  for (const [day, hours] of Object.entries(validHours ? openingHours : {})) {
+    if (!/^[0-6]$/.test(day)) {
+      validHours = false;
+    } else if (hours === null) {
+      normalized[day] = null;
+    } else if (!hours || !BRANCH_TIME_PATTERN.test(hours.open) || !BRANCH_TIME_PATTERN.test(hours.close) ||
+      hours.open >= hours.close) {
+      validHours = false;
+    } else {
+      normalized[day] = { open: hours.open, close: hours.close };
+    }
+  }
+
+  if (!validHours) {
+    errors.opening_hours = 'Часы работы: дни 0–6 (0 — воскресенье), время ЧЧ:ММ, открытие раньше закрытия';
+  } else {
+    values.opening_hours = JSON.stringify(normalized);
+  }
+
+  if (values.pickup_enabled === undefined || values.pickup_enabled === null) {
+    values.pickup_enabled = true;
+  }
+  if (values.is_active === undefined || values.is_active === null) {
+    values.is_active = true;
+  }
+
+  return { values, errors };
+}
+
+// Admin - List branches (с числом позиций в наличии и невыданных заказов)
+app.get('/api/admin/branches', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/branches');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT b.*,
+              (SELECT COUNT(*)::int FROM branch_stock s WHERE s.branch_id = b.id AND s.quantity > 0) AS products_in_stock,
+              (SELECT COUNT(*)::int FROM delivery_orders o
+               WHERE o.pickup_branch_id = b.id AND o.status IN ('pending_verification', 'pending', 'ready_for_pickup')) AS open_orders_count
+       FROM branches b
+       ORDER BY b.name`
+    );
+
+    res.json({
+      success: true,
+      branches: rows.map(withOpenStatus)
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения аптек:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения аптек: ' + err.message
+    });
+  }
+});
+
+// Admin - Create branch
+app.post('/api/admin/branches', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 POST /api/admin/branches');
+
+  const { values, errors } = validateBranchInput(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+    const { rows } = await req.db.query(
+      `INSERT INTO branches (${columns.join(', ')})
+       VALUES (${placeholders.join(', ')})
+       RETURNING *`,
+      columns.map(column => values[column])
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Аптека создана',
+      branch: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка создания аптеки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания аптеки: ' + err.message
+    });
+  }
+});
+
+// Admin - Update branch
+app.put('/api/admin/branches/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/branches/' + req.params.id);
+
+  try {
+    const { rows: current } = await req.db.query('SELECT * FROM branches WHERE id = $1', [req.params.id]);
+
+    if (current.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Аптека не найдена'
+      });
+    }
+
+    const merged = {};
+    for (const field of [...Object.keys(BRANCH_FIELDS), 'opening_hours']) {
+      merged[field] = req.body[field] !== undefined ? req.body[field] : current[0][field];
+    }
+
+    const { values, errors } = validateBranchInput(merged);
+    if (Object.keys(errors).length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const columns = Object.keys(values);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+    const { rows } = await req.db.query(
+      `UPDATE branches
+       SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 1}
+       RETURNING *`,
+      [...columns.map(column => values[column]), current[0].id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Аптека обновлена',
+      branch: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления аптеки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления аптеки: ' + err.message
+    });
+  }
+});
+
+// Admin - Delete branch (нельзя, пока в аптеке есть невыданные заказы; остатки удаляются вместе с ней)
+app.delete('/api/admin/branches/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 DELETE /api/admin/branches/' + req.params.id);
+
+  try {
+    const { rows: openOrders } = await req.db.query(
+      `SELECT COUNT(*)::int AS count FROM delivery_orders
+       WHERE pickup_branch_id = $1 AND status IN ('pending_verification', 'pending', 'ready_for_pickup')`,
+      [req.params.id]
+    );
+
+    if (openOrders[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `В аптеке есть невыданные заказы (${openOrders[0].count}). Выдайте или отмените их либо отключите самовывоз`
+      });
+    }
+
+    const { rows } = await req.db.query('DELETE FROM branches WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Аптека не найдена'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Аптека удалена'
+    });
+  } catch (err) {
+    console.error('❌ Ошибка удаления аптеки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка удаления аптеки: ' + err.message
+    });
+  }
+});
+
+// Admin - Branch stock
+app.get('/api/admin/branches/:id/stock', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/admin/branches/' + req.params.id + '/stock');
+
+  try {
+    const { rows: branches } = await req.db.query('SELECT id FROM branches WHERE id = $1', [req.params.id]);
+
+    if (branches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Аптека не найдена'
+      });
+    }
+
+    const { rows } = await req.db.query(
+      `SELECT s.product_id, p.name, s.quantity, s.updated_at
+       FROM branch_stock s
+       JOIN products p ON p.id = s.product_id
+       WHERE s.branch_id = $1
+       ORDER BY p.name`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      stock: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения остатков аптеки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения остатков аптеки: ' + err.message
+    });
+  }
+});
+
+const BRANCH_STOCK_FIELDS = {
+  product_id: { type: 'integer', required: true, min: 1 },
+  quantity: { type: 'integer', required: true, min: 0 }
+};
+
+// Admin - Set branch stock ({ items: [{ product_id, quantity }] }, количество задается абсолютным значением)
+app.put('/api/admin/branches/:id/stock', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/branches/' + req.params.id + '/stock');
+  const { items } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return sendValidationErrors(res, { items: 'Передайте список позиций [{ product_id, quantity }]' });
+  }
+
+  const errors = {};
+  const rows = items.map((item, index) => {
+    const { values, errors: itemErrors } = validateFields(BRANCH_STOCK_FIELDS, item || {});
+    for (const [field, message] of Object.entries(itemErrors)) {
+      errors[`items[${index}].${field}`] = message;
+    }
+    return values;
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const { rows: branches } = await req.db.query('SELECT id FROM branches WHERE id = $1', [req.params.id]);
+
+    if (branches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Аптека не найдена'
+      });
+    }
+
+    await withTransaction(req.db, async (client) => {
+      for (const row of rows) {
+        await client.query(
+          `INSERT INTO branch_stock (branch_id, product_id, quantity, updated_at)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+           ON CONFLICT (branch_id, product_id) DO UPDATE
+           SET quantity = EXCLUDED.quantity, updated_at = CURRENT_TIMESTAMP`,
+          [branches[0].id, row.product_id, row.quantity]
+        );
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Остатки аптеки обновлены',
+      updated: rows.length
+    });
+  } catch (err) {
+    if (err.code === '23503') {
+      return sendValidationErrors(res, { items: 'Один из товаров не найден' });
+    }
+    console.error('❌ Ошибка обновления остатков аптеки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления остатков аптеки: ' + err.message
+    });
+  }
+});
+
+// Admin - List product reviews (по умолчанию — ожидающие модерации)
+app.get('/api/admin/reviews', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/reviews');
+  const { status = 'pending', product_id } = req.query;
+
+  if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+    return sendValidationErrors(res, { status: `Допустимые значения: all, ${REVIEW_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const params = [];
+    const conditions = [];
+
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+
+    if (product_id) {
+      params.push(parseInt(product_id));
+      conditions.push(`r.product_id = $${params.length}`);
+    }
+
+    const { rows } = await req.db.query(
+      `SELECT r.*, p.name AS product_name, u.email AS user_email,
+              ${REVIEW_AUTHOR_SQL} AS author_name
+       FROM product_reviews r
+       JOIN products p ON p.id = r.product_id
+       LEFT JOIN users u ON u.id = r.user_id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY r.created_at ASC, r.id ASC
+       LIMIT 200`,
+      params
+    );
+
+    res.json({
+      success: true,
+      reviews: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения отзывов (admin):', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения отзывов: ' + err.message
+    });
+  }
+});
+
+// Admin - Moderate product review
+app.put('/api/admin/reviews/:id/status', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/reviews/' + req.params.id + '/status');
+  const { status, note } = req.body;
+
+  if (!REVIEW_STATUSES.includes(status)) {
+    return sendValidationErrors(res, { status: `Допустимые значения: ${REVIEW_STATUSES.join(', ')}` });
+  }
+
+  if (status === 'rejected' && !note) {
+    return res.status(400).json({
+      success: false,
+      error: 'Укажите причину отклонения'
+    });
+  }
+
+  try {
+    const review = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        `UPDATE product_reviews
+         SET status = $1, moderation_note = $2, moderated_by = $3,
+             moderated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [status, note || null, req.userId, req.params.id]
+      );
+
+      if (rows.length > 0) {
+        await refreshProductRating(client, rows[0].product_id);
+      }
+
+      return rows[0];
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Отзыв не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: status === 'published' ? 'Отзыв опубликован' : status === 'rejected' ? 'Отзыв отклонен' : 'Отзыв возвращен на модерацию',
+      review
+    });
+  } catch (err) {
+    console.error('❌ Ошибка модерации отзыва:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка модерации отзыва: ' + err.message
+    });
+  }
+});
+
+const USER_ROLES = ['customer', 'courier', 'pharmacist', 'admin'];
+
+// Admin - Change user role (например, назначить фармацевта)
+app.put('/api/admin/users/:id/role', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/users/' + req.params.id + '/role');
+
+  const { role } = req.body;
+
+  if (!USER_ROLES.includes(role)) {
+    return sendValidationErrors(res, { role: `Допустимые значения: ${USER_ROLES.join(', ')}` });
+  }
+
+  if (String(req.params.id) === String(req.userId) && role !== 'admin') {
+    return res.status(409).json({
+      success: false,
+      error: 'Нельзя снять роль администратора с самого себя'
+    });
+  }
+
+  try {
+    const { rows } = await req.db.query(
+      'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, email, first_name, last_name, role',
+      [role, req.params.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Пользователь не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Роль пользователя обновлена',
+      user: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка изменения роли:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка изменения роли: ' + err.message
+    });
+  }
+});
+
+// Admin - List courier applications
+app.get('/api/admin/couriers', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/couriers');
+  const { application_status } = req.query;
+
+  try {
+    const params = [];
+    let where = '';
+
+    if (application_status) {
+      params.push(application_status);
+      where = 'WHERE c.application_status = $1';
+    }
+
+    const { rows } = await req.db.query(
+      `SELECT c.*, u.email,
+              (SELECT COALESCE(SUM(e.amount), 0) FROM courier_earnings e WHERE e.courier_id = c.id) AS earnings_balance
+       FROM couriers c
+       LEFT JOIN users u ON u.id = c.user_id
+       ${where}
+       ORDER BY c.applied_at DESC NULLS LAST, c.id DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      couriers: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения курьеров (admin):', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения курьеров: ' + err.message
+    });
+  }
+});
+
+// Admin - Review courier application
+app.post('/api/admin/couriers/:id/review', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/admin/couriers/' + req.params.id + '/review');
+  const { decision, reason } = req.body;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return res.status(400).json({
+      success: false,
+      error: 'decision должен быть approve или reject'
+    });
+  }
+
+  if (decision === 'reject' && !reason) {
+    return res.status(400).json({
+      success: false,
+      error: 'Укажите причину отказа'
+    });
+  }
+
+  try {
+    const courier = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        `UPDATE couriers
+         SET application_status = $1, rejection_reason = $2, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [decision === 'approve' ? 'approved' : 'rejected', decision === 'reject' ? reason : null, req.params.id]
+      );
+
+      if (rows.length > 0 && decision === 'approve') {
+        await client.query(
+          "UPDATE users SET role = 'courier' WHERE id = $1 AND role = 'customer'",
+          [rows[0].user_id]
+        );
+      }
+
+      return rows[0];
+    });
+
+    if (!courier) {
+      return res.status(404).json({
+        success: false,
+        error: 'Курьер не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Заявка одобрена' : 'Заявка отклонена',
+      courier: courier
+    });
+  } catch (err) {
+    console.error('❌ Ошибка рассмотрения заявки курьера:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка рассмотрения заявки: ' + err.message
+    });
+  }
+});
+
+const COURIER_TARIFF_FIELDS = {
+  name: { type: 'string', required: true, max: 100 },
+  base_fee: { type: 'number', required: true, min: 0 },
+  per_km_fee: { type: 'number', min: 0 },
+  included_km: { type: 'number', min: 0 },
+  is_default: { type: 'boolean' },
+  is_active: { type: 'boolean' }
+};
+
+function validateCourierTariffInput(body) {
+  const { values, errors } = validateFields(COURIER_TARIFF_FIELDS, body);
+
+  values.per_km_fee = values.per_km_fee || 0;
+  values.included_km = values.included_km || 0;
+  values.is_default = values.is_default === true;
+  if (values.is_active === undefined || values.is_active === null) {
+    values.is_active = true;
+  }
+
+  if (values.is_default && !values.is_active) {
+    errors.is_active = 'Тариф по умолчанию должен быть активным';
+  }
+
+  return { values, errors };
+}
+
+// Сохраняет тариф (tariffId = null — новый). Тариф по умолчанию может быть только один.
+// Уже начисленные суммы не меняются: в журнале хранятся суммы, а не ставки.
+async function saveCourierTariff(pool, tariffId, values) {
+  return withTransaction(pool, async (client) => {
+    if (values.is_default) {
+      await client.query(
+        'UPDATE courier_tariffs SET is_default = false, updated_at = CURRENT_TIMESTAMP WHERE is_default = true AND id <> $1',
+        [tariffId || 0]
+      );
+    }
+
+    const columns = Object.keys(values);
+
+    if (!tariffId) {
+      const { rows } = await client.query(
+        `INSERT INTO courier_tariffs (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => values[column])
+      );
+      return rows[0];
+    }
+
+    const { rows } = await client.query(
+      `UPDATE courier_tariffs
+       SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${columns.length + 1}
+       RETURNING *`,
+      [...columns.map(column => values[column]), tariffId]
+    );
+    return rows[0];
+  });
+}
+
+// Admin - List courier tariffs (с числом курьеров на тарифе)
+app.get('/api/admin/courier-tariffs', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/courier-tariffs');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT t.*, (SELECT COUNT(*)::int FROM couriers c WHERE c.tariff_id = t.id) AS couriers_count
+       FROM courier_tariffs t
+       ORDER BY t.is_default DESC, t.is_active DESC, t.name`
+    );
+
+    res.json({
+      success: true,
+      tariffs: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения тарифов курьеров:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения тарифов курьеров: ' + err.message
+    });
+  }
+});
+
+// Admin - Create courier tariff
+app.post('/api/admin/courier-tariffs', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 POST /api/admin/courier-tariffs');
+
+  const { values, errors } = validateCourierTariffInput(req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const tariff = await saveCourierTariff(req.db, null, values);
+
+    res.status(201).json({
+      success: true,
+      message: 'Тариф создан',
+      tariff: tariff
+    });
+  } catch (err) {
+    console.error('❌ Ошибка создания тарифа:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка создания тарифа: ' + err.message
+    });
+  }
+});
+
+// Admin - Update courier tariff (тариф не удаляется: на него ссылается журнал, его можно отключить)
+app.put('/api/admin/courier-tariffs/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/courier-tariffs/' + req.params.id);
+
+  try {
+    const { rows: current } = await req.db.query('SELECT * FROM courier_tariffs WHERE id = $1', [req.params.id]);
+
+    if (current.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Тариф не найден'
+      });
+    }
+
+    const merged = {};
+    for (const field of Object.keys(COURIER_TARIFF_FIELDS)) {
+      merged[field] = req.body[field] !== undefined ? req.body[field] : current[0][field];
+    }
+
+    const { values, errors } = validateCourierTariffInput(merged);
+    if (Object.keys(errors).length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const tariff = await saveCourierTariff(req.db, current[0].id, values);
+
+    res.json({
+      success: true,
+      message: 'Тариф обновлен',
+      tariff: tariff
+    });
+  } catch (err) {
+    console.error('❌ Ошибка обновления тарифа:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка обновления тарифа: ' + err.message
+    });
+  }
+});
+
+// Admin - Assign tariff to courier ({ tariff_id }, null — тариф по умолчанию)
+app.put('/api/admin/couriers/:id/tariff', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 PUT /api/admin/couriers/' + req.params.id + '/tariff');
+
+  const { values, errors } = validateFields({ tariff_id: { type: 'integer', min: 1 } }, req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    if (values.tariff_id) {
+      const { rows: tariffs } = await req.db.query(
+        'SELECT id FROM courier_tariffs WHERE id = $1 AND is_active = true',
+        [values.tariff_id]
+      );
+
+      if (tariffs.length === 0) {
+        return sendValidationErrors(res, { tariff_id: 'Тариф не найден или отключен' });
+      }
+    }
+
+    const { rows } = await req.db.query(
+      'UPDATE couriers SET tariff_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, tariff_id',
+      [values.tariff_id || null, req.params.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Курьер не найден'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Тариф курьера обновлен',
+      courier: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка назначения тарифа:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка назначения тарифа: ' + err.message
+    });
+  }
+});
+
+// Admin - Courier earnings ledger (?entry_type=, ?limit=)
+app.get('/api/admin/couriers/:id/earnings', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/admin/couriers/' + req.params.id + '/earnings');
+  const { entry_type } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+  if (entry_type && !EARNING_ENTRY_TYPES.includes(entry_type)) {
+    return sendValidationErrors(res, { entry_type: `Допустимые значения: ${EARNING_ENTRY_TYPES.join(', ')}` });
+  }
+
+  try {
+    const { rows: couriers } = await req.db.query('SELECT id FROM couriers WHERE id = $1', [req.params.id]);
+
+    if (couriers.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Курьер не найден'
+      });
+    }
+
+    const params = [req.params.id];
+    let typeFilter = '';
+
+    if (entry_type) {
+      params.push(entry_type);
+      typeFilter = `AND e.entry_type = $${params.length}`;
+    }
+
+    const { rows } = await req.db.query(
+      `SELECT e.*, o.order_code, t.name AS tariff_name, b.status AS payout_status
+       FROM courier_earnings e
+       LEFT JOIN delivery_orders o ON o.id = e.delivery_order_id
+       LEFT JOIN courier_tariffs t ON t.id = e.tariff_id
+       LEFT JOIN courier_payout_batches b ON b.id = e.payout_batch_id
+       WHERE e.courier_id = $1 ${typeFilter}
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+
+    res.json({
+      success: true,
+      summary: await getCourierEarningsSummary(req.db, req.params.id),
+      entries: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения журнала начислений:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения журнала начислений: ' + err.message
+    });
+  }
+});
+
+const EARNING_ADJUSTMENT_FIELDS = {
+  entry_type: { type: 'string', required: true, values: ['bonus', 'penalty'] },
+  amount: { type: 'number', required: true, min: 0.01, max: 100000 },
+  description: { type: 'string', required: true, max: 500 },
+  delivery_order_id: { type: 'integer', min: 1 }
+};
+
+// Admin - Add bonus or penalty ({ entry_type, amount > 0, description, delivery_order_id? }); штраф записывается с минусом
+app.post('/api/admin/couriers/:id/earnings', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/admin/couriers/' + req.params.id + '/earnings');
+
+  const { values, errors } = validateFields(EARNING_ADJUSTMENT_FIELDS, req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const { rows: couriers } = await req.db.query('SELECT id FROM couriers WHERE id = $1', [req.params.id]);
+
+    if (couriers.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Курьер не найден'
+      });
+    }
+
+    if (values.delivery_order_id) {
+      const { rows: orders } = await req.db.query(
+        'SELECT id FROM delivery_orders WHERE id = $1 AND courier_id = $2',
+        [values.delivery_order_id, couriers[0].id]
+      );
+
+      if (orders.length === 0) {
+        return sendValidationErrors(res, { delivery_order_id: 'Заказ этого курьера не найден' });
+      }
+    }
+
+    const amount = values.entry_type === 'penalty' ? -values.amount : values.amount;
+
+    const { rows } = await req.db.query(
+      `INSERT INTO courier_earnings (courier_id, delivery_order_id, entry_type, amount, description, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [couriers[0].id, values.delivery_order_id || null, values.entry_type, roundMoney(amount), values.description, req.userId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: values.entry_type === 'penalty' ? 'Штраф начислен' : 'Бонус начислен',
+      entry: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка начисления корректировки:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка начисления корректировки: ' + err.message
+    });
+  }
+});
+
+// Admin - List payout batches
+app.get('/api/admin/payouts', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/payouts');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT * FROM courier_payout_batches
+       ORDER BY created_at DESC, id DESC
+       LIMIT 100`
+    );
+
+    res.json({
+      success: true,
+      payouts: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения выплат:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения выплат: ' + err.message
+    });
+  }
+});
+
+// Admin - Payout batch with per-courier amounts
+app.get('/api/admin/payouts/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/admin/payouts/' + req.params.id);
+
+  try {
+    const { rows } = await req.db.query('SELECT * FROM courier_payout_batches WHERE id = $1', [req.params.id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Выплата не найдена'
+      });
+    }
+
+    const { rows: items } = await req.db.query(
+      `SELECT e.courier_id, c.first_name, c.last_name, c.courier_code, -e.amount AS amount
+       FROM courier_earnings e
+       JOIN couriers c ON c.id = e.courier_id
+       WHERE e.payout_batch_id = $1 AND e.entry_type = 'payout'
+       ORDER BY c.last_name, c.first_name`,
+      [rows[0].id]
+    );
+
+    res.json({
+      success: true,
+      payout: { ...rows[0], items }
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения выплаты:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения выплаты: ' + err.message
+    });
+  }
+});
+
+// Admin - Create payout batch ({ courier_ids?, note }): весь положительный баланс курьеров
+// переносится в пакет отрицательными записями payout
+app.post('/api/admin/payouts', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 POST /api/admin/payouts');
+  const { courier_ids, note } = req.body;
+
+  if (courier_ids !== undefined && (!Array.isArray(courier_ids) || !courier_ids.every(id => Number.isInteger(id) && id > 0))) {
+    return sendValidationErrors(res, { courier_ids: 'Передайте список id курьеров' });
+  }
+
+  try {
+    const payout = await withTransaction(req.db, async (client) => {
+      // Блокировка курьеров не дает двум пакетам выплатить один и тот же баланс
+      const { rows: couriers } = await client.query(
+        `SELECT id FROM couriers
+         WHERE $1::int[] IS NULL OR id = ANY($1::int[])
+         ORDER BY id
+         FOR UPDATE`,
+        [courier_ids || null]
+      );
+
+      const { rows: balances } = await client.query(
+        `SELECT courier_id, SUM(amount) AS balance
+         FROM courier_earnings
+         WHERE courier_id = ANY($1::int[])
+         GROUP BY courier_id
+         HAVING SUM(amount) > 0
+         ORDER BY courier_id`,
+        [couriers.map(courier => courier.id)]
+      );
+
+      if (balances.length === 0) {
+        throw new OrderError(409, 'Нет курьеров с положительным балансом');
+      }
+
+      const totalAmount = roundMoney(balances.reduce((sum, row) => sum + parseFloat(row.balance), 0));
+
+      const { rows: batches } = await client.query(
+        `INSERT INTO courier_payout_batches (total_amount, couriers_count, note, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [totalAmount, balances.length, note || null, req.userId]
+      );
+
+      for (const row of balances) {
+        await client.query(
+          `INSERT INTO courier_earnings (courier_id, payout_batch_id, entry_type, amount, description, created_by)
+           VALUES ($1, $2, 'payout', $3, $4, $5)`,
+          [row.courier_id, batches[0].id, -parseFloat(row.balance), `Выплата №${batches[0].id}`, req.userId]
+        );
+      }
+
+      return batches[0];
+    });
+
+    console.log('✅ Создан пакет выплат:', payout.id, payout.total_amount);
+
+    res.status(201).json({
+      success: true,
+      message: 'Пакет выплат создан',
+      payout: payout
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка создания выплаты');
+  }
+});
+
+// Admin - Mark payout batch as paid
+app.post('/api/admin/payouts/:id/paid', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/admin/payouts/' + req.params.id + '/paid');
+
+  try {
+    const { rows } = await req.db.query(
+      `UPDATE courier_payout_batches
+       SET status = 'paid', paid_at = CURRENT_TIMESTAMP, paid_by = $1
+       WHERE id = $2 AND status = 'pending'
+       RETURNING *`,
+      [req.userId, req.params.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Выплата не найдена или уже отмечена как выплаченная'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Выплата отмечена как выплаченная',
+      payout: rows[0]
+    });
+  } catch (err) {
+    console.error('❌ Ошибка отметки выплаты:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка отметки выплаты: ' + err.message
+    });
+  }
+});
+
+// Admin - Cash reconciliation: курьеры с несданными наличными
+app.get('/api/admin/cash', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/cash');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT
+         c.id, c.first_name, c.last_name, c.courier_code, c.phone,
+         COUNT(o.id)::int AS orders_count,
+         SUM(o.cash_collected) AS cash_on_hand,
+         SUM(o.total_amount) AS amount_due,
+         SUM(o.cash_collected - o.total_amount) AS discrepancy,
+         COUNT(o.id) FILTER (WHERE o.cash_collected <> o.total_amount)::int AS flagged_orders,
+         MIN(o.delivered_at) AS oldest_collection
+       FROM couriers c
+       JOIN delivery_orders o ON o.courier_id = c.id AND o.cash_collected IS NOT NULL AND o.cash_handover_id IS NULL
+       GROUP BY c.id
+       ORDER BY cash_on_hand DESC`
+    );
+
+    res.json({
+      success: true,
+      couriers: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения сверки наличных:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения сверки наличных: ' + err.message
+    });
+  }
+});
+
+// Admin - Courier cash details: несданные заказы и последние сдачи
+app.get('/api/admin/cash/couriers/:id', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/admin/cash/couriers/' + req.params.id);
+
+  try {
+    const { rows: couriers } = await req.db.query(
+      'SELECT id, first_name, last_name, courier_code, phone FROM couriers WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (couriers.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Курьер не найден'
+      });
+    }
+
+    const orders = await getCourierCashOrders(req.db, couriers[0].id);
+    const { rows: handovers } = await req.db.query(
+      `SELECT * FROM courier_cash_handovers
+       WHERE courier_id = $1
+       ORDER BY created_at DESC
+       LIMIT 20`,
+      [couriers[0].id]
+    );
+
+    res.json({
+      success: true,
+      courier: couriers[0],
+      cash: summarizeCashOrders(orders),
+      orders: orders,
+      handovers: handovers
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения наличных курьера:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения наличных курьера: ' + err.message
+    });
+  }
+});
+
+const CASH_HANDOVER_FIELDS = {
+  received_amount: { type: 'number', required: true, min: 0 },
+  note: { type: 'string', max: 1000 }
+};
+
+// Admin - Accept cash handover ({ received_amount, note }). Все несданные наличные заказы курьера
+// закрываются сдачей; разница между полученной и ожидаемой суммой сохраняется как расхождение.
+app.post('/api/admin/cash/couriers/:id/handover', databaseMiddleware, validateUser, requireRole('admin'), validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/admin/cash/couriers/' + req.params.id + '/handover');
+
+  const { values, errors } = validateFields(CASH_HANDOVER_FIELDS, req.body);
+  if (Object.keys(errors).length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  try {
+    const handover = await withTransaction(req.db, async (client) => {
+      // Блокировка курьера не дает принять одни и те же наличные дважды
+      const { rows: couriers } = await client.query('SELECT id FROM couriers WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+      if (couriers.length === 0) {
+        throw new OrderError(404, 'Курьер не найден');
+      }
+
+      const orders = await getCourierCashOrders(client, couriers[0].id);
+
+      if (orders.length === 0) {
+        throw new OrderError(409, 'У курьера нет несданных наличных');
+      }
+
+      const expectedAmount = summarizeCashOrders(orders).cash_on_hand;
+      const discrepancy = roundMoney(values.received_amount - expectedAmount);
+
+      const { rows } = await client.query(
+        `INSERT INTO courier_cash_handovers (
+           courier_id, orders_count, expected_amount, received_amount, discrepancy, note, received_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [couriers[0].id, orders.length, expectedAmount, values.received_amount, discrepancy, values.note || null, req.userId]
+      );
+
+      await client.query(
+        'UPDATE delivery_orders SET cash_handover_id = $1 WHERE id = ANY($2::int[])',
+        [rows[0].id, orders.map(order => order.id)]
+      );
+
+      return rows[0];
+    });
+
+    const discrepancy = parseFloat(handover.discrepancy);
+    if (discrepancy !== 0) {
+      console.log('⚠️ Расхождение при сдаче наличных: курьер', handover.courier_id, 'сумма', discrepancy);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: discrepancy === 0
+        ? 'Наличные приняты'
+        : `Наличные приняты с расхождением ${discrepancy > 0 ? '+' : ''}${discrepancy} ₽`,
+      handover: handover
+    });
+  } catch (err) {
+    sendOrderError(res, err, 'Ошибка приема наличных');
+  }
+});
+
+// Admin - Cash handovers history (?discrepancy=true — только с расхождением)
+app.get('/api/admin/cash/handovers', databaseMiddleware, validateUser, requireRole('admin'), async (req, res) => {
+  console.log('📨 GET /api/admin/cash/handovers');
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT h.*, c.first_name, c.last_name, c.courier_code
+       FROM courier_cash_handovers h
+       JOIN couriers c ON c.id = h.courier_id
+       ${req.query.discrepancy === 'true' ? 'WHERE h.discrepancy <> 0' : ''}
+       ORDER BY h.created_at DESC
+       LIMIT 100`
+    );
+
+    res.json({
+      success: true,
+      handovers: rows
+    });
+  } catch (err) {
+    console.error('❌ Ошибка получения истории сдачи наличных:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Ошибка получения истории сдачи наличных: ' + err.message
+    });
+  }
+});
+
+// ==================== PHARMACIST ROUTES ====================
+
+// Заказы с рецептурными товарами (products.rx_required) создаются в статусе pending_verification
+// и не видны курьерам, пока фармацевт не проверит приложенный рецепт.
+
+// Pharmacist - Orders waiting for prescription verification
+app.get('/api/pharmacist/orders', databaseMiddleware, validateUser, requireRole('pharmacist', 'admin'), async (req, res) => {
+  console.log('📨 GET /api/pharmacist/orders');
+  const status = req.query.status || 'pending_verification';
+
+  try {
+    const { rows } = await req.db.query(
+      `SELECT
+         o.id, o.order_code, o.status, o.customer_name, o.customer_phone, o.total_amount,
+         o.payment_method, o.payment_status, o.created_at, o.verified_at, o.verification_note,
+         COALESCE((
+           SELECT json_agg(json_build_object(
+             'product_id', doi.product_id,
+             'name', doi.product_name,
+             'quantity', doi.quantity,
+             'rx_required', COALESCE(p.rx_required, false)
+           ) ORDER BY doi.id)
+           FROM delivery_order_items doi
+           LEFT JOIN products p ON p.id = doi.product_id
+           WHERE doi.delivery_order_id = o.id
+         ), '[]') AS items,
+         COALESCE((
+           SELECT json_agg(json_build_object(
+             'id', pr.id,
+             'file_name', pr.file_name,
+             'mime_type', pr.mime_type,
+             'created_at', pr.created_at
+           ) ORDER BY pr.id)
+           FROM order_prescriptions pr
+           WHERE pr.delivery_order_id = o.id
+         ), '[]') AS prescriptions
+       FROM delivery_orders o
+       WHERE o.rx_required = true AND o.status = $1
+       ORDER BY o.created_at ASC
+       LIMIT 100`,
+      [status]
+    );
+
+    res.json({
+      success: true,
+      orders: rows
     });
   } catch (err) {
-    console.error('❌ Ошибка входа:', err);
-    res.status(500).json({ 
+    console.error('❌ Ошибка получения заказов на проверку:', err);
+    res.status(500).json({
       success: false,
-      error: 'Ошибка сервера' 
+      error: 'Ошибка получения заказов на проверку: ' + err.message
     });
   }
 });
 
-// ==================== CART ROUTES ====================
-
-// Cart - Add item
-app.post('/api/cart/add', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 POST /api/cart/add');
-  const { product_id, quantity = 1 } = req.body;
-
-  if (!product_id) {
-    return res.status(400).json({
-      success: false,
-      error: 'product_id обязателен'
-    });
-  }
+// Pharmacist - Prescription file (фармацевт, администратор или владелец заказа)
+app.get('/api/prescriptions/:id', databaseMiddleware, validateUser, validateIdParam, async (req, res) => {
+  console.log('📨 GET /api/prescriptions/' + req.params.id);
 
   try {
-    // Check if product exists
-    const { rows: products } = await req.db.query('SELECT * FROM products WHERE id = $1', [product_id]);
-    if (products.length === 0) {
+    const { rows } = await req.db.query(
+      `SELECT pr.*, o.user_id
+       FROM order_prescriptions pr
+       JOIN delivery_orders o ON o.id = pr.delivery_order_id
+       WHERE pr.id = $1`,
+      [req.params.id]
+    );
+
+    const isStaff = ['pharmacist', 'admin'].includes(req.userRole);
+    if (rows.length === 0 || (!isStaff && String(rows[0].user_id) !== String(req.userId))) {
       return res.status(404).json({
         success: false,
-        error: 'Товар не найден'
+        error: 'Рецепт не найден'
       });
     }
 
-    // Add or update item in cart
-    const { rows } = await req.db.query(`
-      INSERT INTO cart_items (user_id, product_id, quantity) 
-      VALUES ($1, $2, $3)
-      ON CONFLICT (user_id, product_id) 
-      DO UPDATE SET quantity = cart_items.quantity + $3
-      RETURNING *
-    `, [req.userId, product_id, quantity]);
+    const { user_id, ...prescription } = rows[0];
 
     res.json({
       success: true,
-      message: 'Товар добавлен в корзину',
-      item: rows[0]
+      prescription
     });
   } catch (err) {
-    console.error('❌ Ошибка добавления в корзину:', err);
+    console.error('❌ Ошибка получения рецепта:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка сервера: ' + err.message
+      error: 'Ошибка получения рецепта: ' + err.message
     });
   }
 });
 
-// Cart - Get cart
-app.get('/api/cart', databaseMiddleware, async (req, res) => {
-  console.log('📨 GET /api/cart');
-  const { user_id } = req.query;
+// Pharmacist - Approve or reject an order ({ decision: 'approve' | 'reject', reason })
+app.post('/api/pharmacist/orders/:id/review', databaseMiddleware, validateUser, requireRole('pharmacist', 'admin'), validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/pharmacist/orders/' + req.params.id + '/review');
+
+  const { decision } = req.body;
+  const reason = (req.body.reason || '').trim();
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return res.status(400).json({
+      success: false,
+      error: 'decision должен быть approve или reject'
+    });
+  }
 
-  if (!user_id) {
+  if (decision === 'reject' && !reason) {
     return res.status(400).json({
       success: false,
-      error: 'user_id обязателен'
+      error: 'Укажите причину отказа'
     });
   }
 
   try {
-    const { rows } = await req.db.query(`
-      SELECT ci.*, p.name, p.price, p.image, p.description, p.manufacturer, p.in_stock
-      FROM cart_items ci
-      LEFT JOIN products p ON ci.product_id = p.id
-      WHERE ci.user_id = $1
-      ORDER BY ci.created_at DESC
-    `, [user_id]);
+    const order = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        "SELECT * FROM delivery_orders WHERE id = $1 AND status = 'pending_verification' FOR UPDATE",
+        [req.params.id]
+      );
+
+      if (rows.length === 0) {
+        throw new OrderError(404, 'Заказ не найден или уже проверен');
+      }
+
+      if (decision === 'approve') {
+        const prescriptions = await getOrderPrescriptions(client, rows[0].id);
+        if (prescriptions.length === 0) {
+          throw new OrderError(409, 'К заказу не приложен рецепт');
+        }
+
+        const { rows: approved } = await client.query(
+          `UPDATE delivery_orders
+           SET status = 'pending', verified_by = $1, verified_at = CURRENT_TIMESTAMP, verification_note = $2
+           WHERE id = $3 RETURNING *`,
+          [req.userId, reason || null, rows[0].id]
+        );
+        await recordOrderStatus(client, rows[0].id, 'verified', reason || null);
+        return approved[0];
+      }
+
+      const { rows: rejected } = await client.query(
+        `UPDATE delivery_orders
+         SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP,
+             verified_by = $1, verified_at = CURRENT_TIMESTAMP, verification_note = $2
+         WHERE id = $3 RETURNING *`,
+        [req.userId, reason, rows[0].id]
+      );
+      await restoreOrderStock(client, rows[0].id);
+      await recordOrderStatus(client, rows[0].id, 'rejected', reason);
+      return rejected[0];
+    });
+
+    if (decision === 'approve') {
+      dispatchInBackground(req.db, order.id);
+    } else {
+      refundInBackground(req.db, order.id);
+    }
 
     res.json({
       success: true,
-      items: rows || [],
-      total: rows.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+      message: decision === 'approve'
+        ? (order.fulfillment_type === 'pickup' ? 'Рецепт подтвержден, заказ передан на сборку' : 'Рецепт подтвержден, заказ передан в доставку')
+        : 'Заказ отклонен',
+      order
     });
   } catch (err) {
-    console.error('❌ Ошибка получения корзины:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка сервера'
-    });
+    sendOrderError(res, err, 'Ошибка проверки рецепта');
   }
 });
 
-// Cart - Update quantity
-app.put('/api/cart/:itemId', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 PUT /api/cart/' + req.params.itemId);
-  const { quantity } = req.body;
-  
-  if (!quantity || quantity < 1) {
-    return res.status(400).json({
-      success: false,
-      error: 'Количество должно быть не менее 1'
-    });
+// Заказы на самовывоз собирает фармацевт аптеки: pending -> ready_for_pickup -> delivered (выдан по коду)
+const PICKUP_ORDER_STATUSES = ['pending', 'ready_for_pickup'];
+
+// Pharmacist - Pickup orders (?branch_id=, ?status=pending|ready_for_pickup)
+app.get('/api/pharmacist/pickup-orders', databaseMiddleware, validateUser, requireRole('pharmacist', 'admin'), async (req, res) => {
+  console.log('📨 GET /api/pharmacist/pickup-orders');
+  const status = req.query.status || 'pending';
+
+  if (!PICKUP_ORDER_STATUSES.includes(status)) {
+    return sendValidationErrors(res, { status: `Допустимые значения: ${PICKUP_ORDER_STATUSES.join(', ')}` });
   }
 
   try {
-    await req.db.query(
-      'UPDATE cart_items SET quantity = $1 WHERE id = $2 AND user_id = $3',
-      [quantity, req.params.itemId, req.userId]
+    const params = [status];
+    let branchFilter = '';
+
+    if (req.query.branch_id) {
+      params.push(parseInt(req.query.branch_id) || 0);
+      branchFilter = `AND o.pickup_branch_id = $${params.length}`;
+    }
+
+    const { rows } = await req.db.query(
+      `SELECT
+         o.id, o.order_code, o.status, o.customer_name, o.customer_phone, o.total_amount,
+         o.payment_method, o.payment_status, o.created_at, o.ready_at, o.pickup_branch_id,
+         b.name AS branch_name,
+         COALESCE((
+           SELECT json_agg(json_build_object(
+             'product_id', doi.product_id,
+             'name', doi.product_name,
+             'quantity', doi.quantity
+           ) ORDER BY doi.id)
+           FROM delivery_order_items doi
+           WHERE doi.delivery_order_id = o.id
+         ), '[]') AS items
+       FROM delivery_orders o
+       LEFT JOIN branches b ON b.id = o.pickup_branch_id
+       WHERE o.fulfillment_type = 'pickup' AND o.status = $1 AND ${ORDER_PAID_SQL} ${branchFilter}
+       ORDER BY o.created_at ASC
+       LIMIT 100`,
+      params
     );
 
     res.json({
       success: true,
-      message: 'Количество обновлено'
+      orders: rows
     });
   } catch (err) {
-    console.error('❌ Ошибка обновления корзины:', err);
+    console.error('❌ Ошибка получения заказов на самовывоз:', err);
     res.status(500).json({
       success: false,
-      error: 'Ошибка сервера'
+      error: 'Ошибка получения заказов на самовывоз: ' + err.message
     });
   }
 });
 
-// Cart - Remove item
-app.delete('/api/cart/:itemId', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 DELETE /api/cart/' + req.params.itemId);
-  
+// Pharmacist - Mark pickup order as ready (заказ собран и ждет покупателя)
+app.post('/api/pharmacist/orders/:id/ready', databaseMiddleware, validateUser, requireRole('pharmacist', 'admin'), validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/pharmacist/orders/' + req.params.id + '/ready');
+
   try {
-    await req.db.query(
-      'DELETE FROM cart_items WHERE id = $1 AND user_id = $2',
-      [req.params.itemId, req.userId]
-    );
+    const order = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        `UPDATE delivery_orders o
+         SET status = 'ready_for_pickup', ready_at = CURRENT_TIMESTAMP
+         WHERE o.id = $1 AND o.fulfillment_type = 'pickup' AND o.status = 'pending' AND ${ORDER_PAID_SQL}
+         RETURNING *`,
+        [req.params.id]
+      );
+
+      if (rows.length === 0) {
+        throw new OrderError(404, 'Заказ не найден или не ожидает сборки');
+      }
+
+      await recordOrderStatus(client, rows[0].id, 'ready_for_pickup');
+      return rows[0];
+    });
 
     res.json({
       success: true,
-      message: 'Товар удален из корзины'
+      message: 'Заказ готов к выдаче',
+      order
     });
   } catch (err) {
-    console.error('❌ Ошибка удаления из корзины:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка сервера'
-    });
+    sendOrderError(res, err, 'Ошибка смены статуса заказа');
   }
 });
 
-// Cart - Clear cart
-app.delete('/api/cart', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 DELETE /api/cart');
-  
+// Pharmacist - Hand over pickup order ({ pickup_code })
+app.post('/api/pharmacist/orders/:id/pickup', databaseMiddleware, validateUser, requireRole('pharmacist', 'admin'), validateIdParam, async (req, res) => {
+  console.log('📨 POST /api/pharmacist/orders/' + req.params.id + '/pickup');
+  const pickupCode = String(req.body.pickup_code || '').trim();
+
+  if (!pickupCode) {
+    return sendValidationErrors(res, { pickup_code: 'Поле обязательно' });
+  }
+
   try {
-    await req.db.query('DELETE FROM cart_items WHERE user_id = $1', [req.userId]);
+    const order = await withTransaction(req.db, async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM delivery_orders
+         WHERE id = $1 AND fulfillment_type = 'pickup' AND status = 'ready_for_pickup'
+         FOR UPDATE`,
+        [req.params.id]
+      );
+
+      if (rows.length === 0) {
+        throw new OrderError(404, 'Заказ не найден или не готов к выдаче');
+      }
+
+      if (rows[0].pickup_code !== pickupCode) {
+        throw new OrderError(400, 'Неверный код получения');
+      }
+
+      const { rows: updated } = await client.query(
+        `UPDATE delivery_orders
+         SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, picked_up_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [rows[0].id]
+      );
+
+      await recordOrderStatus(client, rows[0].id, 'delivered', 'Выдан в аптеке');
+      return updated[0];
+    });
 
     res.json({
       success: true,
-      message: 'Корзина очищена'
+      message: 'Заказ выдан',
+      order
     });
   } catch (err) {
-    console.error('❌ Ошибка очистки корзины:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка сервера'
-    });
+    sendOrderError(res, err, 'Ошибка выдачи заказа');
   }
 });
 
-// ==================== ORDER ROUTES ====================
-
-// Create order
-app.post('/api/orders/create', databaseMiddleware, validateUser, async (req, res) => {
-  console.log('📨 POST /api/orders/create');
-  
-  const {
-    product_id,
-    quantity,
-    total_amount,
-    customer_name,
-    customer_phone,
-    delivery_address,
-    customer_notes,
-    payment_method
-  } = req.body;
+// ==================== TELEGRAM BOT ROUTES ====================
 
-  if (!product_id || !quantity || !total_amount || !customer_name || !customer_phone || !delivery_address) {
-    return res.status(400).json({
-      success: false,
-      error: 'Все обязательные поля должны быть заполнены'
-    });
-  }
+// TELEGRAM_API_URL позволяет направить бота на локальную заглушку Telegram API в тестах
+const TELEGRAM_API_URL = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || null;
+
+// Статусы, которые администратор может выставить из Telegram, и из каких статусов.
+// Доставку подтверждает только курьер: при завершении ему начисляется заработок.
+const TELEGRAM_STATUS_TRANSITIONS = {
+  pending: ['assigned'],
+  cancelled: ['pending', 'pending_verification', 'assigned', 'ready_for_pickup']
+};
+
+function getTelegramConfig() {
+  return {
+    botToken: process.env.TELEGRAM_BOT_TOKEN,
+    chatId: process.env.TELEGRAM_CHAT_ID
+  };
+}
 
-  try {
-    // Генерируем уникальный код заказа
-    const orderCode = 'D-' + Date.now().toString().slice(-8);
-    
-    // Создаем заказ
-    const { rows: orderRows } = await req.db.query(
-      `INSERT INTO delivery_orders (
-        order_code, user_id, total_amount, delivery_address, 
-        customer_name, customer_phone, customer_notes, payment_method
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
-      [orderCode, req.userId, total_amount, delivery_address, customer_name, customer_phone, customer_notes, payment_method]
-    );
+// Экранирование для parse_mode 'Markdown': пользовательский текст не должен ломать разметку
+function escapeTelegramMarkdown(text) {
+  return String(text == null ? '' : text).replace(/([_*`\[])/g, '\\$1');
+}
 
-    const order = orderRows[0];
+async function callTelegram(method, payload) {
+  const { botToken } = getTelegramConfig();
 
-    // Получаем информацию о товаре
-    const { rows: productRows } = await req.db.query(
-      'SELECT * FROM products WHERE id = $1',
-      [product_id]
-    );
+  const response = await fetch(`${TELEGRAM_API_URL}/bot${botToken}/${method}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload)
+  });
 
-    if (productRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Товар не найден'
-      });
-    }
+  const data = await response.json();
 
-    const product = productRows[0];
+  if (!response.ok || !data.ok) {
+    console.error('❌ Telegram API error:', data);
+    throw new Error(`Telegram error: ${data.description || 'Unknown error'}`);
+  }
 
-    // Добавляем товар в заказ
-    await req.db.query(
-      `INSERT INTO delivery_order_items (
-        delivery_order_id, product_id, product_name, quantity, unit_price, total_price
-      ) VALUES ($1, $2, $3, $4, $5, $6)`,
-      [order.id, product.id, product.name, quantity, product.price, total_amount]
-    );
+  return data.result;
+}
 
-    console.log('✅ Заказ успешно создан:', order.id);
+function sendTelegramMessage(chatId, text, extra = {}) {
+  return callTelegram('sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'Markdown',
+    ...extra
+  });
+}
 
-    res.json({
-      success: true,
-      message: 'Заказ успешно создан',
-      order: order
-    });
+// Чат поддержки пользователя: у курьера - его служебный чат, у покупателя - чат по user_id
+async function ensureSupportChat(dbClient, userId) {
+  const { rows: couriers } = await dbClient.query('SELECT id FROM couriers WHERE user_id = $1', [userId]);
+  const courierId = couriers.length > 0 ? couriers[0].id : null;
+
+  const { rows } = await dbClient.query(
+    `SELECT id FROM courier_chats
+     WHERE delivery_order_id IS NULL
+       AND (courier_id = $1 OR (courier_id IS NULL AND user_id = $2))
+     ORDER BY is_active DESC, id
+     LIMIT 1`,
+    [courierId, userId]
+  );
 
-  } catch (err) {
-    console.error('❌ Ошибка создания заказа:', err);
-    res.status(500).json({
-      success: false,
-      error: 'Ошибка создания заказа: ' + err.message
-    });
+  if (rows.length > 0) {
+    await dbClient.query('UPDATE courier_chats SET is_active = true WHERE id = $1', [rows[0].id]);
+    return { chatId: rows[0].id, role: courierId ? 'courier' : 'customer' };
   }
-});
 
-// ==================== TELEGRAM BOT ROUTES ====================
+  const { rows: created } = await dbClient.query(
+    `INSERT INTO courier_chats (courier_id, user_id, is_active, last_message_at)
+     VALUES ($1, $2, true, CURRENT_TIMESTAMP)
+     RETURNING id`,
+    [courierId, courierId ? null : userId]
+  );
+  return { chatId: created[0].id, role: courierId ? 'courier' : 'customer' };
+}
+
+async function addChatMessage(dbClient, chatId, { senderType, senderName, senderUserId, message }) {
+  const { rows } = await dbClient.query(
+    `INSERT INTO courier_chat_messages (chat_id, sender_type, sender_name, sender_user_id, message)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [chatId, senderType, senderName, senderUserId, message]
+  );
+
+  await dbClient.query(
+    'UPDATE courier_chats SET last_message = $1, last_message_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [message, chatId]
+  );
+
+  return rows[0];
+}
 
 // Telegram - Send message to admin
 app.post('/api/telegram/send-message', databaseMiddleware, async (req, res) => {
   console.log('📨 POST /api/telegram/send-message');
   
-  const { message, user_id } = req.body;
+  const { message } = req.body;
   
   if (!message) {
     return res.status(400).json({
@@ -1887,9 +9347,15 @@ app.post('/api/telegram/send-message', databaseMiddleware, async (req, res) => {
   }
 
   try {
+    // Авторизация необязательна: анонимные сообщения тоже принимаются, но ответить на них нельзя
+    const session = await resolveSession(req);
+    const user_id = session ? session.userId : null;
+
     // Получаем данные пользователя
     let userInfo = 'Пользователь не авторизован';
     let courierInfo = 'Курьер не зарегистрирован';
+    let senderName = null;
+    let supportChat = null;
 
     if (user_id) {
       const { rows: userRows } = await req.db.query(
@@ -1899,7 +9365,8 @@ app.post('/api/telegram/send-message', databaseMiddleware, async (req, res) => {
 
       if (userRows.length > 0) {
         const user = userRows[0];
-        userInfo = `👤 Пользователь: ${user.first_name || ''} ${user.last_name || ''} (${user.email || 'нет email'})`;
+        senderName = `${user.first_name || ''} ${user.last_name || ''}`.trim();
+        userInfo = `👤 Пользователь: ${escapeTelegramMarkdown(senderName)} (${escapeTelegramMarkdown(user.email || 'нет email')})`;
       }
 
       // Получаем данные курьера
@@ -1910,15 +9377,24 @@ app.post('/api/telegram/send-message', databaseMiddleware, async (req, res) => {
 
       if (courierRows.length > 0) {
         const courier = courierRows[0];
-        courierInfo = `🚴 Курьер: ${courier.first_name} ${courier.last_name} (${courier.courier_code})`;
+        courierInfo = `🚴 Курьер: ${escapeTelegramMarkdown(`${courier.first_name} ${courier.last_name} (${courier.courier_code})`)}`;
       }
+
+      // Сообщение сохраняется в чате поддержки, туда же придет ответ администратора
+      supportChat = await ensureSupportChat(req.db, user_id);
+      await addChatMessage(req.db, supportChat.chatId, {
+        senderType: supportChat.role,
+        senderName: senderName || CHAT_SENDER_NAMES[supportChat.role],
+        senderUserId: user_id,
+        message
+      });
     }
 
-    const fullMessage = `📱 *Новое сообщение из приложения ФармаПлюс*\n\n${userInfo}\n${courierInfo}\n\n💬 *Сообщение:* ${message}\n\n⏰ ${new Date().toLocaleString('ru-RU')}`;
+    const replyHint = supportChat ? '\n\n↩️ _Ответьте на это сообщение, чтобы написать пользователю_' : '';
+    const fullMessage = `📱 *Новое сообщение из приложения ФармаПлюс*\n\n${userInfo}\n${courierInfo}\n\n💬 *Сообщение:* ${escapeTelegramMarkdown(message)}\n\n⏰ ${new Date().toLocaleString('ru-RU')}${replyHint}`;
 
     // Отправляем в Telegram
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
-    const chatId = process.env.TELEGRAM_CHAT_ID;
+    const { botToken, chatId } = getTelegramConfig();
 
     if (!botToken || !chatId) {
       console.log('⚠️ Telegram credentials not set, using demo mode');
@@ -1928,27 +9404,21 @@ app.post('/api/telegram/send-message', databaseMiddleware, async (req, res) => {
       return res.json({
         success: true,
         message: 'Сообщение отправлено (демо-режим)',
+        chat_id: supportChat ? supportChat.chatId : null,
         demo: true
       });
     }
 
-    const telegramResponse = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: fullMessage,
-        parse_mode: 'Markdown'
-      })
-    });
-
-    const telegramData = await telegramResponse.json();
+    const telegramMessage = await sendTelegramMessage(chatId, fullMessage);
 
-    if (!telegramResponse.ok) {
-      console.error('❌ Telegram API error:', telegramData);
-      throw new Error(`Telegram error: ${telegramData.description || 'Unknown error'}`);
+    // Запоминаем, кому отвечать, если администратор ответит на это сообщение
+    if (supportChat) {
+      await req.db.query(
+        `INSERT INTO telegram_message_links (telegram_chat_id, telegram_message_id, user_id, chat_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (telegram_chat_id, telegram_message_id) DO NOTHING`,
+        [telegramMessage.chat.id, telegramMessage.message_id, user_id, supportChat.chatId]
+      );
     }
 
     console.log('✅ Сообщение отправлено в Telegram');
@@ -1956,7 +9426,8 @@ app.post('/api/telegram/send-message', databaseMiddleware, async (req, res) => {
     res.json({
       success: true,
       message: 'Сообщение отправлено администратору',
-      telegram: telegramData
+      chat_id: supportChat ? supportChat.chatId : null,
+      telegram: telegramMessage
     });
 
   } catch (err) {
@@ -1968,6 +9439,164 @@ app.post('/api/telegram/send-message', databaseMiddleware, async (req, res) => {
   }
 });
 
+function formatTelegramOrder(order) {
+  const lines = [
+    `📦 *Заказ ${escapeTelegramMarkdown(order.order_code)}*`,
+    `Статус: ${escapeTelegramMarkdown(order.status)}`,
+    `Покупатель: ${escapeTelegramMarkdown(order.customer_name || '—')}, ${escapeTelegramMarkdown(order.customer_phone || '—')}`,
+    `Адрес: ${escapeTelegramMarkdown(order.delivery_address || '—')}`,
+    `Сумма: ${escapeTelegramMarkdown(order.total_amount)} ₽`,
+    `Курьер: ${escapeTelegramMarkdown(order.courier_name || 'не назначен')}`,
+    `Создан: ${new Date(order.created_at).toLocaleString('ru-RU')}`
+  ];
+  return lines.join('\n');
+}
+
+async function findOrderByCode(dbClient, orderCode) {
+  const { rows } = await dbClient.query(
+    `SELECT o.*, NULLIF(TRIM(CONCAT(c.first_name, ' ', c.last_name)), '') AS courier_name
+     FROM delivery_orders o
+     LEFT JOIN couriers c ON c.id = o.courier_id
+     WHERE o.order_code = $1`,
+    [orderCode]
+  );
+  return rows[0] || null;
+}
+
+// Смена статуса заказа администратором; возвращает текст ответа для Telegram
+async function changeOrderStatusFromTelegram(pool, orderCode, status, note) {
+  const allowedFrom = TELEGRAM_STATUS_TRANSITIONS[status];
+  if (!allowedFrom) {
+    return `❌ Статус можно изменить только на: ${Object.keys(TELEGRAM_STATUS_TRANSITIONS).join(', ')}`;
+  }
+
+  const updated = await withTransaction(pool, async (client) => {
+    let query;
+    if (status === 'pending') {
+      // Снимаем курьера, заказ возвращается в общий пул
+      query = `UPDATE delivery_orders SET status = 'pending', courier_id = NULL, assigned_at = NULL
+               WHERE order_code = $1 AND status = ANY($2) RETURNING *`;
+    } else {
+      query = `UPDATE delivery_orders SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+               WHERE order_code = $1 AND status = ANY($2) RETURNING *`;
+    }
+
+    const { rows } = await client.query(query, [orderCode, allowedFrom]);
+    if (rows.length === 0) return null;
+
+    if (status === 'cancelled') {
+      await restoreOrderStock(client, rows[0].id);
+    }
+    await recordOrderStatus(client, rows[0].id, status, note);
+    return rows[0];
+  });
+
+  if (!updated) {
+    const order = await findOrderByCode(pool, orderCode);
+    if (!order) return `❌ Заказ ${escapeTelegramMarkdown(orderCode)} не найден`;
+    return `❌ Нельзя перевести заказ из статуса ${escapeTelegramMarkdown(order.status)} в ${escapeTelegramMarkdown(status)}`;
+  }
+
+  if (status === 'pending') {
+    dispatchInBackground(pool, updated.id);
+  } else if (status === 'cancelled') {
+    refundInBackground(pool, updated.id);
+  }
+
+  return `✅ Заказ ${escapeTelegramMarkdown(orderCode)}: статус изменен на ${escapeTelegramMarkdown(status)}`;
+}
+
+async function handleTelegramCommand(pool, text) {
+  const [command, ...args] = text.trim().split(/\s+/);
+  // В группах команды приходят как /order@bot_name
+  const name = command.split('@')[0].toLowerCase();
+
+  if (name === '/order') {
+    if (!args[0]) return 'Использование: /order <код заказа>';
+    const order = await findOrderByCode(pool, args[0]);
+    return order ? formatTelegramOrder(order) : `❌ Заказ ${escapeTelegramMarkdown(args[0])} не найден`;
+  }
+
+  if (name === '/status') {
+    if (args.length < 2) return 'Использование: /status <код заказа> <статус> [комментарий]';
+    const note = args.slice(2).join(' ') || 'Изменено администратором через Telegram';
+    return changeOrderStatusFromTelegram(pool, args[0], args[1].toLowerCase(), note);
+  }
+
+  return [
+    'Команды:',
+    '/order <код> - информация о заказе',
+    `/status <код> <${Object.keys(TELEGRAM_STATUS_TRANSITIONS).join('|')}> [комментарий] - сменить статус`,
+    'Чтобы ответить пользователю, ответьте (reply) на его сообщение'
+  ].join('\n');
+}
+
+// Ответ администратора на пересланное сообщение доставляется в чат поддержки пользователя
+async function handleTelegramReply(pool, message) {
+  const { rows } = await pool.query(
+    `SELECT * FROM telegram_message_links
+     WHERE telegram_chat_id = $1 AND telegram_message_id = $2`,
+    [message.chat.id, message.reply_to_message.message_id]
+  );
+
+  if (rows.length === 0) {
+    return '❌ Не удалось определить получателя: ответьте на сообщение пользователя';
+  }
+
+  await addChatMessage(pool, rows[0].chat_id, {
+    senderType: 'support',
+    senderName: CHAT_SENDER_NAMES.support,
+    senderUserId: null,
+    message: message.text
+  });
+
+  return '✅ Ответ доставлен пользователю';
+}
+
+async function handleTelegramUpdate(pool, update) {
+  const message = update.message;
+  if (!message || !message.text) return;
+
+  // Бот принимает команды и ответы только из чата администраторов
+  const { chatId } = getTelegramConfig();
+  if (String(message.chat.id) !== String(chatId)) {
+    console.log('⚠️ Telegram update из неизвестного чата:', message.chat.id);
+    return;
+  }
+
+  let reply = null;
+  if (message.text.startsWith('/')) {
+    reply = await handleTelegramCommand(pool, message.text);
+  } else if (message.reply_to_message) {
+    reply = await handleTelegramReply(pool, message);
+  }
+
+  if (reply) {
+    await sendTelegramMessage(message.chat.id, reply, { reply_to_message_id: message.message_id });
+  }
+}
+
+// Telegram - Webhook for incoming updates (setWebhook с secret_token = TELEGRAM_WEBHOOK_SECRET)
+app.post('/api/telegram/webhook', databaseMiddleware, async (req, res) => {
+  console.log('📨 POST /api/telegram/webhook');
+
+  if (!TELEGRAM_WEBHOOK_SECRET || req.get('X-Telegram-Bot-Api-Secret-Token') !== TELEGRAM_WEBHOOK_SECRET) {
+    return res.status(401).json({
+      success: false,
+      error: 'Неверный секрет вебхука'
+    });
+  }
+
+  try {
+    await handleTelegramUpdate(req.db, req.body);
+  } catch (err) {
+    // Telegram повторяет доставку при ошибке, поэтому сбой обработки только логируем
+    console.error('❌ Ошибка обработки Telegram update:', err);
+  }
+
+  res.json({ success: true });
+});
+
 // ==================== STATIC ROUTES ====================
 
 app.get('/', (req, res) => {
@@ -2010,6 +9639,10 @@ app.get('/admin', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'netuDostup.html'));
 });
 
+app.get('/admin/cash', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'cash.html'));
+});
+
 app.get('/map', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'map.html'));
 });
@@ -2036,6 +9669,11 @@ async function startServer() {
   try {
     await initializeDatabase();
     
+    // Периодический проход диспетчера и отмена неоплаченных заказов
+    setInterval(() => {
+      runBackgroundJobs(db);
+    }, DISPATCH_INTERVAL * 1000);
+    
     app.listen(PORT, () => {
       console.log(`\n🚀 Сервер запущен на порту ${PORT}`);
       console.log(`📍 http://localhost:${PORT}`);
@@ -2047,6 +9685,8 @@ async function startServer() {
       console.log(`   POST /api/auth/google/complete - Завершение Google регистрации`);
       console.log(`   POST /api/auth/register - Обычная регистрация`);
       console.log(`   POST /api/auth/login - Вход`);
+      console.log(`   POST /api/auth/refresh - Обновление токена сессии`);
+      console.log(`   POST /api/auth/logout - Выход (отзыв сессии)`);
       console.log(`   GET  /api/auth/me - Получение данных пользователя`);
       console.log(`\n📋 Курьерские endpoints:`);
       console.log(`   POST /api/courier/register - Регистрация курьера`);
@@ -2070,6 +9710,22 @@ async function startServer() {
 // For Vercel
 module.exports = app;
 
+// Диспетчер можно проверить на локальной БД с тестовыми данными:
+// DATABASE_URL=... DATABASE_SSL=false, затем require('./server').dispatcher
+module.exports.dispatcher = { findDispatchCandidates, dispatchOrder, runDispatchCycle, initializeDatabase };
+
+// Бот проверяется против заглушки Telegram API: TELEGRAM_API_URL=http://localhost:<port>
+module.exports.telegram = { handleTelegramUpdate, escapeTelegramMarkdown };
+
+// Платежи проверяются с PAYMENT_PROVIDER=mock; методы провайдера можно подменить, чтобы изобразить сбой
+module.exports.payments = { PAYMENT_PROVIDERS };
+
+// Резерв и возврат остатков вызываются в транзакции: client — соединение из пула после BEGIN
+module.exports.stock = { reserveStock, restoreOrderStock };
+
+// Начисление за доставку вызывается повторно, чтобы проверить, что журнал не получает дублей
+module.exports.earnings = { recordDeliveryEarnings };
+
 // For local development
 if (require.main === module) {
   startServer();
@@ -0,0 +1,118 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers/database');
+
+const SEED = fs.readFileSync(path.join(__dirname, 'fixtures', 'dispatch-seed.sql'), 'utf8');
+
+// Среда, 12:00 по Москве — внутри дневных смен из dispatch-seed.sql
+const NOW = new Date('2026-03-04T09:00:00Z');
+const OFFER_TIMEOUT_MS = 60 * 1000;
+
+function at(date, ms) {
+  return new Date(date.getTime() + ms);
+}
+
+let testServer;
+let dispatcher;
+let db;
+
+before(async () => {
+  testServer = await startTestServer({ DISPATCH_OFFER_TIMEOUT: '60', DISPATCH_TIMEZONE: 'Europe/Moscow' });
+  ({ dispatcher } = testServer.server);
+  db = testServer.db;
+  await db.query(SEED);
+});
+
+after(async () => {
+  await testServer.stop();
+});
+
+beforeEach(async () => {
+  await db.query('DELETE FROM delivery_order_offers');
+  await db.query("UPDATE delivery_orders SET status = 'pending', courier_id = NULL");
+});
+
+async function getOrder(id) {
+  const { rows } = await db.query('SELECT * FROM delivery_orders WHERE id = $1', [id]);
+  return rows[0];
+}
+
+async function getOffers(orderId) {
+  const { rows } = await db.query(
+    'SELECT courier_id, status, offered_at, expires_at FROM delivery_order_offers WHERE delivery_order_id = $1 ORDER BY id',
+    [orderId]
+  );
+  return rows;
+}
+
+test('findDispatchCandidates ставит ближайшего курьера первым', async () => {
+  const candidates = await dispatcher.findDispatchCandidates(db, await getOrder(1), NOW);
+
+  // 4 — вне смены, 5 — не на линии, 6 — заявка не одобрена
+  assert.deepEqual(candidates.map(c => c.id), [1, 2, 3]);
+  assert.ok(candidates[0].distance_km < 0.2, `ближний курьер в ${candidates[0].distance_km} км`);
+  assert.ok(candidates[1].distance_km < candidates[2].distance_km);
+});
+
+test('findDispatchCandidates берет адрес профиля вместо устаревшей GPS-точки', async () => {
+  const candidates = await dispatcher.findDispatchCandidates(db, await getOrder(1), NOW);
+  const stale = candidates.find(c => c.id === 3);
+
+  assert.ok(stale.distance_km > 15, `курьер с устаревшей точкой в ${stale.distance_km} км`);
+});
+
+test('findDispatchCandidates учитывает окно смены в часовом поясе диспетчера', async () => {
+  const order = await getOrder(1);
+  const ids = async (now) => (await dispatcher.findDispatchCandidates(db, order, now)).map(c => c.id);
+
+  // 08:59 по Москве — дневные смены еще не начались
+  assert.deepEqual(await ids(new Date('2026-03-04T05:59:00Z')), []);
+  // 09:00 по Москве — начало смены входит в окно
+  assert.deepEqual((await ids(new Date('2026-03-04T06:00:00Z'))).sort(), [1, 2, 3]);
+  // 19:00 по Москве — вечерняя смена курьера 4 идет, GPS у всех устарела
+  assert.ok((await ids(new Date('2026-03-04T16:00:00Z'))).includes(4));
+  // 23:00 по Москве — все смены закончились
+  assert.deepEqual(await ids(new Date('2026-03-04T20:00:00Z')), []);
+  // вторник, 12:00 по Москве — у курьера 4 есть дневная смена
+  assert.deepEqual(await ids(new Date('2026-03-03T09:00:00Z')), [4]);
+});
+
+test('runDispatchCycle предлагает заказ ближайшему курьеру и пропускает неоплаченный', async () => {
+  const offers = await dispatcher.runDispatchCycle(db, NOW);
+
+  assert.equal(offers.length, 1);
+  assert.equal(offers[0].delivery_order_id, 1);
+  assert.equal(offers[0].courier_id, 1);
+  assert.equal(new Date(offers[0].expires_at).getTime(), NOW.getTime() + OFFER_TIMEOUT_MS);
+  assert.deepEqual(await getOffers(2), []);
+});
+
+test('runDispatchCycle после таймаута передает заказ следующему кандидату', async () => {
+  await dispatcher.runDispatchCycle(db, NOW);
+
+  // пока предложение действует, повторный проход ничего не меняет
+  assert.deepEqual(await dispatcher.runDispatchCycle(db, at(NOW, 30 * 1000)), []);
+
+  const second = await dispatcher.runDispatchCycle(db, at(NOW, OFFER_TIMEOUT_MS));
+  assert.deepEqual(second.map(o => o.courier_id), [2]);
+
+  const third = await dispatcher.runDispatchCycle(db, at(NOW, 2 * OFFER_TIMEOUT_MS));
+  assert.deepEqual(third.map(o => o.courier_id), [3]);
+
+  // кандидаты закончились: повторно заказ никому не предлагается
+  assert.deepEqual(await dispatcher.runDispatchCycle(db, at(NOW, 3 * OFFER_TIMEOUT_MS)), []);
+
+  assert.deepEqual(
+    (await getOffers(1)).map(o => [o.courier_id, o.status]),
+    [[1, 'expired'], [2, 'expired'], [3, 'expired']]
+  );
+});
+
+test('runDispatchCycle не трогает назначенный заказ', async () => {
+  await db.query("UPDATE delivery_orders SET status = 'accepted', courier_id = 1 WHERE id = 1");
+
+  assert.deepEqual(await dispatcher.runDispatchCycle(db, NOW), []);
+  assert.deepEqual(await getOffers(1), []);
+});
@@ -0,0 +1,216 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/database');
+const { listen, registerUser } = require('./helpers/http');
+
+// Тариф по умолчанию из миграций: 150 ₽ за доставку, 3 км включены, дальше 15 ₽/км
+const BASE_FEE = 150;
+const ROUTE_KM = 5;
+const DISTANCE_FEE = (ROUTE_KM - 3) * 15;
+
+let testServer;
+let api;
+let db;
+let earnings;
+let admin;
+let nextOrderNumber = 1;
+
+before(async () => {
+  testServer = await startTestServer();
+  ({ earnings } = testServer.server);
+  db = testServer.db;
+  api = await listen(testServer.server);
+
+  admin = await registerUser(api, 'money_admin');
+  await db.query("UPDATE users SET role = 'admin' WHERE id = $1", [admin.user.id]);
+});
+
+after(async () => {
+  await api.close();
+  await testServer.stop();
+});
+
+// Журнал только дописывается, поэтому у каждого теста свой курьер
+async function createCourier(username) {
+  const courier = await registerUser(api, username);
+  const { rows: [row] } = await db.query(
+    `INSERT INTO couriers (user_id, first_name, courier_code, status, application_status)
+     VALUES ($1, 'Курьер', $2, 'active', 'approved') RETURNING id`,
+    [courier.user.id, username.toUpperCase()]
+  );
+  return { ...courier, id: row.id };
+}
+
+// Заказ, принятый курьером по предложению на ROUTE_KM км
+async function assignedOrder(courier, { total = 500, paymentMethod = 'cash' } = {}) {
+  const { rows: [order] } = await db.query(
+    `INSERT INTO delivery_orders (order_code, total_amount, delivery_address, customer_name, customer_phone,
+                                  payment_method, payment_status, status, courier_id)
+     VALUES ($1, $2, 'Москва, ул. Тверская, 1', 'Покупатель', '+79990000000', $3, $4, 'assigned', $5)
+     RETURNING *`,
+    [`MONEY-${nextOrderNumber++}`, total, paymentMethod, paymentMethod === 'cash' ? 'not_required' : 'paid', courier.id]
+  );
+  await db.query(
+    `INSERT INTO delivery_order_offers (delivery_order_id, courier_id, status, distance_km, expires_at, responded_at)
+     VALUES ($1, $2, 'accepted', $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [order.id, courier.id, ROUTE_KM]
+  );
+  return order;
+}
+
+function completeOrder(courier, orderId, cashReceived) {
+  return api.request('POST', '/api/courier/orders/complete', {
+    token: courier.token,
+    body: { order_id: orderId, cash_received: cashReceived }
+  });
+}
+
+async function getEarnings(courier) {
+  const response = await api.request('GET', '/api/courier/earnings?period=month', { token: courier.token });
+  assert.equal(response.status, 200, response.text);
+  return response.body.earnings;
+}
+
+async function ledgerEntries(courierId) {
+  const { rows } = await db.query(
+    'SELECT entry_type, amount::float AS amount FROM courier_earnings WHERE courier_id = $1 ORDER BY id',
+    [courierId]
+  );
+  return rows.map(row => [row.entry_type, row.amount]);
+}
+
+test('начисление за доставку записывается один раз, даже при повторном и параллельном вызове', async () => {
+  const courier = await createCourier('money_courier_1');
+  const order = await assignedOrder(courier, { paymentMethod: 'card' });
+
+  const completed = await completeOrder(courier, order.id);
+  assert.equal(completed.status, 200, completed.text);
+  assert.equal(completed.body.earnings, BASE_FEE + DISTANCE_FEE);
+
+  const retry = async () => {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const recorded = await earnings.recordDeliveryEarnings(client, order, courier.id);
+      await client.query('COMMIT');
+      return recorded;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+  const retried = await Promise.all([retry(), retry()]);
+  assert.deepEqual(retried, [[], []]);
+
+  assert.deepEqual(await ledgerEntries(courier.id), [['base', BASE_FEE], ['distance', DISTANCE_FEE]]);
+  assert.equal((await getEarnings(courier)).balance, BASE_FEE + DISTANCE_FEE);
+});
+
+test('пакет выплат забирает весь баланс курьера', async () => {
+  const courier = await createCourier('money_courier_2');
+  const completed = await completeOrder(courier, (await assignedOrder(courier, { paymentMethod: 'card' })).id);
+  assert.equal(completed.status, 200, completed.text);
+
+  for (const [entryType, amount] of [['bonus', 50], ['penalty', 20]]) {
+    const adjustment = await api.request('POST', `/api/admin/couriers/${courier.id}/earnings`, {
+      token: admin.token,
+      body: { entry_type: entryType, amount, description: 'Корректировка' }
+    });
+    assert.equal(adjustment.status, 201, adjustment.text);
+  }
+  const balance = BASE_FEE + DISTANCE_FEE + 50 - 20;
+  assert.equal((await getEarnings(courier)).balance, balance);
+
+  const payout = await api.request('POST', '/api/admin/payouts', { token: admin.token, body: { courier_ids: [courier.id] } });
+  assert.equal(payout.status, 201, payout.text);
+  assert.equal(parseFloat(payout.body.payout.total_amount), balance);
+  assert.equal(payout.body.payout.couriers_count, 1);
+
+  const pending = await getEarnings(courier);
+  assert.equal(pending.balance, 0);
+  assert.equal(pending.pending_payout, balance);
+  assert.equal(pending.total_earnings, balance);
+
+  // выплачивать больше нечего
+  const empty = await api.request('POST', '/api/admin/payouts', { token: admin.token, body: { courier_ids: [courier.id] } });
+  assert.equal(empty.status, 409);
+
+  const paid = await api.request('POST', `/api/admin/payouts/${payout.body.payout.id}/paid`, { token: admin.token });
+  assert.equal(paid.status, 200, paid.text);
+
+  const settled = await getEarnings(courier);
+  assert.equal(settled.pending_payout, 0);
+  assert.equal(settled.paid_out, balance);
+  assert.deepEqual((await ledgerEntries(courier.id)).at(-1), ['payout', -balance]);
+});
+
+test('записи журнала нельзя изменить или удалить', async () => {
+  const courier = await createCourier('money_courier_3');
+  await completeOrder(courier, (await assignedOrder(courier, { paymentMethod: 'card' })).id);
+
+  await assert.rejects(
+    db.query('UPDATE courier_earnings SET amount = 1000000 WHERE courier_id = $1', [courier.id]),
+    /записи журнала начислений нельзя изменять или удалять/
+  );
+  await assert.rejects(
+    db.query('DELETE FROM courier_earnings WHERE courier_id = $1', [courier.id]),
+    /записи журнала начислений нельзя изменять или удалять/
+  );
+
+  assert.deepEqual(await ledgerEntries(courier.id), [['base', BASE_FEE], ['distance', DISTANCE_FEE]]);
+});
+
+test('сдача наличных закрывает заказы и сохраняет расхождение', async () => {
+  const courier = await createCourier('money_courier_4');
+  const exact = await assignedOrder(courier, { total: 500 });
+  const short = await assignedOrder(courier, { total: 300 });
+
+  const missingCash = await completeOrder(courier, exact.id);
+  assert.equal(missingCash.status, 400);
+
+  const first = await completeOrder(courier, exact.id, 500);
+  assert.equal(first.status, 200, first.text);
+  assert.equal(first.body.cash_discrepancy, 0);
+
+  const second = await completeOrder(courier, short.id, 250);
+  assert.equal(second.status, 200, second.text);
+  assert.equal(second.body.cash_discrepancy, -50);
+
+  const onHand = await api.request('GET', '/api/courier/cash', { token: courier.token });
+  assert.equal(onHand.status, 200, onHand.text);
+  assert.deepEqual(onHand.body.cash, {
+    orders_count: 2,
+    cash_on_hand: 750,
+    amount_due: 800,
+    discrepancy: -50,
+    flagged_orders: 1
+  });
+
+  // в кассу сдано на 10 ₽ меньше, чем курьер получил от покупателей
+  const handover = await api.request('POST', `/api/admin/cash/couriers/${courier.id}/handover`, {
+    token: admin.token,
+    body: { received_amount: 740, note: 'Сверка смены' }
+  });
+  assert.equal(handover.status, 201, handover.text);
+  assert.equal(handover.body.message, 'Наличные приняты с расхождением -10 ₽');
+  assert.equal(parseFloat(handover.body.handover.expected_amount), 750);
+  assert.equal(parseFloat(handover.body.handover.discrepancy), -10);
+  assert.equal(handover.body.handover.orders_count, 2);
+
+  const { rows: closed } = await db.query(
+    'SELECT COUNT(*)::int AS count FROM delivery_orders WHERE cash_handover_id = $1',
+    [handover.body.handover.id]
+  );
+  assert.equal(closed[0].count, 2);
+
+  const afterHandover = await api.request('GET', '/api/courier/cash', { token: courier.token });
+  assert.equal(afterHandover.body.cash.cash_on_hand, 0);
+
+  const repeated = await api.request('POST', `/api/admin/cash/couriers/${courier.id}/handover`, {
+    token: admin.token,
+    body: { received_amount: 740 }
+  });
+  assert.equal(repeated.status, 409);
+});
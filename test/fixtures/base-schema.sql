@@ -0,0 +1,146 @@
+-- Исходная схема Neon: таблицы, которые server.js не создает, а только дополняет миграциями
+-- (schemaMigrations). Тестовая база создается из этого файла, затем initializeDatabase применяет миграции.
+
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  middle_name VARCHAR(100),
+  username VARCHAR(100) UNIQUE,
+  email VARCHAR(255) UNIQUE,
+  password VARCHAR(255),
+  phone VARCHAR(50),
+  avatar TEXT,
+  google_id VARCHAR(255),
+  email_verified BOOLEAN DEFAULT false,
+  login_count INTEGER DEFAULT 0,
+  last_login TIMESTAMP,
+  delivery_address TEXT,
+  delivery_latitude DECIMAL(10, 8),
+  delivery_longitude DECIMAL(11, 8),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE user_addresses (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  address TEXT NOT NULL,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  address_type VARCHAR(20) DEFAULT 'delivery',
+  is_default BOOLEAN DEFAULT false
+);
+
+CREATE TABLE categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  image TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE products (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  price DECIMAL(10, 2) NOT NULL,
+  image TEXT,
+  category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+  manufacturer VARCHAR(255),
+  in_stock BOOLEAN DEFAULT true,
+  is_new BOOLEAN DEFAULT false,
+  is_popular BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE cart_items (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, product_id)
+);
+
+CREATE TABLE couriers (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  phone VARCHAR(50),
+  vehicle_type VARCHAR(50),
+  vehicle_number VARCHAR(50),
+  courier_code VARCHAR(50) UNIQUE,
+  status VARCHAR(20) DEFAULT 'offline',
+  rating DECIMAL(3, 2) DEFAULT 5.0,
+  completed_orders INTEGER DEFAULT 0,
+  total_earnings DECIMAL(10, 2) DEFAULT 0,
+  last_activity TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE courier_work_schedule (
+  id SERIAL PRIMARY KEY,
+  courier_id INTEGER NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+  day_of_week INTEGER NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  is_active BOOLEAN DEFAULT true
+);
+
+CREATE TABLE delivery_orders (
+  id SERIAL PRIMARY KEY,
+  order_code VARCHAR(50) UNIQUE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  courier_id INTEGER REFERENCES couriers(id) ON DELETE SET NULL,
+  total_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  delivery_address TEXT,
+  customer_name VARCHAR(255),
+  customer_phone VARCHAR(50),
+  customer_notes TEXT,
+  payment_method VARCHAR(20) DEFAULT 'cash',
+  status VARCHAR(50) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP,
+  cancelled_at TIMESTAMP
+);
+
+CREATE TABLE delivery_order_items (
+  id SERIAL PRIMARY KEY,
+  delivery_order_id INTEGER NOT NULL REFERENCES delivery_orders(id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+  product_name VARCHAR(255),
+  quantity INTEGER NOT NULL,
+  unit_price DECIMAL(10, 2) NOT NULL,
+  total_price DECIMAL(10, 2) NOT NULL
+);
+
+CREATE TABLE courier_chats (
+  id SERIAL PRIMARY KEY,
+  courier_id INTEGER NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+  last_message TEXT,
+  last_message_at TIMESTAMP,
+  unread_count INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE courier_chat_messages (
+  id SERIAL PRIMARY KEY,
+  chat_id INTEGER NOT NULL REFERENCES courier_chats(id) ON DELETE CASCADE,
+  sender_type VARCHAR(20) NOT NULL,
+  sender_name VARCHAR(255),
+  message TEXT NOT NULL,
+  is_read BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE courier_messages (
+  id SERIAL PRIMARY KEY,
+  courier_id INTEGER NOT NULL REFERENCES couriers(id) ON DELETE CASCADE,
+  title VARCHAR(255),
+  message TEXT NOT NULL,
+  message_type VARCHAR(50),
+  is_read BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,53 @@
+-- Данные для тестов диспетчера. Тесты запускают его на 2026-03-04 09:00 UTC —
+-- среда, 12:00 по Москве (DISPATCH_TIMEZONE). Заказ доставляется к Красной площади.
+--
+-- Курьер                  Координаты для диспетчера                 Расписание (среда)
+-- 1 Ближний               GPS в 100 м от адреса, свежая             09:00–21:00
+-- 2 Дальний               GPS в 5 км, свежая                        09:00–21:00
+-- 3 Устаревший            GPS рядом, но старше 15 минут —            09:00–21:00
+--                         берется адрес из профиля (≈20 км)
+-- 4 Вечерний              GPS рядом, свежая                         18:00–22:00 (и вторник 09:00–21:00)
+-- 5 Не на линии           status = 'offline'                        09:00–21:00
+-- 6 Заявка                application_status = 'pending'            09:00–21:00
+
+INSERT INTO users (id, username, email, first_name, delivery_latitude, delivery_longitude) VALUES
+  (1, 'courier_near', 'courier_near@example.test', 'Ближний', NULL, NULL),
+  (2, 'courier_far', 'courier_far@example.test', 'Дальний', NULL, NULL),
+  (3, 'courier_stale', 'courier_stale@example.test', 'Устаревший', 55.90000000, 37.40000000),
+  (4, 'courier_evening', 'courier_evening@example.test', 'Вечерний', NULL, NULL),
+  (5, 'courier_offline', 'courier_offline@example.test', 'Не на линии', NULL, NULL),
+  (6, 'courier_pending', 'courier_pending@example.test', 'Заявка', NULL, NULL),
+  (7, 'customer', 'customer@example.test', 'Покупатель', 55.75120000, 37.61840000);
+
+SELECT setval('users_id_seq', 7);
+
+INSERT INTO couriers (id, user_id, first_name, courier_code, status, application_status,
+                      current_latitude, current_longitude, location_updated_at) VALUES
+  (1, 1, 'Ближний', 'C-NEAR', 'active', 'approved', 55.75200000, 37.61750000, '2026-03-04 08:58:00'),
+  (2, 2, 'Дальний', 'C-FAR', 'active', 'approved', 55.79000000, 37.68000000, '2026-03-04 08:55:00'),
+  (3, 3, 'Устаревший', 'C-STALE', 'active', 'approved', 55.75150000, 37.61800000, '2026-03-04 07:00:00'),
+  (4, 4, 'Вечерний', 'C-EVENING', 'active', 'approved', 55.75130000, 37.61830000, '2026-03-04 08:59:00'),
+  (5, 5, 'Не на линии', 'C-OFFLINE', 'offline', 'approved', 55.75130000, 37.61830000, '2026-03-04 08:59:00'),
+  (6, 6, 'Заявка', 'C-PENDING', 'active', 'pending', 55.75130000, 37.61830000, '2026-03-04 08:59:00');
+
+SELECT setval('couriers_id_seq', 6);
+
+-- day_of_week: 0 — воскресенье, 2 — вторник, 3 — среда
+INSERT INTO courier_work_schedule (courier_id, day_of_week, start_time, end_time) VALUES
+  (1, 3, '09:00', '21:00'),
+  (2, 3, '09:00', '21:00'),
+  (3, 3, '09:00', '21:00'),
+  (4, 3, '18:00', '22:00'),
+  (4, 2, '09:00', '21:00'),
+  (5, 3, '09:00', '21:00'),
+  (6, 3, '09:00', '21:00');
+
+-- 1 — оплата при получении, готов к диспетчеризации; 2 — ждет онлайн-оплату
+INSERT INTO delivery_orders (id, order_code, user_id, total_amount, delivery_address, customer_name, customer_phone,
+                             payment_method, payment_status, status, delivery_latitude, delivery_longitude, created_at) VALUES
+  (1, 'TEST-DISPATCH-1', 7, 500, 'Красная площадь, 1', 'Покупатель', '+79990000000',
+   'cash', 'not_required', 'pending', 55.75120000, 37.61840000, '2026-03-04 08:50:00'),
+  (2, 'TEST-DISPATCH-2', 7, 700, 'Красная площадь, 1', 'Покупатель', '+79990000000',
+   'card', 'pending', 'pending', 55.75120000, 37.61840000, '2026-03-04 08:40:00');
+
+SELECT setval('delivery_orders_id_seq', 2);
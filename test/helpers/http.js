@@ -0,0 +1,57 @@
+// HTTP-клиент для тестов: запускает приложение на свободном порту и ходит в него через fetch
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      const baseUrl = `http://127.0.0.1:${port}`;
+
+      async function request(method, path, { token, body, headers = {}, redirect = 'manual' } = {}) {
+        const response = await fetch(baseUrl + path, {
+          method,
+          redirect,
+          headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch (err) {
+          // не JSON — страница или пустой ответ
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+      }
+
+      resolve({
+        baseUrl,
+        request,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+// Регистрирует покупателя и возвращает { token, user }
+async function registerUser(api, username) {
+  const response = await api.request('POST', '/api/auth/register', {
+    body: {
+      username,
+      email: `${username}@example.test`,
+      password: 'password123',
+      first_name: 'Тест',
+      last_name: username,
+      phone: '+79990000000'
+    }
+  });
+  if (response.status !== 200 && response.status !== 201) {
+    throw new Error(`Регистрация ${username}: ${response.status} ${response.text}`);
+  }
+  return { token: response.body.token, user: response.body.user };
+}
+
+module.exports = { listen, registerUser };
@@ -0,0 +1,56 @@
+// Заглушка Telegram Bot API: server.js ходит в нее через TELEGRAM_API_URL.
+// Каждый вызов запоминается в calls, sendMessage отвечает как настоящий API.
+const http = require('http');
+
+function startFakeTelegram() {
+  const calls = [];
+  let nextMessageId = 1000;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const match = req.url.match(/^\/bot([^/]+)\/(\w+)$/);
+      const payload = raw ? JSON.parse(raw) : {};
+      res.setHeader('Content-Type', 'application/json');
+
+      if (!match) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ ok: false, error_code: 404, description: 'Not Found' }));
+      }
+
+      const [, token, method] = match;
+      calls.push({ token, method, payload });
+
+      if (method !== 'sendMessage') {
+        return res.end(JSON.stringify({ ok: true, result: true }));
+      }
+
+      res.end(JSON.stringify({
+        ok: true,
+        result: {
+          message_id: nextMessageId++,
+          chat: { id: Number(payload.chat_id) },
+          date: Math.floor(Date.now() / 1000),
+          text: payload.text
+        }
+      }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        calls,
+        // Сообщения, отправленные ботом через sendMessage
+        sentMessages: () => calls.filter(call => call.method === 'sendMessage').map(call => call.payload),
+        reset: () => { calls.length = 0; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startFakeTelegram };
@@ -0,0 +1,432 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./helpers/database');
+const { listen, registerUser } = require('./helpers/http');
+
+const MOCK_PAYMENT_SECRET = 'test-mock-payment-secret';
+const CRON_SECRET = 'test-cron-secret';
+const PRODUCT_PRICE = 250;
+const PRODUCT_STOCK = 10;
+
+let testServer;
+let api;
+let db;
+let customer;
+let admin;
+let productId;
+
+before(async () => {
+  testServer = await startTestServer({
+    PAYMENT_PROVIDER: 'mock',
+    MOCK_PAYMENT_SECRET,
+    PAYMENT_TIMEOUT: '30',
+    CRON_SECRET
+  });
+  db = testServer.db;
+  api = await listen(testServer.server);
+
+  customer = await registerUser(api, 'pay_customer');
+  admin = await registerUser(api, 'pay_admin');
+  await db.query("UPDATE users SET role = 'admin' WHERE id = $1", [admin.user.id]);
+
+  // Курьер на смене круглосуточно: оплаченный заказ должен уйти ему в предложение
+  const { rows: [courierUser] } = await db.query(
+    "INSERT INTO users (username, email, first_name) VALUES ('pay_courier', 'pay_courier@example.test', 'Курьер') RETURNING id"
+  );
+  const { rows: [courier] } = await db.query(
+    `INSERT INTO couriers (user_id, first_name, courier_code, status, application_status,
+                           current_latitude, current_longitude, location_updated_at)
+     VALUES ($1, 'Курьер', 'C-PAY', 'active', 'approved', 55.75, 37.61, CURRENT_TIMESTAMP)
+     RETURNING id`,
+    [courierUser.id]
+  );
+  await db.query(
+    `INSERT INTO courier_work_schedule (courier_id, day_of_week, start_time, end_time)
+     SELECT $1, day, '00:00', '23:59:59' FROM generate_series(0, 6) AS day`,
+    [courier.id]
+  );
+
+  const { rows: [product] } = await db.query(
+    "INSERT INTO products (name, price, in_stock, stock_quantity) VALUES ('Тестовый препарат', $1, true, $2) RETURNING id",
+    [PRODUCT_PRICE, PRODUCT_STOCK]
+  );
+  productId = product.id;
+});
+
+after(async () => {
+  await api.close();
+  await testServer.stop();
+});
+
+// У курьера может быть только одно действующее предложение, поэтому каждый тест начинает без них
+beforeEach(async () => {
+  await db.query('DELETE FROM delivery_order_offers');
+  await db.query('UPDATE products SET stock_quantity = $1, in_stock = true WHERE id = $2', [PRODUCT_STOCK, productId]);
+});
+
+async function addToCart() {
+  const added = await api.request('POST', '/api/cart/add', {
+    token: customer.token,
+    body: { product_id: productId, quantity: 2 }
+  });
+  assert.equal(added.status, 200, added.text);
+}
+
+// Оформляет корзину с оплатой картой
+function checkoutCart() {
+  return api.request('POST', '/api/orders', {
+    token: customer.token,
+    body: {
+      payment_method: 'card',
+      customer_name: 'Покупатель',
+      customer_phone: '+79990000000',
+      delivery_address: 'Москва, ул. Тверская, 1',
+      delivery_latitude: 55.757,
+      delivery_longitude: 37.613
+    }
+  });
+}
+
+// Оформляет заказ на 2 шт. с оплатой картой; возвращает { order, payment }
+async function placeCardOrder() {
+  await addToCart();
+  const response = await checkoutCart();
+  assert.equal(response.status, 200, response.text);
+  return response.body;
+}
+
+function sendWebhook(event, signature = null) {
+  const rawBody = JSON.stringify(event);
+  return fetch(`${api.baseUrl}/api/payments/webhook/mock`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Mock-Signature': signature || crypto.createHmac('sha256', MOCK_PAYMENT_SECRET).update(rawBody).digest('hex')
+    },
+    body: rawBody
+  }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+function providerPaymentId(payment) {
+  return payment.confirmation_url.match(/^\/api\/payments\/mock\/([^?]+)/)[1];
+}
+
+async function getOrderState(orderId) {
+  const { rows: [row] } = await db.query(
+    `SELECT o.status, o.payment_status, p.status AS payment, p.refunded_amount, pr.stock_quantity
+     FROM delivery_orders o
+     JOIN payments p ON p.delivery_order_id = o.id
+     CROSS JOIN products pr
+     WHERE o.id = $1 AND pr.id = $2
+     ORDER BY p.id DESC LIMIT 1`,
+    [orderId, productId]
+  );
+  return { ...row, refunded_amount: parseFloat(row.refunded_amount) };
+}
+
+async function countOffers(orderId) {
+  const { rows } = await db.query('SELECT COUNT(*)::int AS count FROM delivery_order_offers WHERE delivery_order_id = $1', [orderId]);
+  return rows[0].count;
+}
+
+// Диспетчер после оплаты работает в фоне, поэтому ждем появления предложения
+async function waitForOffer(orderId) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { rows } = await db.query('SELECT courier_id FROM delivery_order_offers WHERE delivery_order_id = $1', [orderId]);
+    if (rows.length > 0) return rows[0];
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+test('оплата на странице mock-провайдера: заказ оплачен и уходит диспетчеру', async () => {
+  const { order, payment } = await placeCardOrder();
+
+  assert.equal(order.payment_status, 'pending');
+  assert.equal(payment.status, 'pending');
+  assert.match(payment.confirmation_url, /^\/api\/payments\/mock\/mock_\w+\?return_url=/);
+  assert.equal((await getOrderState(order.id)).stock_quantity, PRODUCT_STOCK - 2);
+
+  // до оплаты заказ курьерам не предлагается
+  assert.equal(await countOffers(order.id), 0);
+
+  const page = await api.request('GET', payment.confirmation_url);
+  assert.equal(page.status, 200);
+  assert.ok(page.text.includes(order.order_code), 'на странице оплаты есть номер заказа');
+  assert.ok(page.text.includes('500.00 ₽'), 'на странице оплаты есть сумма');
+
+  const action = page.text.match(/action="([^"]+)"/)[1];
+  const completed = await fetch(api.baseUrl + action, {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'status=succeeded'
+  });
+  assert.equal(completed.status, 302);
+  assert.equal(completed.headers.get('location'), `/profile?order_id=${order.id}`);
+
+  const status = await api.request('GET', `/api/orders/${order.id}/payment`, { token: customer.token });
+  assert.equal(status.body.payment.status, 'succeeded');
+  assert.equal(status.body.payment.payment_status, 'paid');
+  assert.ok(await waitForOffer(order.id), 'оплаченный заказ предложен курьеру');
+});
+
+test('подписанный вебхук подтверждает оплату, повторное уведомление ничего не меняет', async () => {
+  const { order, payment } = await placeCardOrder();
+  const event = { payment_id: providerPaymentId(payment), status: 'succeeded', amount: '500.00' };
+
+  const first = await sendWebhook(event);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.status, 'succeeded');
+
+  const repeated = await sendWebhook({ ...event, status: 'canceled' });
+  assert.equal(repeated.status, 200);
+  assert.equal(repeated.body.status, 'succeeded');
+
+  assert.deepEqual(await getOrderState(order.id), {
+    status: 'pending',
+    payment_status: 'paid',
+    payment: 'succeeded',
+    refunded_amount: 0,
+    stock_quantity: PRODUCT_STOCK - 2
+  });
+  assert.ok(await waitForOffer(order.id), 'оплаченный заказ предложен курьеру');
+});
+
+test('вебхук с неверной подписью отклоняется', async () => {
+  const { order, payment } = await placeCardOrder();
+  const event = { payment_id: providerPaymentId(payment), status: 'succeeded', amount: '500.00' };
+
+  const forged = await sendWebhook(event, crypto.createHmac('sha256', 'wrong-secret').update(JSON.stringify(event)).digest('hex'));
+  assert.equal(forged.status, 401);
+
+  const unknownProvider = await fetch(`${api.baseUrl}/api/payments/webhook/yookassa`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event)
+  });
+  assert.equal(unknownProvider.status, 404);
+
+  assert.equal((await getOrderState(order.id)).payment, 'pending');
+});
+
+test('вебхук с другой суммой отклоняется', async () => {
+  const { order, payment } = await placeCardOrder();
+
+  const response = await sendWebhook({ payment_id: providerPaymentId(payment), status: 'succeeded', amount: '1.00' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Сумма платежа не совпадает с суммой заказа');
+
+  const state = await getOrderState(order.id);
+  assert.equal(state.payment, 'pending');
+  assert.equal(state.payment_status, 'pending');
+});
+
+test('отмена оплаты отменяет заказ и возвращает товар на склад', async () => {
+  const { order, payment } = await placeCardOrder();
+
+  const response = await sendWebhook({ payment_id: providerPaymentId(payment), status: 'canceled', amount: '500.00' });
+  assert.equal(response.status, 200);
+
+  assert.deepEqual(await getOrderState(order.id), {
+    status: 'cancelled',
+    payment_status: 'failed',
+    payment: 'canceled',
+    refunded_amount: 0,
+    stock_quantity: PRODUCT_STOCK
+  });
+});
+
+test('возврат администратором: частичный, затем остаток', async () => {
+  const { order, payment } = await placeCardOrder();
+  await sendWebhook({ payment_id: providerPaymentId(payment), status: 'succeeded', amount: '500.00' });
+
+  const partial = await api.request('POST', `/api/admin/orders/${order.id}/refund`, {
+    token: admin.token,
+    body: { amount: 120 }
+  });
+  assert.equal(partial.status, 200, partial.text);
+  assert.equal((await getOrderState(order.id)).refunded_amount, 120);
+  assert.equal((await getOrderState(order.id)).payment, 'succeeded');
+
+  const tooMuch = await api.request('POST', `/api/admin/orders/${order.id}/refund`, {
+    token: admin.token,
+    body: { amount: 1000 }
+  });
+  assert.equal(tooMuch.status, 400);
+
+  const rest = await api.request('POST', `/api/admin/orders/${order.id}/refund`, { token: admin.token, body: {} });
+  assert.equal(rest.status, 200, rest.text);
+
+  const state = await getOrderState(order.id);
+  assert.equal(state.payment, 'refunded');
+  assert.equal(state.payment_status, 'refunded');
+  assert.equal(state.refunded_amount, 500);
+
+  const forbidden = await api.request('POST', `/api/admin/orders/${order.id}/refund`, { token: customer.token, body: {} });
+  assert.equal(forbidden.status, 403);
+});
+
+test('неоплаченный заказ отменяется по таймауту, поздняя оплата возвращается', async () => {
+  const { order, payment } = await placeCardOrder();
+  await db.query(
+    "UPDATE payments SET created_at = CURRENT_TIMESTAMP - INTERVAL '31 minutes' WHERE delivery_order_id = $1",
+    [order.id]
+  );
+
+  const unauthorized = await api.request('GET', '/api/cron/jobs');
+  assert.equal(unauthorized.status, 401);
+
+  const cron = await api.request('GET', '/api/cron/jobs', { headers: { Authorization: `Bearer ${CRON_SECRET}` } });
+  assert.equal(cron.status, 200, cron.text);
+
+  assert.deepEqual(await getOrderState(order.id), {
+    status: 'cancelled',
+    payment_status: 'failed',
+    payment: 'canceled',
+    refunded_amount: 0,
+    stock_quantity: PRODUCT_STOCK
+  });
+
+  // Покупатель успел оплатить на странице провайдера уже после отмены: деньги возвращаются
+  const late = await sendWebhook({ payment_id: providerPaymentId(payment), status: 'succeeded', amount: '500.00' });
+  assert.equal(late.status, 200);
+  assert.equal(late.body.status, 'refunded');
+
+  const state = await getOrderState(order.id);
+  assert.equal(state.status, 'cancelled');
+  assert.equal(state.payment_status, 'refunded');
+  assert.equal(state.refunded_amount, 500);
+  assert.equal(await countOffers(order.id), 0);
+});
+
+test('отмена по таймауту пропускает платеж, по которому обрабатывается оплата', async () => {
+  const { order, payment } = await placeCardOrder();
+  await db.query(
+    "UPDATE payments SET created_at = CURRENT_TIMESTAMP - INTERVAL '31 minutes' WHERE delivery_order_id = $1",
+    [order.id]
+  );
+
+  // Уведомление об оплате держит блокировку платежа, пока cron отменяет просроченные заказы
+  const webhook = await db.connect();
+  try {
+    await webhook.query('BEGIN');
+    await webhook.query('SELECT id FROM payments WHERE delivery_order_id = $1 FOR UPDATE', [order.id]);
+
+    const cron = await api.request('GET', '/api/cron/jobs', { headers: { Authorization: `Bearer ${CRON_SECRET}` } });
+    assert.equal(cron.status, 200, cron.text);
+
+    const state = await getOrderState(order.id);
+    assert.equal(state.status, 'pending');
+    assert.equal(state.payment, 'pending');
+  } finally {
+    await webhook.query('COMMIT');
+    webhook.release();
+  }
+
+  // cron заодно предложил курьеру оплаченные заказы из предыдущих тестов
+  await db.query('DELETE FROM delivery_order_offers');
+
+  const paid = await sendWebhook({ payment_id: providerPaymentId(payment), status: 'succeeded', amount: '500.00' });
+  assert.equal(paid.status, 200);
+  assert.equal(paid.body.status, 'succeeded');
+
+  assert.deepEqual(await getOrderState(order.id), {
+    status: 'pending',
+    payment_status: 'paid',
+    payment: 'succeeded',
+    refunded_amount: 0,
+    stock_quantity: PRODUCT_STOCK - 2
+  });
+  assert.ok(await waitForOffer(order.id), 'оплаченный заказ предложен курьеру');
+});
+
+test('оплата по отмененному платежу отменяет еще не отмененный заказ и возвращается', async () => {
+  const { order, payment } = await placeCardOrder();
+  // Платеж у нас уже отменен, а заказ все еще ждет оплаты
+  await db.query("UPDATE payments SET status = 'canceled' WHERE delivery_order_id = $1", [order.id]);
+
+  const late = await sendWebhook({ payment_id: providerPaymentId(payment), status: 'succeeded', amount: '500.00' });
+  assert.equal(late.status, 200);
+  assert.equal(late.body.status, 'refunded');
+
+  assert.deepEqual(await getOrderState(order.id), {
+    status: 'cancelled',
+    payment_status: 'refunded',
+    payment: 'refunded',
+    refunded_amount: 500,
+    stock_quantity: PRODUCT_STOCK
+  });
+  assert.equal(await countOffers(order.id), 0);
+});
+
+test('платежный сервис недоступен: заказ не создается, корзина остается', async () => {
+  await addToCart();
+  const countOrders = async () => (await db.query(
+    'SELECT COUNT(*)::int AS count FROM delivery_orders WHERE user_id = $1',
+    [customer.user.id]
+  )).rows[0].count;
+  const ordersBefore = await countOrders();
+
+  const { mock } = testServer.server.payments.PAYMENT_PROVIDERS;
+  const createPayment = mock.createPayment;
+  mock.createPayment = async () => {
+    throw new Error('provider is down');
+  };
+  try {
+    const response = await checkoutCart();
+    assert.equal(response.status, 502, response.text);
+  } finally {
+    mock.createPayment = createPayment;
+  }
+
+  assert.equal(await countOrders(), ordersBefore);
+  const { rows: cart } = await db.query('SELECT product_id, quantity FROM cart_items WHERE user_id = $1', [customer.user.id]);
+  assert.deepEqual(cart, [{ product_id: productId, quantity: 2 }]);
+  const { rows: [product] } = await db.query('SELECT stock_quantity FROM products WHERE id = $1', [productId]);
+  assert.equal(product.stock_quantity, PRODUCT_STOCK);
+
+  // с доступным провайдером та же корзина оформляется
+  const retried = await checkoutCart();
+  assert.equal(retried.status, 200, retried.text);
+  assert.equal(retried.body.payment.status, 'pending');
+});
+
+test('повторный возврат после сбоя передает провайдеру тот же ключ идемпотентности', async () => {
+  const { order, payment } = await placeCardOrder();
+  await sendWebhook({ payment_id: providerPaymentId(payment), status: 'succeeded', amount: '500.00' });
+
+  const { mock } = testServer.server.payments.PAYMENT_PROVIDERS;
+  const refund = mock.refund;
+  const keys = [];
+  let failAfterRefund = true;
+  // Провайдер вернул деньги, но транзакция у нас не зафиксировалась
+  mock.refund = async (request) => {
+    keys.push(request.idempotencyKey);
+    const result = await refund.call(mock, request);
+    if (failAfterRefund) {
+      failAfterRefund = false;
+      throw new Error('connection lost');
+    }
+    return result;
+  };
+  try {
+    const failed = await api.request('POST', `/api/admin/orders/${order.id}/refund`, { token: admin.token, body: { amount: 100 } });
+    assert.equal(failed.status, 500);
+    assert.equal((await getOrderState(order.id)).refunded_amount, 0);
+
+    const retried = await api.request('POST', `/api/admin/orders/${order.id}/refund`, { token: admin.token, body: { amount: 100 } });
+    assert.equal(retried.status, 200, retried.text);
+
+    const next = await api.request('POST', `/api/admin/orders/${order.id}/refund`, { token: admin.token, body: { amount: 100 } });
+    assert.equal(next.status, 200, next.text);
+  } finally {
+    mock.refund = refund;
+  }
+
+  assert.equal(keys.length, 3);
+  assert.equal(keys[0], keys[1]);
+  assert.notEqual(keys[1], keys[2]);
+  assert.equal((await getOrderState(order.id)).refunded_amount, 200);
+});
@@ -0,0 +1,204 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/database');
+const { listen, registerUser } = require('./helpers/http');
+
+let testServer;
+let api;
+let db;
+let stock;
+let buyers;
+let courier;
+let productId;
+let branchId;
+
+before(async () => {
+  testServer = await startTestServer();
+  ({ stock } = testServer.server);
+  db = testServer.db;
+  api = await listen(testServer.server);
+
+  buyers = [await registerUser(api, 'stock_buyer_1'), await registerUser(api, 'stock_buyer_2')];
+
+  courier = await registerUser(api, 'stock_courier');
+  const { rows: [courierRow] } = await db.query(
+    `INSERT INTO couriers (user_id, first_name, courier_code, status, application_status)
+     VALUES ($1, 'Курьер', 'C-STOCK', 'active', 'approved') RETURNING id`,
+    [courier.user.id]
+  );
+  courier.id = courierRow.id;
+
+  const { rows: [product] } = await db.query(
+    "INSERT INTO products (name, price, in_stock, stock_quantity) VALUES ('Последний препарат', 300, true, 1) RETURNING id"
+  );
+  productId = product.id;
+
+  const { rows: [branch] } = await db.query(
+    "INSERT INTO branches (name, address, latitude, longitude) VALUES ('Аптека на Тверской', 'Москва, ул. Тверская, 5', 55.76, 37.61) RETURNING id"
+  );
+  branchId = branch.id;
+});
+
+after(async () => {
+  await api.close();
+  await testServer.stop();
+});
+
+beforeEach(async () => {
+  await db.query('DELETE FROM cart_items');
+  await db.query('UPDATE products SET stock_quantity = 1, in_stock = true WHERE id = $1', [productId]);
+});
+
+async function addToCart(buyer, quantity = 1) {
+  const added = await api.request('POST', '/api/cart/add', {
+    token: buyer.token,
+    body: { product_id: productId, quantity }
+  });
+  assert.equal(added.status, 200, added.text);
+}
+
+function checkoutCart(buyer, body = {}) {
+  return api.request('POST', '/api/orders', {
+    token: buyer.token,
+    body: {
+      payment_method: 'cash',
+      customer_name: 'Покупатель',
+      customer_phone: '+79990000000',
+      delivery_address: 'Москва, ул. Тверская, 1',
+      delivery_latitude: 55.757,
+      delivery_longitude: 37.613,
+      ...body
+    }
+  });
+}
+
+async function getProductStock() {
+  const { rows: [product] } = await db.query('SELECT stock_quantity, in_stock FROM products WHERE id = $1', [productId]);
+  return product;
+}
+
+async function cartQuantity(buyer) {
+  const { rows } = await db.query('SELECT quantity FROM cart_items WHERE user_id = $1', [buyer.user.id]);
+  return rows.length > 0 ? rows[0].quantity : 0;
+}
+
+// Выполняет callback в транзакции, как это делает server.js
+async function inTransaction(callback) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+test('последнюю единицу товара из двух параллельных заказов получает один', async () => {
+  await addToCart(buyers[0]);
+  await addToCart(buyers[1]);
+
+  const responses = await Promise.all(buyers.map(buyer => checkoutCart(buyer)));
+  const statuses = responses.map(response => response.status).sort();
+  assert.deepEqual(statuses, [200, 409], responses.map(response => response.text).join('\n'));
+
+  const rejected = responses.find(response => response.status === 409);
+  assert.equal(rejected.body.error, 'Недостаточно товара на складе');
+  assert.deepEqual(rejected.body.items.map(item => [item.product_id, item.requested, item.available]), [[productId, 1, 0]]);
+
+  assert.deepEqual(await getProductStock(), { stock_quantity: 0, in_stock: false });
+
+  // корзина проигравшего покупателя осталась, корзина победителя очищена
+  const loser = buyers[responses.indexOf(rejected)];
+  const winner = buyers.find(buyer => buyer !== loser);
+  assert.equal(await cartQuantity(loser), 1);
+  assert.equal(await cartQuantity(winner), 0);
+});
+
+test('заказ больше остатка отклоняется без списания', async () => {
+  await db.query('UPDATE products SET stock_quantity = 5 WHERE id = $1', [productId]);
+  await addToCart(buyers[0], 5);
+  // пока товар лежал в корзине, часть остатка продали
+  await db.query('UPDATE products SET stock_quantity = 3 WHERE id = $1', [productId]);
+
+  const response = await checkoutCart(buyers[0]);
+  assert.equal(response.status, 409);
+  assert.equal(response.body.items[0].available, 3);
+  assert.equal(response.body.items[0].error, 'Доступно только 3 шт.');
+
+  assert.deepEqual(await getProductStock(), { stock_quantity: 3, in_stock: true });
+  assert.equal(await cartQuantity(buyers[0]), 5);
+});
+
+test('отмена заказа курьером возвращает товар на склад', async () => {
+  await addToCart(buyers[0]);
+  const response = await checkoutCart(buyers[0]);
+  assert.equal(response.status, 200, response.text);
+  const orderId = response.body.order.id;
+  assert.deepEqual(await getProductStock(), { stock_quantity: 0, in_stock: false });
+
+  await db.query("UPDATE delivery_orders SET status = 'assigned', courier_id = $1 WHERE id = $2", [courier.id, orderId]);
+  const cancelled = await api.request('POST', '/api/courier/orders/cancel', {
+    token: courier.token,
+    body: { order_id: orderId, reason: 'Покупатель не отвечает' }
+  });
+  assert.equal(cancelled.status, 200, cancelled.text);
+
+  assert.deepEqual(await getProductStock(), { stock_quantity: 1, in_stock: true });
+
+  // повторная отмена не возвращает товар второй раз
+  const repeated = await api.request('POST', '/api/courier/orders/cancel', {
+    token: courier.token,
+    body: { order_id: orderId }
+  });
+  assert.equal(repeated.status, 400);
+  assert.deepEqual(await getProductStock(), { stock_quantity: 1, in_stock: true });
+});
+
+test('самовывоз списывает и возвращает остаток аптеки, а не склада доставки', async () => {
+  await db.query(
+    `INSERT INTO branch_stock (branch_id, product_id, quantity) VALUES ($1, $2, 2)
+     ON CONFLICT (branch_id, product_id) DO UPDATE SET quantity = 2`,
+    [branchId, productId]
+  );
+  await db.query('UPDATE products SET stock_quantity = 5 WHERE id = $1', [productId]);
+  await addToCart(buyers[0], 2);
+
+  const response = await checkoutCart(buyers[0], { fulfillment_type: 'pickup', pickup_branch_id: branchId });
+  assert.equal(response.status, 200, response.text);
+  const orderId = response.body.order.id;
+
+  const branchQuantity = async () => (await db.query(
+    'SELECT quantity FROM branch_stock WHERE branch_id = $1 AND product_id = $2',
+    [branchId, productId]
+  )).rows[0].quantity;
+  assert.equal(await branchQuantity(), 0);
+  assert.deepEqual(await getProductStock(), { stock_quantity: 5, in_stock: true });
+
+  await assert.rejects(
+    inTransaction(client => stock.reserveStock(client, [{ product_id: productId, quantity: 1 }], branchId)),
+    err => err.status === 409 && err.details[0].error === 'Нет в наличии в выбранной аптеке'
+  );
+
+  await inTransaction(client => stock.restoreOrderStock(client, orderId));
+  assert.equal(await branchQuantity(), 2);
+  assert.deepEqual(await getProductStock(), { stock_quantity: 5, in_stock: true });
+});
+
+test('товар без учета остатка проверяется только по in_stock', async () => {
+  await db.query('UPDATE products SET stock_quantity = NULL WHERE id = $1', [productId]);
+
+  const reserved = await inTransaction(client => stock.reserveStock(client, [{ product_id: productId, quantity: 50 }]));
+  assert.equal(reserved.get(productId).stock_quantity, null);
+  assert.deepEqual(await getProductStock(), { stock_quantity: null, in_stock: true });
+
+  await db.query('UPDATE products SET in_stock = false WHERE id = $1', [productId]);
+  await assert.rejects(
+    inTransaction(client => stock.reserveStock(client, [{ product_id: productId, quantity: 1 }])),
+    err => err.status === 409 && err.details[0].error === 'Нет в наличии'
+  );
+});
@@ -0,0 +1,204 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/database');
+const { listen, registerUser } = require('./helpers/http');
+const { startFakeTelegram } = require('./helpers/telegram');
+
+const ADMIN_CHAT_ID = -100200300;
+const BOT_TOKEN = 'test-bot-token';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+let telegram;
+let testServer;
+let api;
+let db;
+let handleTelegramUpdate;
+let escapeTelegramMarkdown;
+let nextUpdateMessageId = 1;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  testServer = await startTestServer({
+    TELEGRAM_API_URL: telegram.url,
+    TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+    TELEGRAM_CHAT_ID: String(ADMIN_CHAT_ID),
+    TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET
+  });
+  ({ handleTelegramUpdate, escapeTelegramMarkdown } = testServer.server.telegram);
+  db = testServer.db;
+  api = await listen(testServer.server);
+
+  await db.query(
+    `INSERT INTO delivery_orders (order_code, total_amount, delivery_address, customer_name, customer_phone,
+                                  payment_method, status)
+     VALUES ('TG-1', 450, 'ул. Ленина, 1', 'Иван_Петров *VIP*', '+79990000001', 'cash', 'pending'),
+            ('TG-2', 300, 'ул. Мира, 2', 'Анна', '+79990000002', 'cash', 'delivered')`
+  );
+});
+
+after(async () => {
+  await api.close();
+  await testServer.stop();
+  await telegram.close();
+});
+
+beforeEach(() => {
+  telegram.reset();
+});
+
+// Update от Telegram из чата администраторов
+function adminUpdate(text, extra = {}) {
+  return {
+    update_id: nextUpdateMessageId,
+    message: {
+      message_id: nextUpdateMessageId++,
+      chat: { id: ADMIN_CHAT_ID, type: 'group' },
+      from: { id: 42, first_name: 'Админ' },
+      text,
+      ...extra
+    }
+  };
+}
+
+// Отправляет update и возвращает единственный ответ бота
+async function botReply(update) {
+  await handleTelegramUpdate(db, update);
+  const sent = telegram.sentMessages();
+  assert.equal(sent.length, 1, `бот отправил ${sent.length} сообщений`);
+  assert.equal(sent[0].chat_id, ADMIN_CHAT_ID);
+  assert.equal(sent[0].reply_to_message_id, update.message.message_id);
+  return sent[0];
+}
+
+test('escapeTelegramMarkdown экранирует разметку Markdown', () => {
+  assert.equal(escapeTelegramMarkdown('snake_case *bold* `code` [link](url)'), 'snake\\_case \\*bold\\* \\`code\\` \\[link](url)');
+  assert.equal(escapeTelegramMarkdown('Обычный текст'), 'Обычный текст');
+  assert.equal(escapeTelegramMarkdown(null), '');
+  assert.equal(escapeTelegramMarkdown(450.5), '450.5');
+});
+
+test('/order показывает заказ с экранированными полями', async () => {
+  const reply = await botReply(adminUpdate('/order TG-1'));
+
+  assert.equal(reply.parse_mode, 'Markdown');
+  assert.match(reply.text, /Заказ TG-1/);
+  assert.match(reply.text, /Статус: pending/);
+  assert.ok(reply.text.includes('Покупатель: Иван\\_Петров \\*VIP\\*'), reply.text);
+  assert.match(reply.text, /Курьер: не назначен/);
+});
+
+test('/order@bot и неизвестный код', async () => {
+  const found = await botReply(adminUpdate('/order@pharma_bot TG-2'));
+  assert.match(found.text, /Заказ TG-2/);
+
+  telegram.reset();
+  const missing = await botReply(adminUpdate('/order NO_SUCH'));
+  assert.equal(missing.text, '❌ Заказ NO\\_SUCH не найден');
+
+  telegram.reset();
+  const usage = await botReply(adminUpdate('/order'));
+  assert.equal(usage.text, 'Использование: /order <код заказа>');
+});
+
+test('/status отменяет заказ и записывает историю', async () => {
+  const reply = await botReply(adminUpdate('/status TG-1 cancelled Покупатель передумал'));
+  assert.equal(reply.text, '✅ Заказ TG-1: статус изменен на cancelled');
+
+  const { rows: [order] } = await db.query("SELECT id, status, cancelled_at FROM delivery_orders WHERE order_code = 'TG-1'");
+  assert.equal(order.status, 'cancelled');
+  assert.ok(order.cancelled_at);
+
+  const { rows: history } = await db.query(
+    'SELECT status, note FROM delivery_order_status_history WHERE delivery_order_id = $1',
+    [order.id]
+  );
+  assert.deepEqual(history, [{ status: 'cancelled', note: 'Покупатель передумал' }]);
+});
+
+test('/status отклоняет недопустимые переходы', async () => {
+  const delivered = await botReply(adminUpdate('/status TG-2 cancelled'));
+  assert.equal(delivered.text, '❌ Нельзя перевести заказ из статуса delivered в cancelled');
+
+  telegram.reset();
+  const unknownStatus = await botReply(adminUpdate('/status TG-2 delivered'));
+  assert.equal(unknownStatus.text, '❌ Статус можно изменить только на: pending, cancelled');
+
+  telegram.reset();
+  const missing = await botReply(adminUpdate('/status NOPE pending'));
+  assert.equal(missing.text, '❌ Заказ NOPE не найден');
+
+  const { rows: [order] } = await db.query("SELECT status FROM delivery_orders WHERE order_code = 'TG-2'");
+  assert.equal(order.status, 'delivered');
+});
+
+test('неизвестная команда возвращает справку', async () => {
+  const reply = await botReply(adminUpdate('/help'));
+  assert.match(reply.text, /^Команды:/);
+  assert.match(reply.text, /\/status <код> <pending\|cancelled>/);
+});
+
+test('сообщения из чужих чатов и без текста игнорируются', async () => {
+  const foreign = adminUpdate('/order TG-1');
+  foreign.message.chat.id = 777;
+  await handleTelegramUpdate(db, foreign);
+  await handleTelegramUpdate(db, { update_id: 1, edited_message: { text: '/order TG-1' } });
+  await handleTelegramUpdate(db, adminUpdate(undefined, { photo: [] }));
+  // обычный текст без reply — не команда и не ответ
+  await handleTelegramUpdate(db, adminUpdate('привет'));
+
+  assert.deepEqual(telegram.calls, []);
+});
+
+test('ответ администратора доставляется в чат поддержки пользователя', async () => {
+  const { token } = await registerUser(api, 'tg_customer');
+
+  const sent = await api.request('POST', '/api/telegram/send-message', {
+    token,
+    body: { message: 'Где мой *заказ*?' }
+  });
+  assert.equal(sent.status, 200);
+  assert.ok(sent.body.chat_id);
+
+  const [forwarded] = telegram.sentMessages();
+  assert.equal(forwarded.chat_id, String(ADMIN_CHAT_ID));
+  assert.ok(forwarded.text.includes('Где мой \\*заказ\\*?'), forwarded.text);
+  const forwardedId = sent.body.telegram.message_id;
+
+  telegram.reset();
+  const response = await api.request('POST', '/api/telegram/webhook', {
+    headers: { 'X-Telegram-Bot-Api-Secret-Token': WEBHOOK_SECRET },
+    body: adminUpdate('Заказ уже в пути', {
+      reply_to_message: { message_id: forwardedId, chat: { id: ADMIN_CHAT_ID } }
+    })
+  });
+  assert.equal(response.status, 200);
+
+  const [confirmation] = telegram.sentMessages();
+  assert.equal(confirmation.text, '✅ Ответ доставлен пользователю');
+
+  const chat = await api.request('GET', `/api/chats/${sent.body.chat_id}/messages`, { token });
+  assert.equal(chat.status, 200);
+  assert.deepEqual(
+    chat.body.messages.map(m => [m.sender_type, m.message]),
+    [['customer', 'Где мой *заказ*?'], ['support', 'Заказ уже в пути']]
+  );
+});
+
+test('ответ на сообщение без получателя', async () => {
+  const reply = await botReply(adminUpdate('Кому это?', {
+    reply_to_message: { message_id: 999999, chat: { id: ADMIN_CHAT_ID } }
+  }));
+  assert.equal(reply.text, '❌ Не удалось определить получателя: ответьте на сообщение пользователя');
+});
+
+test('вебхук без секрета отклоняется', async () => {
+  const missing = await api.request('POST', '/api/telegram/webhook', { body: adminUpdate('/order TG-1') });
+  const wrong = await api.request('POST', '/api/telegram/webhook', {
+    headers: { 'X-Telegram-Bot-Api-Secret-Token': 'wrong' },
+    body: adminUpdate('/order TG-1')
+  });
+
+  assert.equal(missing.status, 401);
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(telegram.calls, []);
+});